@@ -0,0 +1,143 @@
+#!/bin/bash
+#
+# Audiobookshelf database tools
+# Runs a tool from services/audiobookshelf/tools in a one-off audiobookshelf container.
+# The image provides node, sequelize and sqlite3; /config is mounted exactly as for the server.
+#
+# Usage: ./abs-db.sh <tool> [tool options]
+#
+
+set -euo pipefail
+
+# ============================================================================
+# Configuration
+# ============================================================================
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_DIR="$(dirname "$SCRIPT_DIR")"
+TOOLS_DIR="$PROJECT_DIR/services/audiobookshelf/tools"
+SERVICE="audiobookshelf"
+CONTAINER="audiobookshelf"
+
+# Colors for output
+RED='\033[0;31m'
+NC='\033[0m' # No Color
+
+# ============================================================================
+# Functions
+# ============================================================================
+
+error() {
+    echo -e "${RED}[$(date +'%Y-%m-%d %H:%M:%S')] ERROR:${NC} $1" >&2
+}
+
+usage() {
+    cat << EOF
+Usage: $0 <tool> [tool options]
+
+Run an Audiobookshelf database tool against services/audiobookshelf/config.
+
+Tools:
+$(for tool in "$TOOLS_DIR"/*.js; do echo "    $(basename "$tool" .js)"; done)
+
+Run "$0 <tool> --help" for the options of a tool.
+
+Examples:
+    # Show the SQL plan of the pending migrations without touching the database
+    $0 migrate --dry-run
+
+    # Apply pending migrations (stop the server first)
+    docker compose stop $SERVICE && $0 migrate && docker compose start $SERVICE
+
+    # Check the database for corruption (integrity, foreign keys, NOCASE indexes, triggers); prints a JSON report
+    $0 check-db-health
+
+    # List libraryItems rows whose title or author name copies differ from their source, then repair them
+    $0 check-denormalized
+    docker compose stop $SERVICE && $0 check-denormalized --repair && docker compose start $SERVICE
+
+    # Count books and podcasts whose titleIgnorePrefix predates the current sorting prefixes, then recompute them
+    $0 recompute-title-prefixes
+    docker compose stop $SERVICE && $0 recompute-title-prefixes --apply && docker compose start $SERVICE
+
+    # Search the full-text index of a library, best matches first
+    $0 search --library Books 'hob "there and back"'
+
+    # List series that are probably duplicates, then merge the groups approved in config/series-dedupe.json
+    $0 dedupe-series
+    docker compose stop $SERVICE && $0 dedupe-series --merge && docker compose start $SERVICE
+
+    # List podcast episodes with the same GUID or enclosure URL, then merge them
+    $0 dedupe-episodes
+    docker compose stop $SERVICE && $0 dedupe-episodes --merge && docker compose start $SERVICE
+
+    # List recorded series/author merges and split one back up
+    $0 merge-log
+    docker compose stop $SERVICE && $0 merge-log --restore 3 && docker compose start $SERVICE
+
+    # Count absolute feed URLs per host, then make those of the hosts in config/feed-hosts.json relative
+    $0 rewrite-feed-urls
+    docker compose stop $SERVICE && $0 rewrite-feed-urls --apply && docker compose start $SERVICE
+
+    # Report rows left behind by deleted books and episodes, then clean them up
+    $0 clean-orphans
+    docker compose stop $SERVICE && $0 clean-orphans --fix && docker compose start $SERVICE
+
+    # Restore a snapshot taken before a migration, merge, cleanup, repair, recompute or rewrite from services/audiobookshelf/config/migration-snapshots
+    scripts/restore.sh services/audiobookshelf/config/migration-snapshots --component=audiobookshelf
+EOF
+}
+
+# Returns success if the tool invocation may write to the database
+is_write_invocation() {
+    local tool=$1
+    shift
+    for arg in "$@"; do
+        [[ "$arg" == "--help" ]] && return 1
+    done
+    case "$tool" in
+        migrate)
+            for arg in "$@"; do
+                [[ "$arg" == "--dry-run" ]] && return 1
+            done
+            return 0
+            ;;
+        dedupe-series | dedupe-episodes | merge-log | clean-orphans | check-denormalized | recompute-title-prefixes | rewrite-feed-urls)
+            for arg in "$@"; do
+                [[ "$arg" == "--merge" || "$arg" == "--restore" || "$arg" == "--fix" || "$arg" == "--repair" || "$arg" == "--apply" || "$arg" == "--revert" ]] && return 0
+            done
+            return 1
+            ;;
+    esac
+    return 1
+}
+
+# ============================================================================
+# Main
+# ============================================================================
+
+if [[ $# -lt 1 || "$1" == "--help" || "$1" == "-h" ]]; then
+    usage
+    exit 0
+fi
+
+TOOL=$1
+shift
+
+if [[ ! -f "$TOOLS_DIR/$TOOL.js" ]]; then
+    error "Unknown tool: $TOOL"
+    usage
+    exit 1
+fi
+
+if is_write_invocation "$TOOL" "$@" && [[ -n "$(docker ps -q --filter "name=^${CONTAINER}$")" ]]; then
+    error "$CONTAINER is running. Stop it first: docker compose stop $SERVICE"
+    exit 1
+fi
+
+cd "$PROJECT_DIR"
+exec docker compose run --rm --no-deps -T \
+    -v "$TOOLS_DIR:/tools:ro" \
+    -e NODE_PATH=/app/node_modules \
+    --entrypoint node \
+    "$SERVICE" "/tools/$TOOL.js" "$@"
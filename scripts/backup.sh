@@ -217,8 +217,10 @@ backup_docker_configs() {
     local backup_file="$BACKUP_DIR/docker_configs_$TIMESTAMP.tar.gz"
     
     # Backup all service configs and docker-compose files
+    # Audiobookshelf migration snapshots are backed up separately by backup_audiobookshelf_snapshots
     tar czf "$backup_file" \
         -C "$PROJECT_DIR" \
+        --exclude='services/audiobookshelf/config/migration-snapshots' \
         docker-compose.yml \
         .env \
         services/nginx/conf.d/ \
@@ -238,6 +240,29 @@ backup_docker_configs() {
     fi
 }
 
+backup_audiobookshelf_snapshots() {
+    log "Backing up Audiobookshelf pre-migration database snapshots..."
+    
+    local config_dir="$PROJECT_DIR/services/audiobookshelf/config"
+    local backup_file="$BACKUP_DIR/audiobookshelf_snapshots_$TIMESTAMP.tar.gz"
+    
+    # Snapshots are written by scripts/abs-db.sh migrate before each migration run
+    if ! ls "$config_dir"/migration-snapshots/absdatabase_*.sqlite &> /dev/null; then
+        info "No Audiobookshelf snapshots found"
+        return 0
+    fi
+    
+    tar czf "$backup_file" -C "$config_dir" migration-snapshots/
+    
+    if [[ $? -eq 0 ]]; then
+        local size=$(du -h "$backup_file" | cut -f1)
+        log "✓ Audiobookshelf snapshots backed up: $size"
+    else
+        error "Failed to backup Audiobookshelf snapshots"
+        return 1
+    fi
+}
+
 backup_docker_volumes() {
     log "Backing up critical Docker volumes..."
     
@@ -300,6 +325,7 @@ Components Backed Up:
 - Nextcloud Database & Data: $BACKUP_NEXTCLOUD
 - PhotoPrism Database & Storage: $BACKUP_PHOTOPRISM
 - Docker Configs: $BACKUP_CONFIGS
+- Audiobookshelf Snapshots: $BACKUP_CONFIGS
 - Docker Volumes: $BACKUP_DOCKER_VOLUMES
 
 Files in this backup:
@@ -412,6 +438,7 @@ main() {
     
     if [[ "$BACKUP_CONFIGS" == "true" ]]; then
         backup_docker_configs
+        backup_audiobookshelf_snapshots
         backup_scripts
     fi
     
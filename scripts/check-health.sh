@@ -2,6 +2,9 @@
 # Quick health check script for Freddy server
 # Run this to verify all services are healthy
 
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+ABS_HEALTH_REPORT="$SCRIPT_DIR/../services/audiobookshelf/config/db-health.json"
+
 echo "==================================="
 echo "Freddy Server Health Check"
 echo "==================================="
@@ -136,6 +139,14 @@ else
     echo "❌ Redis: Not ready"
 fi
 
+# Check the Audiobookshelf SQLite database (integrity, foreign keys, NOCASE indexes, triggers)
+if "$SCRIPT_DIR/abs-db.sh" check-db-health > "$ABS_HEALTH_REPORT" 2> /dev/null; then
+    echo "✅ Audiobookshelf Database: Healthy"
+else
+    echo "❌ Audiobookshelf Database: Problems found"
+    echo "   See services/audiobookshelf/config/db-health.json"
+fi
+
 echo ""
 echo "==================================="
 echo "⚠️  Common Issues:"
@@ -3,7 +3,7 @@
 # FREDDY Restore Script
 # Restore backed up data from backup directory
 #
-# Usage: ./restore.sh <backup_directory> [--component=<name>] [--dry-run]
+# Usage: ./restore.sh <backup_directory> [--component=<name>] [--snapshot=<name>] [--dry-run]
 #
 
 set -e  # Exit on error
@@ -52,7 +52,8 @@ Arguments:
     backup_directory    Path to backup directory (e.g., /mnt/backup/freddy/20251020_020000)
 
 Options:
-    --component=NAME    Restore specific component only (authentik, nextcloud, photoprism, configs)
+    --component=NAME    Restore specific component only (authentik, nextcloud, photoprism, configs, audiobookshelf)
+    --snapshot=NAME     Audiobookshelf snapshot file to restore (default: latest)
     --dry-run          Show what would be restored without actually restoring
     --help             Show this help message
 
@@ -63,6 +64,12 @@ Examples:
     # Restore only Authentik
     $0 /mnt/backup/freddy/20251020_020000 --component=authentik
 
+    # Restore the Audiobookshelf database from its newest pre-migration snapshot in a backup
+    $0 /mnt/backup/freddy/20251020_020000 --component=audiobookshelf
+
+    # Restore a specific snapshot straight from the live snapshot directory
+    $0 services/audiobookshelf/config/migration-snapshots --component=audiobookshelf --snapshot=absdatabase_20251020_020000.sqlite
+
     # Dry run (test restore)
     $0 /mnt/backup/freddy/20251020_020000 --dry-run
 
@@ -307,6 +314,66 @@ restore_docker_configs() {
     log "✓ Docker configs restored"
 }
 
+restore_audiobookshelf_db() {
+    local backup_dir="$1"
+    local config_dir="$PROJECT_DIR/services/audiobookshelf/config"
+    local snapshots_dir="$backup_dir"
+    local extract_dir=""
+    
+    # Backups hold the snapshots as a tarball, the live migration-snapshots directory holds them as plain files
+    local archive_file=$(ls "$backup_dir"/audiobookshelf_snapshots_*.tar.gz 2>/dev/null | head -n 1)
+    if [[ -n "$archive_file" ]]; then
+        extract_dir=$(mktemp -d)
+        tar xzf "$archive_file" -C "$extract_dir"
+        snapshots_dir="$extract_dir/migration-snapshots"
+    fi
+    
+    # Snapshot names end in a sortable timestamp, so the last one is the newest
+    local snapshot_file
+    if [[ "$SNAPSHOT" == "latest" ]]; then
+        snapshot_file=$(ls "$snapshots_dir"/absdatabase_*.sqlite 2>/dev/null | sort | tail -n 1)
+    else
+        snapshot_file="$snapshots_dir/$SNAPSHOT"
+    fi
+    
+    if [[ -z "$snapshot_file" || ! -f "$snapshot_file" ]]; then
+        warn "Audiobookshelf snapshot not found"
+        [[ -n "$extract_dir" ]] && rm -rf "$extract_dir"
+        return 1
+    fi
+    
+    log "Restoring Audiobookshelf database from: $(basename "$snapshot_file")"
+    
+    local manifest_file="${snapshot_file%.sqlite}.json"
+    if [[ -f "$manifest_file" ]]; then
+        info "Snapshot manifest:"
+        cat "$manifest_file"
+    fi
+    
+    if [[ "$DRY_RUN" == "true" ]]; then
+        info "[DRY RUN] Would restore Audiobookshelf database"
+        [[ -n "$extract_dir" ]] && rm -rf "$extract_dir"
+        return 0
+    fi
+    
+    # The server must not hold the database open while it is replaced
+    docker compose -f "$PROJECT_DIR/docker-compose.yml" stop audiobookshelf
+    
+    # Backup current database
+    if [[ -f "$config_dir/absdatabase.sqlite" ]]; then
+        cp "$config_dir/absdatabase.sqlite" "$config_dir/absdatabase.sqlite.$(date +%s).bak"
+    fi
+    
+    # Restore database, dropping WAL files that belong to the replaced database
+    rm -f "$config_dir/absdatabase.sqlite-wal" "$config_dir/absdatabase.sqlite-shm"
+    cp "$snapshot_file" "$config_dir/absdatabase.sqlite"
+    [[ -n "$extract_dir" ]] && rm -rf "$extract_dir"
+    
+    docker compose -f "$PROJECT_DIR/docker-compose.yml" start audiobookshelf
+    
+    log "✓ Audiobookshelf database restored"
+}
+
 # ============================================================================
 # Main Restore Process
 # ============================================================================
@@ -328,6 +395,7 @@ main() {
     shift
     
     COMPONENT=""
+    SNAPSHOT="latest"
     DRY_RUN=false
     
     while [[ $# -gt 0 ]]; do
@@ -336,6 +404,10 @@ main() {
                 COMPONENT="${1#*=}"
                 shift
                 ;;
+            --snapshot=*)
+                SNAPSHOT="${1#*=}"
+                shift
+                ;;
             --dry-run)
                 DRY_RUN=true
                 shift
@@ -393,6 +465,10 @@ main() {
         "configs")
             restore_docker_configs "$BACKUP_DIR"
             ;;
+        "audiobookshelf")
+            # Not part of a full restore: a pre-migration snapshot is older than the database in the configs backup
+            restore_audiobookshelf_db "$BACKUP_DIR"
+            ;;
         *)
             error "Unknown component: $COMPONENT"
             exit 1
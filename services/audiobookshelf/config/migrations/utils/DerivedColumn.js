@@ -0,0 +1,280 @@
+const { convertToSnakeCase } = require('./MigrationHelper')
+
+/**
+ * @typedef DerivedColumnJoin
+ * @property {string} table - the joined table.
+ * @property {string} column - the column of the joined table matching references.
+ * @property {string} references - "table.column" of the previous table of the join path, e.g. "bookAuthors.authorId".
+ *
+ * @typedef DerivedColumnClearedBy
+ * @property {string} table - the table whose deleted rows clear the derived columns, e.g. "podcasts".
+ * @property {string} column - the column of the derived table holding the id of its row, e.g. "podcastId".
+ *
+ * @typedef DerivedColumnOptions
+ * @property {string} name - names the generated triggers, e.g. "authorNames" -> "update_library_items_author_names_on_book_authors_insert".
+ * @property {string} table - the table holding the derived columns, e.g. "libraryItems". Its rows are identified by an "id" column.
+ * @property {string} key - the column of table holding the id of the source row, e.g. "mediaId".
+ * @property {Record<string, string>} [filter] - column values of table restricting the rows kept in sync, e.g. { mediaType: 'book' }.
+ * @property {string} from - the source table whose "id" the key column holds, e.g. "books". It can be table itself with
+ *   key "id", e.g. for a count of its children or a value computed from its own columns, read as "table.column".
+ * @property {DerivedColumnJoin[]} [joins] - the join path from the source table to the tables the expressions read, in order.
+ * @property {Record<string, string>} columns - each derived column and the expression computing it, with columns qualified by table
+ *   name, e.g. { title: 'books.title' }. Over a one-to-many join path, use an aggregate or set orderBy.
+ * @property {string} [orderBy] - over a one-to-many join path, takes the values of the first row in this order, e.g. "series.name".
+ * @property {DerivedColumnClearedBy} [clearedBy] - keeps the derived columns when the source row is deleted, and clears them
+ *   when the row they point to is deleted instead, e.g. the podcastId of a progress whose episode was deleted.
+ *
+ * @typedef DerivedColumnTrigger
+ * @property {string} name
+ * @property {string} definition - everything after "CREATE TRIGGER <name>", as MigrationHelper.createTrigger takes it.
+ */
+
+const triggerEvents = ['insert', 'update', 'delete']
+
+/**
+ * Declares columns of a table that are computed from other tables, and generates the SQL that keeps them in sync:
+ * the backfill, and triggers for every insert, update and delete on each table of the join path,
+ * plus insert and update triggers on the table itself for rows that are added or re-pointed.
+ * MigrationHelper.populateDerivedColumn, addDerivedColumnTriggers and removeDerivedColumnTriggers run them.
+ *
+ * Every trigger recomputes the whole value for the affected rows instead of patching it,
+ * so the columns stay correct whichever source row changes, e.g. a co-author's lastFirst or the order of bookAuthors.
+ *
+ * @example
+ * new DerivedColumn({
+ *   name: 'authorNames',
+ *   table: 'libraryItems',
+ *   key: 'mediaId',
+ *   filter: { mediaType: 'book' },
+ *   from: 'books',
+ *   joins: [
+ *     { table: 'bookAuthors', column: 'bookId', references: 'books.id' },
+ *     { table: 'authors', column: 'id', references: 'bookAuthors.authorId' }
+ *   ],
+ *   columns: { authorNamesFirstLast: "GROUP_CONCAT(authors.name, ', ' ORDER BY bookAuthors.createdAt ASC)" }
+ * })
+ */
+class DerivedColumn {
+  /**
+   * @param {DerivedColumnOptions} options
+   */
+  constructor({ name, table, key, filter = {}, from, joins = [], columns, orderBy = null, clearedBy = null }) {
+    if (joins.length && joins[0].references !== `${from}.id`) {
+      throw new Error(`The join path of ${name} must start from ${from}.id`)
+    }
+    this.name = name
+    this.table = table
+    this.key = key
+    this.filter = filter
+    this.from = from
+    this.joins = joins
+    this.columns = columns
+    this.orderBy = orderBy
+    this.clearedBy = clearedBy
+  }
+
+  /**
+   * @returns {string[]} - the derived column names.
+   */
+  get columnNames() {
+    return Object.keys(this.columns)
+  }
+
+  /**
+   * @returns {string[]} - the source table and the joined tables.
+   */
+  get sourceTables() {
+    return [this.from, ...this.joins.map((join) => join.table)]
+  }
+
+  /**
+   * The columns of a source table the value depends on: those read by the expressions and those the join path matches on.
+   *
+   * @param {string} sourceTable
+   * @returns {string[]}
+   */
+  getWatchedColumns(sourceTable) {
+    const referencePattern = new RegExp(`\\b${sourceTable}\\.(\\w+)`, 'g')
+    const sql = [...Object.values(this.columns), this.orderBy || '', ...this.joins.map((join) => `${join.table}.${join.column} ${join.references}`)].join(' ')
+    const columns = new Set([...sql.matchAll(referencePattern)].map((match) => match[1]))
+    if (sourceTable === this.from) columns.add('id')
+    return [...columns]
+  }
+
+  /**
+   * @returns {boolean} - whether the expressions read the source table itself, rather than only the tables joined to it.
+   */
+  readsSourceTable() {
+    return !this.joins.length || new RegExp(`\\b${this.from}\\.`).test([...Object.values(this.columns), this.orderBy || ''].join(' '))
+  }
+
+  /**
+   * @returns {string} - the filter condition on the table, e.g. "libraryItems.mediaType = 'book'", empty without filter.
+   */
+  getFilterCondition() {
+    return Object.entries(this.filter)
+      .map(([column, value]) => `${this.table}.${column} = '${value}'`)
+      .join(' AND ')
+  }
+
+  /**
+   * Builds the subquery computing the derived columns of the row of the table the query runs on.
+   * The source table is left out of the FROM clause when no expression reads it, so a one-to-many path
+   * starts at its first join, the way 2.20.0 computes author names. It is left out when it is the table itself too.
+   *
+   * @param {string[]} [columnNames] - defaults to all derived columns.
+   * @returns {string}
+   */
+  getValueExpression(columnNames = this.columnNames) {
+    const expressions = columnNames.map((column) => this.columns[column]).join(', ')
+    const joinClause = (join) => `JOIN ${join.table} ON ${join.table}.${join.column} = ${join.references}`
+    const [firstJoin, ...otherJoins] = this.joins
+
+    // The row of the table itself is the row being updated, so its columns are read from there
+    if (this.from === this.table && !this.joins.length) return `SELECT ${expressions}`
+
+    let from, where
+    if (this.readsSourceTable() && this.from !== this.table) {
+      from = [this.from, ...this.joins.map(joinClause)].join(' ')
+      where = `${this.from}.id = ${this.table}.${this.key}`
+    } else {
+      from = [firstJoin.table, ...otherJoins.map(joinClause)].join(' ')
+      where = `${firstJoin.table}.${firstJoin.column} = ${this.table}.${this.key}`
+    }
+    return `SELECT ${expressions} FROM ${from} WHERE ${where}${this.orderBy ? ` ORDER BY ${this.orderBy} LIMIT 1` : ''}`
+  }
+
+  /**
+   * @returns {string} - the SET clause recomputing every derived column.
+   */
+  getSetClause() {
+    if (this.columnNames.length === 1) {
+      return `${this.columnNames[0]} = (${this.getValueExpression()})`
+    }
+    return `(${this.columnNames.join(', ')}) = (${this.getValueExpression()})`
+  }
+
+  /**
+   * With clearedBy, the rows whose source row is gone keep their values unless the row they point to is gone too.
+   *
+   * @returns {string} - the statement recomputing the derived columns of every row.
+   */
+  getBackfillStatement() {
+    const conditions = [this.getFilterCondition()]
+    if (this.clearedBy) {
+      const { table, column } = this.clearedBy
+      conditions.push(
+        `(EXISTS (SELECT 1 FROM ${this.from} WHERE ${this.from}.id = ${this.table}.${this.key}) OR NOT EXISTS (SELECT 1 FROM ${table} WHERE ${table}.id = ${this.table}.${column}))`
+      )
+    }
+    const where = conditions.filter(Boolean).join(' AND ')
+    return `UPDATE ${this.table} SET ${this.getSetClause()}${where ? ` WHERE ${where}` : ''}`
+  }
+
+  /**
+   * Builds the condition selecting the rows of the table that depend on a changed row of a source table.
+   *
+   * @param {string} sourceTable
+   * @param {'NEW'|'OLD'} row
+   * @returns {string}
+   */
+  getAffectedRowsCondition(sourceTable, row) {
+    const keyColumn = `${this.table}.${this.key}`
+    if (sourceTable === this.from) return `${keyColumn} = ${row}.id`
+
+    const position = this.joins.findIndex((join) => join.table === sourceTable)
+    const join = this.joins[position]
+    if (position === 0) return `${keyColumn} = ${row}.${join.column}`
+
+    // Walk the join path back to the first join, whose column holds the source id
+    const [firstJoin, ...otherJoins] = this.joins.slice(0, position)
+    const joinClauses = otherJoins.map((previous) => ` JOIN ${previous.table} ON ${previous.table}.${previous.column} = ${previous.references}`).join('')
+    return `${keyColumn} IN (SELECT ${firstJoin.table}.${firstJoin.column} FROM ${firstJoin.table}${joinClauses} WHERE ${join.references} = ${row}.${join.column})`
+  }
+
+  /**
+   * @param {string} sourceTable
+   * @param {string} event
+   * @returns {string}
+   */
+  getTriggerName(sourceTable, event) {
+    return convertToSnakeCase(`update_${this.table}_${this.name}_on_${sourceTable}_${event}`)
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} event - e.g. "AFTER INSERT ON books".
+   * @param {string} condition - selects the rows to recompute.
+   * @param {string} [setClause] - defaults to recomputing every derived column.
+   * @returns {DerivedColumnTrigger}
+   */
+  buildTrigger(name, event, condition, setClause = this.getSetClause()) {
+    const filter = this.getFilterCondition()
+    return {
+      name,
+      definition: `
+        ${event}
+        FOR EACH ROW
+        BEGIN
+          UPDATE ${this.table}
+            SET ${setClause}
+          WHERE ${filter ? `${filter} AND ` : ''}${condition};
+        END;
+      `
+    }
+  }
+
+  /**
+   * Generates every trigger keeping the derived columns in sync.
+   * On the table itself, inserted rows and rows whose key or filter columns change are recomputed, and rows whose
+   * watched columns change when the table is its own source.
+   * On each source table, inserts, deletes and updates of the watched columns recompute the rows depending
+   * on the old and the new version of the changed row.
+   * With clearedBy, deletes of the source row are left out, and deletes on the clearedBy table clear the columns instead.
+   *
+   * @returns {DerivedColumnTrigger[]}
+   */
+  getTriggers() {
+    const targetColumns = [this.key, ...Object.keys(this.filter)]
+    if (this.from === this.table) {
+      targetColumns.push(...this.getWatchedColumns(this.table).filter((column) => !targetColumns.includes(column) && !this.columnNames.includes(column)))
+    }
+    const triggers = [
+      this.buildTrigger(this.getTriggerName(this.table, 'insert'), `AFTER INSERT ON ${this.table}`, `${this.table}.id = NEW.id`),
+      this.buildTrigger(this.getTriggerName(this.table, 'update'), `AFTER UPDATE OF ${targetColumns.join(', ')} ON ${this.table}`, `${this.table}.id = NEW.id`)
+    ]
+
+    // A table derived from its own rows (e.g. a count of its children) is covered by the triggers above,
+    // and a source table only identifying the rows (e.g. books for author names) can't change the value
+    const sourceTables = this.sourceTables.filter((sourceTable) => sourceTable !== this.table && (sourceTable !== this.from || this.readsSourceTable()))
+    for (const sourceTable of sourceTables) {
+      for (const event of triggerEvents) {
+        const name = this.getTriggerName(sourceTable, event)
+        if (event === 'delete' && sourceTable === this.from && this.clearedBy) continue
+        if (event === 'insert') {
+          triggers.push(this.buildTrigger(name, `AFTER INSERT ON ${sourceTable}`, this.getAffectedRowsCondition(sourceTable, 'NEW')))
+        } else if (event === 'delete') {
+          triggers.push(this.buildTrigger(name, `AFTER DELETE ON ${sourceTable}`, this.getAffectedRowsCondition(sourceTable, 'OLD')))
+        } else {
+          const condition = `(${this.getAffectedRowsCondition(sourceTable, 'OLD')} OR ${this.getAffectedRowsCondition(sourceTable, 'NEW')})`
+          triggers.push(this.buildTrigger(name, `AFTER UPDATE OF ${this.getWatchedColumns(sourceTable).join(', ')} ON ${sourceTable}`, condition))
+        }
+      }
+    }
+    if (this.clearedBy) {
+      const { table, column } = this.clearedBy
+      const setClause = this.columnNames.map((columnName) => `${columnName} = NULL`).join(', ')
+      triggers.push(this.buildTrigger(this.getTriggerName(table, 'delete'), `AFTER DELETE ON ${table}`, `${this.table}.${column} = OLD.id`, setClause))
+    }
+    return triggers
+  }
+
+  /**
+   * @returns {string[]} - the names of every trigger getTriggers generates, for dropping them.
+   */
+  getTriggerNames() {
+    return this.getTriggers().map((trigger) => trigger.name)
+  }
+}
+
+module.exports = { DerivedColumn }
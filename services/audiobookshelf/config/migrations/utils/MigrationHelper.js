@@ -0,0 +1,481 @@
+const util = require('util')
+
+// Only the first violations are spelled out in the error message, ForeignKeyViolationError.violations has all of them
+const maxReportedViolations = 20
+
+// applySettingsMigration records the values removeSetting operations removed here, so revertSettingsMigration can put them back
+const previousSettingsTableName = 'previousSettings'
+
+/**
+ * @typedef ForeignKeyViolation
+ * @property {string} table - the table of the offending row.
+ * @property {number} rowid - the rowid of the offending row.
+ * @property {string} column - the foreign key column.
+ * @property {*} value - the value of the foreign key column.
+ * @property {string} parentTable - the referenced table.
+ * @property {string} parentColumn - the referenced column.
+ */
+
+/**
+ * Thrown when PRAGMA foreign_key_check finds rows that reference missing parent rows.
+ * The message lists the offending rows so they can be cleaned up before the migration is retried.
+ */
+class ForeignKeyViolationError extends Error {
+  /**
+   * @param {ForeignKeyViolation[]} violations
+   */
+  constructor(violations) {
+    const lines = violations.slice(0, maxReportedViolations).map((v) => `  ${v.table} rowid ${v.rowid}: ${v.column} = ${JSON.stringify(v.value)} has no matching ${v.parentTable}.${v.parentColumn}`)
+    if (violations.length > maxReportedViolations) {
+      lines.push(`  ... and ${violations.length - maxReportedViolations} more`)
+    }
+    super(`Foreign key violations detected (${violations.length}):\n${lines.join('\n')}`)
+    this.name = 'ForeignKeyViolationError'
+    this.violations = violations
+  }
+}
+
+/**
+ * Shared, idempotent schema helpers for new migrations (the server's own migrations keep their local helpers).
+ *
+ * Every operation checks the current schema before acting, so a migration can be re-run
+ * after a partial failure without erroring on objects it already created or removed.
+ * Index names are derived the same way for every migration (see getIndexName).
+ */
+class MigrationHelper {
+  /**
+   * @param {import('sequelize').QueryInterface} queryInterface - a sequelize QueryInterface object.
+   * @param {import('../../Logger')} logger - a Logger object.
+   * @param {string} loggerPrefix - the prefix used for every log line, e.g. "[2.20.0 migration]".
+   */
+  constructor(queryInterface, logger, loggerPrefix) {
+    this.queryInterface = queryInterface
+    this.logger = logger
+    this.loggerPrefix = loggerPrefix
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Object} [options] - sequelize query options
+   */
+  async query(sql, options) {
+    return this.queryInterface.sequelize.query(sql, options)
+  }
+
+  /**
+   * Runs a multi-table rebuild in a single transaction with foreign key enforcement off,
+   * which SQLite requires while a referenced table is dropped and re-created.
+   * If the callback throws, the transaction is rolled back and the error is rethrown,
+   * so the migration fails and stays pending instead of being recorded as applied.
+   * Foreign key enforcement is turned back on in either case.
+   *
+   * @param {() => Promise<void>} callback
+   */
+  async runInTransaction(callback) {
+    await this.query('PRAGMA foreign_keys = OFF;')
+    try {
+      await this.query('BEGIN TRANSACTION;')
+      try {
+        await callback()
+        await this.query('COMMIT;')
+      } catch (error) {
+        this.logger.error(`${this.loggerPrefix} Migration failed - rolling back. Error:`, error)
+        await this.query('ROLLBACK;')
+        throw error
+      }
+    } finally {
+      await this.query('PRAGMA foreign_keys = ON;')
+    }
+  }
+
+  /**
+   * Runs PRAGMA foreign_key_check on a table and resolves each violation to the offending column and value.
+   *
+   * @param {string} table
+   * @returns {Promise<ForeignKeyViolation[]>}
+   */
+  async getForeignKeyViolations(table) {
+    const quotedTable = this.queryInterface.quoteIdentifier(table)
+    const { SELECT } = this.queryInterface.sequelize.Sequelize.QueryTypes
+    const checkRows = await this.query(`PRAGMA foreign_key_check(${quotedTable});`, { type: SELECT })
+    if (!checkRows.length) return []
+
+    const foreignKeys = await this.query(`PRAGMA foreign_key_list(${quotedTable});`, { type: SELECT })
+    const violations = []
+    for (const row of checkRows) {
+      const foreignKey = foreignKeys.find((fk) => fk.id === row.fkid)
+      const [value] = await this.query(`SELECT ${this.queryInterface.quoteIdentifier(foreignKey.from)} AS value FROM ${quotedTable} WHERE rowid = :rowid`, {
+        replacements: { rowid: row.rowid },
+        type: SELECT
+      })
+      violations.push({ table: row.table, rowid: row.rowid, column: foreignKey.from, value: value?.value, parentTable: row.parent, parentColumn: foreignKey.to })
+    }
+    return violations
+  }
+
+  /**
+   * Throws a ForeignKeyViolationError if any row of the table references a missing parent row.
+   *
+   * @param {string} table
+   */
+  async checkForeignKeys(table) {
+    const violations = await this.getForeignKeyViolations(table)
+    if (violations.length) {
+      throw new ForeignKeyViolationError(violations)
+    }
+  }
+
+  /**
+   * @param {string} table
+   * @param {string} column
+   * @returns {Promise<boolean>}
+   */
+  async hasColumn(table, column) {
+    const tableDescription = await this.queryInterface.describeTable(table)
+    return !!tableDescription[column]
+  }
+
+  /**
+   * Adds a column to a table. If the column already exists, it logs a message and continues.
+   *
+   * @param {string} table - the name of the table to add the column to.
+   * @param {string} column - the name of the column to add.
+   * @param {Object} options - the options for the column.
+   */
+  async addColumn(table, column, options) {
+    this.logger.info(`${this.loggerPrefix} adding column "${column}" to table "${table}"`)
+    if (!(await this.hasColumn(table, column))) {
+      await this.queryInterface.addColumn(table, column, options)
+      this.logger.info(`${this.loggerPrefix} added column "${column}" to table "${table}"`)
+    } else {
+      this.logger.info(`${this.loggerPrefix} column "${column}" already exists in table "${table}"`)
+    }
+  }
+
+  /**
+   * Removes a column from a table. If the column does not exist, it logs a message and continues.
+   * Uses ALTER TABLE ... DROP COLUMN so the table is not rebuilt and its other indexes and triggers are kept.
+   * Indexes and triggers that reference the column must be removed first.
+   *
+   * @param {string} table - the name of the table to remove the column from.
+   * @param {string} column - the name of the column to remove.
+   */
+  async removeColumn(table, column) {
+    this.logger.info(`${this.loggerPrefix} removing column "${column}" from table "${table}"`)
+    if (await this.hasColumn(table, column)) {
+      await this.query(`ALTER TABLE ${table} DROP COLUMN ${column}`)
+      this.logger.info(`${this.loggerPrefix} removed column "${column}" from table "${table}"`)
+    } else {
+      this.logger.info(`${this.loggerPrefix} column "${column}" does not exist in table "${table}"`)
+    }
+  }
+
+  /**
+   * Re-creates a table with new column definitions and copies its rows, like queryInterface.changeColumn, but without
+   * its losses: the ON DELETE / ON UPDATE actions given in the attributes (which describeTable does not report) are
+   * set, and the table's indexes and triggers (which are dropped with the old table) are kept, including the
+   * temporary triggers of the connection (see 2.26.12).
+   * Must run inside runInTransaction, since with foreign keys enforced, dropping the old table
+   * would run the ON DELETE actions of the tables referencing it.
+   *
+   * @param {string} table - the name of the table.
+   * @param {Object} attributes - every column of the table, as returned by describeTable, with onDelete/onUpdate for foreign keys.
+   */
+  async rebuildTable(table, attributes) {
+    const dependents = await this.query(
+      `SELECT sql FROM sqlite_master WHERE tbl_name = :table AND type IN ('index', 'trigger') AND sql IS NOT NULL
+       UNION ALL
+       SELECT 'CREATE TEMP TRIGGER' || SUBSTR(sql, LENGTH('CREATE TRIGGER') + 1) FROM sqlite_temp_master WHERE tbl_name = :table AND type = 'trigger'`,
+      {
+        replacements: { table },
+        type: this.queryInterface.sequelize.Sequelize.QueryTypes.SELECT
+      }
+    )
+
+    const rebuildSql = this.queryInterface.queryGenerator.removeColumnQuery(table, attributes)
+    for (const statement of rebuildSql.split(';').filter((statement) => statement)) {
+      await this.query(`${statement};`, { raw: true })
+    }
+    for (const { sql } of dependents) {
+      await this.query(sql)
+    }
+  }
+
+  /**
+   * @param {string} table
+   * @param {string} indexName
+   * @returns {Promise<boolean>}
+   */
+  async hasIndex(table, indexName) {
+    const indexes = await this.queryInterface.showIndex(table)
+    return indexes.some((index) => index.name === indexName)
+  }
+
+  /**
+   * Adds an index to a table. If the index already exists, it logs a message and continues.
+   *
+   * @param {string} table - the name of the table.
+   * @param {(string|{name: string, collate?: string})[]} columns - the indexed columns.
+   * @param {Object} [options] - extra addIndex options, e.g. { unique: true }. options.name overrides the derived index name.
+   */
+  async addIndex(table, columns, options = {}) {
+    const columnString = columns.map((column) => util.inspect(column)).join(', ')
+    const indexName = options.name || getIndexName(table, columns)
+    this.logger.info(`${this.loggerPrefix} adding index on [${columnString}] to table "${table}". index name: ${indexName}`)
+    if (!(await this.hasIndex(table, indexName))) {
+      await this.queryInterface.addIndex(table, columns, { ...options, name: indexName })
+      this.logger.info(`${this.loggerPrefix} added index on [${columnString}] to table "${table}". index name: ${indexName}`)
+    } else {
+      this.logger.info(`${this.loggerPrefix} index ${indexName} for table "${table}" already exists`)
+    }
+  }
+
+  /**
+   * Removes an index from a table. If the index does not exist, it logs a message and continues.
+   *
+   * @param {string} table - the name of the table.
+   * @param {string|(string|{name: string})[]} columnsOrName - the indexed columns, or the explicit index name.
+   */
+  async removeIndex(table, columnsOrName) {
+    const indexName = typeof columnsOrName === 'string' ? columnsOrName : getIndexName(table, columnsOrName)
+    this.logger.info(`${this.loggerPrefix} removing index ${indexName} from table "${table}"`)
+    if (await this.hasIndex(table, indexName)) {
+      await this.queryInterface.removeIndex(table, indexName)
+      this.logger.info(`${this.loggerPrefix} removed index ${indexName} from table "${table}"`)
+    } else {
+      this.logger.info(`${this.loggerPrefix} index ${indexName} does not exist in table "${table}"`)
+    }
+  }
+
+  /**
+   * @param {string} triggerName
+   * @returns {Promise<boolean>}
+   */
+  async hasTrigger(triggerName) {
+    const [triggers] = await this.query(`SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = :triggerName`, {
+      replacements: { triggerName }
+    })
+    return triggers.length > 0
+  }
+
+  /**
+   * Creates a trigger. If a trigger with the same name exists, it is dropped and re-created
+   * so that the definition always matches the one given.
+   *
+   * @param {string} triggerName - the name of the trigger.
+   * @param {string} definition - everything after "CREATE TRIGGER <name>", e.g. "AFTER INSERT ON t FOR EACH ROW BEGIN ... END".
+   */
+  async createTrigger(triggerName, definition) {
+    this.logger.info(`${this.loggerPrefix} creating trigger ${triggerName}`)
+    await this.query(`DROP TRIGGER IF EXISTS ${triggerName}`)
+    // Keep the definition's own line breaks so the stored trigger SQL matches triggers created before this helper existed
+    await this.query(`CREATE TRIGGER ${triggerName}\n${definition.replace(/^[^\S\n]*\n/, '')}`)
+    this.logger.info(`${this.loggerPrefix} created trigger ${triggerName}`)
+  }
+
+  /**
+   * Drops a trigger if it exists.
+   *
+   * @param {string} triggerName - the name of the trigger.
+   */
+  async dropTrigger(triggerName) {
+    this.logger.info(`${this.loggerPrefix} dropping trigger ${triggerName}`)
+    await this.query(`DROP TRIGGER IF EXISTS ${triggerName}`)
+    this.logger.info(`${this.loggerPrefix} dropped trigger ${triggerName}`)
+  }
+
+  /**
+   * Recomputes the columns of a derived column declaration for every row of its table.
+   *
+   * @param {import('./DerivedColumn').DerivedColumn} derivedColumn
+   */
+  async populateDerivedColumn(derivedColumn) {
+    const columnNames = derivedColumn.columnNames.join(', ')
+    this.logger.info(`${this.loggerPrefix} populating ${columnNames} columns in ${derivedColumn.table} table`)
+    await this.query(derivedColumn.getBackfillStatement())
+    this.logger.info(`${this.loggerPrefix} populated ${columnNames} columns in ${derivedColumn.table} table`)
+  }
+
+  /**
+   * Creates every trigger keeping the columns of a derived column declaration in sync (see DerivedColumn.getTriggers).
+   * Existing triggers with the same names are replaced.
+   *
+   * @param {import('./DerivedColumn').DerivedColumn} derivedColumn
+   */
+  async addDerivedColumnTriggers(derivedColumn) {
+    this.logger.info(`${this.loggerPrefix} adding triggers to update ${derivedColumn.table} ${derivedColumn.columnNames.join(', ')}`)
+    for (const trigger of derivedColumn.getTriggers()) {
+      await this.createTrigger(trigger.name, trigger.definition)
+    }
+    this.logger.info(`${this.loggerPrefix} added triggers to update ${derivedColumn.table} ${derivedColumn.columnNames.join(', ')}`)
+  }
+
+  /**
+   * Drops the triggers added with addDerivedColumnTriggers.
+   *
+   * @param {import('./DerivedColumn').DerivedColumn} derivedColumn
+   */
+  async removeDerivedColumnTriggers(derivedColumn) {
+    this.logger.info(`${this.loggerPrefix} removing triggers to update ${derivedColumn.table} ${derivedColumn.columnNames.join(', ')}`)
+    for (const triggerName of derivedColumn.getTriggerNames()) {
+      await this.dropTrigger(triggerName)
+    }
+    this.logger.info(`${this.loggerPrefix} removed triggers to update ${derivedColumn.table} ${derivedColumn.columnNames.join(', ')}`)
+  }
+
+  /**
+   * Reads and parses a JSON row of the settings table.
+   *
+   * @param {string} key - e.g. "server-settings", "email-settings" or "notification-settings".
+   * @returns {Promise<Object>}
+   */
+  async getSettings(key) {
+    const [row] = await this.query('SELECT value FROM settings WHERE key = :key', { replacements: { key }, type: this.queryInterface.sequelize.Sequelize.QueryTypes.SELECT })
+    if (!row) {
+      this.logger.error(`${this.loggerPrefix} ${key} not found`)
+      throw new Error(`Settings ${key} not found`)
+    }
+    try {
+      return JSON.parse(row.value)
+    } catch (error) {
+      this.logger.error(`${this.loggerPrefix} Error parsing ${key}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} settings
+   */
+  async updateSettings(key, settings) {
+    await this.query('UPDATE settings SET value = :value WHERE key = :key', { replacements: { key, value: JSON.stringify(settings) } })
+  }
+
+  /**
+   * Applies the operations of a settings migration to its settings row, and logs what each did.
+   * The row is only written if it changed, and not at all if the result doesn't match the schema.
+   * The values of removed keys are recorded in the previousSettings table for revertSettingsMigration.
+   *
+   * @param {import('./SettingsMigration').SettingsMigration} settingsMigration
+   */
+  async applySettingsMigration(settingsMigration) {
+    await this.migrateSettings(settingsMigration, 'up')
+  }
+
+  /**
+   * Applies the inverse operations of a settings migration to its settings row, like applySettingsMigration.
+   * Removed keys get their recorded values back, and the records are dropped.
+   *
+   * @param {import('./SettingsMigration').SettingsMigration} settingsMigration
+   */
+  async revertSettingsMigration(settingsMigration) {
+    await this.migrateSettings(settingsMigration, 'down')
+  }
+
+  /**
+   * @param {import('./SettingsMigration').SettingsMigration} settingsMigration
+   * @param {'up'|'down'} direction
+   */
+  async migrateSettings(settingsMigration, direction) {
+    const { key } = settingsMigration
+    this.logger.info(`${this.loggerPrefix} migrating ${key} ${direction}`)
+    const settings = await this.getSettings(key)
+    const previousSettings = direction === 'down' ? await this.getPreviousSettings(settingsMigration) : []
+    const result = direction === 'up' ? settingsMigration.up(settings) : settingsMigration.down(settings, previousSettings)
+    for (const change of result.changes) {
+      this.logger.info(`${this.loggerPrefix} ${key}: ${change}`)
+    }
+    if (JSON.stringify(result.settings) !== JSON.stringify(settings)) {
+      await this.updateSettings(key, result.settings)
+      this.logger.info(`${this.loggerPrefix} updated ${key}`)
+    } else {
+      this.logger.info(`${this.loggerPrefix} ${key} unchanged`)
+    }
+
+    if (direction === 'up') {
+      await this.savePreviousSettings(key, result.removedSettings)
+    } else {
+      await this.removePreviousSettings(previousSettings.map((previousSetting) => previousSetting.id))
+    }
+  }
+
+  /**
+   * Records what the remove operations of a settings migration removed. Keys that weren't set are recorded too,
+   * so reverting doesn't restore the value an earlier migration removed.
+   *
+   * @param {string} key - the settings row.
+   * @param {import('./SettingsMigration').RemovedSetting[]} removedSettings
+   */
+  async savePreviousSettings(key, removedSettings) {
+    if (!removedSettings.length) return
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ${previousSettingsTableName} (
+        id INTEGER PRIMARY KEY,
+        settingsKey VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        wasSet TINYINT(1) NOT NULL,
+        value TEXT
+      )
+    `)
+    for (const { key: name, wasSet, value } of removedSettings) {
+      await this.query(`INSERT INTO ${previousSettingsTableName} (settingsKey, name, wasSet, value) VALUES (:key, :name, :wasSet, :value)`, {
+        replacements: { key, name, wasSet: wasSet ? 1 : 0, value: wasSet ? JSON.stringify(value) : null }
+      })
+    }
+  }
+
+  /**
+   * Returns the latest records of the keys a settings migration removes, as many per key as it removes it.
+   *
+   * @param {import('./SettingsMigration').SettingsMigration} settingsMigration
+   * @returns {Promise<(import('./SettingsMigration').RemovedSetting & {id: number})[]>} - oldest first.
+   */
+  async getPreviousSettings(settingsMigration) {
+    if (!settingsMigration.removedKeys.length || !(await this.queryInterface.tableExists(previousSettingsTableName))) return []
+    const previousSettings = []
+    for (const name of new Set(settingsMigration.removedKeys)) {
+      const count = settingsMigration.removedKeys.filter((removedKey) => removedKey === name).length
+      const [rows] = await this.query(`SELECT id, wasSet, value FROM ${previousSettingsTableName} WHERE settingsKey = :key AND name = :name ORDER BY id DESC LIMIT ${count}`, {
+        replacements: { key: settingsMigration.key, name }
+      })
+      previousSettings.push(...rows.map((row) => ({ id: row.id, key: name, wasSet: !!row.wasSet, ...(row.wasSet ? { value: JSON.parse(row.value) } : {}) })))
+    }
+    return previousSettings.sort((a, b) => a.id - b.id)
+  }
+
+  /**
+   * Drops used records, and the table once it's empty.
+   *
+   * @param {number[]} ids
+   */
+  async removePreviousSettings(ids) {
+    if (!ids.length) return
+    await this.query(`DELETE FROM ${previousSettingsTableName} WHERE id IN (:ids)`, { replacements: { ids } })
+    const [[{ count }]] = await this.query(`SELECT COUNT(*) AS count FROM ${previousSettingsTableName}`)
+    if (!count) await this.queryInterface.dropTable(previousSettingsTableName)
+  }
+}
+
+/**
+ * Utility function to convert a string to snake case, e.g. "titleIgnorePrefix" -> "title_ignore_prefix"
+ *
+ * @param {string} str - the string to convert to snake case.
+ * @returns {string} - the string in snake case.
+ */
+function convertToSnakeCase(str) {
+  return str.replace(/([A-Z])/g, '_$1').toLowerCase()
+}
+
+/**
+ * Derives an index name the same way sequelize does when no name is given,
+ * e.g. ("libraryItems", ["libraryId", { name: "title" }]) -> "library_items_library_id_title"
+ *
+ * @param {string} table
+ * @param {(string|{name: string})[]} columns
+ * @returns {string}
+ */
+function getIndexName(table, columns) {
+  return convertToSnakeCase(`${table}_${columns.map((column) => (typeof column === 'string' ? column : column.name)).join('_')}`)
+}
+
+module.exports = { MigrationHelper, ForeignKeyViolationError, convertToSnakeCase, getIndexName }
@@ -0,0 +1,267 @@
+/**
+ * @typedef {Record<string, string|string[]>} SettingsSchema
+ * The keys the migrated settings must have, and their type(s): "object", "array", "string", "number", "integer",
+ * "boolean" or "null", e.g. { port: 'integer', host: ['string', 'null'] }.
+ *
+ * @typedef SettingsOperation
+ * @property {'add'|'rename'|'remove'|'restore'|'transform'} type - restore is the inverse of remove.
+ * @property {string} key
+ * @property {*} [value] - add: the value to add.
+ * @property {(settings: Object) => boolean} [when] - add: only adds the key to settings this returns true for.
+ * @property {string} [to] - rename: the new name of key.
+ * @property {(value: *, settings: Object) => *} [transform] - transform: computes the new value of key.
+ * @property {(value: *, settings: Object) => *} [inverse] - transform: computes the old value back.
+ *
+ * @typedef RemovedSetting
+ * @property {string} key
+ * @property {boolean} wasSet - false if the key was already missing, so there's nothing to restore.
+ * @property {*} [value] - the removed value.
+ *
+ * @typedef SettingsMigrationResult
+ * @property {Object} settings - the migrated settings, a copy.
+ * @property {string[]} changes - what each operation did, for the log.
+ * @property {RemovedSetting[]} removedSettings - what each remove operation removed, for down to restore.
+ */
+
+/**
+ * Adds a key with a value, unless it's already there.
+ * The inverse removes the key.
+ *
+ * @param {string} key
+ * @param {*} value
+ * @param {{when?: (settings: Object) => boolean}} [options]
+ * @returns {SettingsOperation}
+ */
+function addSetting(key, value, { when } = {}) {
+  return { type: 'add', key, value, when }
+}
+
+/**
+ * Renames a key, keeping its value. The inverse renames it back.
+ *
+ * @param {string} key
+ * @param {string} to
+ * @returns {SettingsOperation}
+ */
+function renameSetting(key, to) {
+  return { type: 'rename', key, to }
+}
+
+/**
+ * Removes a key. The removed value is part of the result of up, and the inverse adds it back from there,
+ * so down restores whatever the settings held (see MigrationHelper.applySettingsMigration).
+ *
+ * @param {string} key
+ * @returns {SettingsOperation}
+ */
+function removeSetting(key) {
+  return { type: 'remove', key }
+}
+
+/**
+ * Replaces the value of a key, if it has one, by transform(value, settings). The inverse applies inverse instead,
+ * which must compute the old value back.
+ *
+ * @param {string} key
+ * @param {(value: *, settings: Object) => *} transform
+ * @param {(value: *, settings: Object) => *} inverse
+ * @returns {SettingsOperation}
+ */
+function transformSetting(key, transform, inverse) {
+  if (typeof transform !== 'function' || typeof inverse !== 'function') {
+    throw new Error(`Transforming setting ${key} needs both the transform and its inverse`)
+  }
+  return { type: 'transform', key, transform, inverse }
+}
+
+/**
+ * @param {SettingsOperation} operation
+ * @returns {SettingsOperation}
+ */
+function getInverseOperation(operation) {
+  switch (operation.type) {
+    case 'add':
+      return removeSetting(operation.key)
+    case 'rename':
+      return renameSetting(operation.to, operation.key)
+    case 'remove':
+      return { type: 'restore', key: operation.key }
+    case 'transform':
+      return transformSetting(operation.key, operation.inverse, operation.transform)
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {string} - the JSON Schema type of a value.
+ */
+function getType(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+/**
+ * Thrown when migrated settings don't match the schema. Nothing is written then.
+ */
+class SettingsValidationError extends Error {
+  /**
+   * @param {string} key - the settings row.
+   * @param {string[]} errors
+   */
+  constructor(key, errors) {
+    super(`Migrated ${key} do not match the schema:\n  ${errors.join('\n  ')}`)
+    this.name = 'SettingsValidationError'
+    this.errors = errors
+  }
+}
+
+/**
+ * Declares changes to one of the JSON rows of the settings table ("server-settings", "email-settings",
+ * "notification-settings") as a list of operations, and applies them or their inverse to the parsed settings.
+ * The inverse of the whole migration undoes the operations in reverse order, so down needs no code of its own;
+ * it only needs the removedSettings of up to put removed keys back.
+ * After either direction, the settings are validated: the id must be the settings key, and removed and renamed keys
+ * must be gone. After up, the keys of the optional schema must be set, with one of their types.
+ * MigrationHelper.applySettingsMigration and revertSettingsMigration read, migrate and write the row.
+ *
+ * @example
+ * new SettingsMigration('server-settings', [
+ *   addSetting('authOpenIDSubfolderForRedirectURLs', '', { when: (settings) => settings.authActiveAuthMethods?.includes('openid') })
+ * ])
+ * new SettingsMigration('email-settings', [
+ *   transformSetting('port', (port) => String(port), (port) => Number(port))
+ * ], { schema: { port: 'string' } })
+ */
+class SettingsMigration {
+  /**
+   * @param {string} key - the settings row, e.g. "server-settings".
+   * @param {SettingsOperation[]} operations - applied in order.
+   * @param {{schema?: SettingsSchema}} [options] - checked after up.
+   */
+  constructor(key, operations, { schema = {} } = {}) {
+    this.key = key
+    this.operations = operations
+    this.schema = schema
+  }
+
+  /**
+   * @returns {SettingsOperation[]} - the inverse operations, in the order they undo the migration.
+   */
+  get inverseOperations() {
+    return [...this.operations].reverse().map(getInverseOperation)
+  }
+
+  /**
+   * @returns {string[]} - the keys up removes, whose values down needs.
+   */
+  get removedKeys() {
+    return this.operations.filter((operation) => operation.type === 'remove').map((operation) => operation.key)
+  }
+
+  /**
+   * @param {Object} settings
+   * @returns {SettingsMigrationResult}
+   */
+  up(settings) {
+    return this.migrate(settings, this.operations, this.schema, [])
+  }
+
+  /**
+   * @param {Object} settings
+   * @param {RemovedSetting[]} removedSettings - the removedSettings of up. Removed keys without one are not restored.
+   * @returns {SettingsMigrationResult}
+   */
+  down(settings, removedSettings) {
+    return this.migrate(settings, this.inverseOperations, {}, removedSettings)
+  }
+
+  /**
+   * @param {Object} settings
+   * @param {SettingsOperation[]} operations
+   * @param {SettingsSchema} schema
+   * @param {RemovedSetting[]} removedSettings - the values restore operations add back.
+   * @returns {SettingsMigrationResult}
+   */
+  migrate(settings, operations, schema, removedSettings) {
+    const migrated = structuredClone(settings)
+    const result = { settings: migrated, changes: [], removedSettings: [] }
+    // Restore operations take the values from the end, since they undo the remove operations in reverse order
+    const pendingRemovedSettings = [...removedSettings]
+    for (const operation of operations) {
+      result.changes.push(this.applyOperation(migrated, operation, pendingRemovedSettings, result.removedSettings))
+    }
+    const errors = this.validate(migrated, operations, schema)
+    if (errors.length) throw new SettingsValidationError(this.key, errors)
+    return result
+  }
+
+  /**
+   * @param {Object} settings - changed in place.
+   * @param {SettingsOperation} operation
+   * @param {RemovedSetting[]} removedSettings - the values restore operations add back, each taken out once used.
+   * @param {RemovedSetting[]} removed - remove operations append what they removed.
+   * @returns {string} - what the operation did.
+   */
+  applyOperation(settings, operation, removedSettings, removed) {
+    const { type, key } = operation
+    switch (type) {
+      case 'add':
+        if (key in settings) return `${key} already set`
+        if (operation.when && !operation.when(settings)) return `${key} not added, its condition is not met`
+        settings[key] = structuredClone(operation.value)
+        return `added ${key}`
+      case 'rename':
+        if (!(key in settings)) return `${key} not set, nothing to rename`
+        if (operation.to in settings) throw new Error(`Cannot rename ${this.key} ${key} to ${operation.to}: ${operation.to} is already set`)
+        settings[operation.to] = settings[key]
+        delete settings[key]
+        return `renamed ${key} to ${operation.to}`
+      case 'remove':
+        if (!(key in settings)) {
+          removed.push({ key, wasSet: false })
+          return `${key} not set, nothing to remove`
+        }
+        removed.push({ key, wasSet: true, value: settings[key] })
+        delete settings[key]
+        return `removed ${key}`
+      case 'restore': {
+        const index = removedSettings.findLastIndex((removedSetting) => removedSetting.key === key)
+        if (index === -1) return `${key} not restored, its removed value was not recorded`
+        const [removedSetting] = removedSettings.splice(index, 1)
+        if (!removedSetting.wasSet) return `${key} was not set before, nothing to restore`
+        if (key in settings) throw new Error(`Cannot restore ${this.key} ${key}: it is set again`)
+        settings[key] = structuredClone(removedSetting.value)
+        return `restored ${key}`
+      }
+      case 'transform':
+        if (!(key in settings)) return `${key} not set, nothing to transform`
+        settings[key] = operation.transform(settings[key], settings)
+        return `transformed ${key}`
+    }
+    throw new Error(`Unknown settings operation ${type}`)
+  }
+
+  /**
+   * @param {Object} settings
+   * @param {SettingsOperation[]} operations - the operations that were applied.
+   * @param {SettingsSchema} schema
+   * @returns {string[]} - what doesn't match.
+   */
+  validate(settings, operations, schema) {
+    const errors = []
+    if (settings.id !== this.key) errors.push(`${this.key}.id should be ${JSON.stringify(this.key)}, not ${JSON.stringify(settings.id)}`)
+    for (const { type, key } of operations) {
+      if ((type === 'remove' || type === 'rename') && key in settings) errors.push(`${this.key}.${key} should not be set`)
+    }
+    for (const [key, types] of Object.entries(schema)) {
+      const type = getType(settings[key])
+      if (!(key in settings)) errors.push(`${this.key}.${key} is missing`)
+      else if (![].concat(types).some((allowed) => allowed === type || (allowed === 'number' && type === 'integer'))) errors.push(`${this.key}.${key} should be ${[].concat(types).join(' or ')}, not ${type}`)
+    }
+    return errors
+  }
+}
+
+module.exports = { SettingsMigration, SettingsValidationError, addSetting, renameSetting, removeSetting, transformSetting }
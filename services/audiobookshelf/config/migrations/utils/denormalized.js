@@ -0,0 +1,204 @@
+/**
+ * The libraryItems columns that copy data from the media tables, shared by the merge logic and the check-denormalized tool
+ * in services/audiobookshelf/tools. 2.19.1, 2.19.4, 2.20.0, 2.26.4 and 2.26.7 populate them and 2.26.3 to 2.26.7 keep them
+ * in sync with triggers, so rows written before the triggers existed, or while one was missing, can hold stale values.
+ *
+ * @typedef DenormalizedColumn
+ * @property {string} column - the libraryItems column.
+ * @property {string|null} mediaType - the libraryItems rows the column is maintained for, null for all of them.
+ * @property {string} source - where the value comes from, for reports.
+ * @property {string} expression - a subquery computing the expected value for the libraryItems row.
+ *
+ * @typedef Mismatch
+ * @property {string} id - the libraryItems row.
+ * @property {string|null} actual
+ * @property {string|null} expected
+ *
+ * @typedef MismatchReport
+ * @property {string} column
+ * @property {string|null} mediaType
+ * @property {string} source
+ * @property {number} count - the number of libraryItems rows whose value differs from the source.
+ * @property {Mismatch[]} examples - the first few of them.
+ */
+
+const { DerivedColumn } = require('./DerivedColumn')
+const { getSequenceSortKeyExpression } = require('./sequence')
+const { getSortKeyExpression } = require('./sortKey')
+
+// 2.20.0 joins author names in the order the authors were added to the book, 2.26.6 in the order of their position
+const authorsOrderByCreatedAt = 'bookAuthors.createdAt ASC'
+const authorsOrderByPosition = 'bookAuthors.position ASC'
+// A book in several series is sorted by the series it was added to first
+const seriesOrder = 'bookSeries.createdAt ASC, bookSeries.id ASC'
+
+/**
+ * @param {string} authorsOrder - authorsOrderByCreatedAt or authorsOrderByPosition.
+ * @returns {DerivedColumn} - the libraryItems authorNamesFirstLast and authorNamesLastFirst columns, joined in that order.
+ */
+function createAuthorNamesDerivedColumn(authorsOrder) {
+  return new DerivedColumn({
+    name: 'authorNames',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    joins: [
+      { table: 'bookAuthors', column: 'bookId', references: 'books.id' },
+      { table: 'authors', column: 'id', references: 'bookAuthors.authorId' }
+    ],
+    columns: {
+      authorNamesFirstLast: `GROUP_CONCAT(authors.name, ', ' ORDER BY ${authorsOrder})`,
+      authorNamesLastFirst: `GROUP_CONCAT(authors.lastFirst, ', ' ORDER BY ${authorsOrder})`
+    }
+  })
+}
+
+/**
+ * The libraryItems columns derived from the media tables and their sort keys, as the latest migrations (2.26.3 to 2.26.7) keep them in sync.
+ * Migrations declare their own frozen copies instead of using these, and a change here goes with a new migration recreating the triggers.
+ * @type {DerivedColumn[]}
+ */
+const libraryItemsDerivedColumns = [
+  new DerivedColumn({
+    name: 'bookTitle',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    columns: { title: 'books.title', titleIgnorePrefix: 'books.titleIgnorePrefix' }
+  }),
+  new DerivedColumn({
+    name: 'podcastTitle',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'podcast' },
+    from: 'podcasts',
+    columns: { title: 'podcasts.title', titleIgnorePrefix: 'podcasts.titleIgnorePrefix' }
+  }),
+  createAuthorNamesDerivedColumn(authorsOrderByPosition),
+  new DerivedColumn({
+    name: 'series',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    joins: [
+      { table: 'bookSeries', column: 'bookId', references: 'books.id' },
+      { table: 'series', column: 'id', references: 'bookSeries.seriesId' }
+    ],
+    columns: { seriesName: 'series.name', seriesSequence: getSequenceSortKeyExpression('bookSeries.sequence') },
+    orderBy: seriesOrder
+  }),
+  new DerivedColumn({
+    name: 'sortKeys',
+    table: 'libraryItems',
+    key: 'id',
+    from: 'libraryItems',
+    columns: {
+      titleSortKey: getSortKeyExpression('libraryItems.title'),
+      titleIgnorePrefixSortKey: getSortKeyExpression('libraryItems.titleIgnorePrefix'),
+      authorNamesFirstLastSortKey: getSortKeyExpression('libraryItems.authorNamesFirstLast'),
+      authorNamesLastFirstSortKey: getSortKeyExpression('libraryItems.authorNamesLastFirst')
+    }
+  })
+]
+
+/**
+ * Returns the order of the authors of a book: by position once 2.26.6 has added it, by createdAt before.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<string>} - authorsOrderByCreatedAt or authorsOrderByPosition.
+ */
+async function getAuthorsOrder(sequelize) {
+  const [positionColumns] = await sequelize.query("SELECT name FROM pragma_table_info('bookAuthors') WHERE name = 'position'")
+  return positionColumns.length ? authorsOrderByPosition : authorsOrderByCreatedAt
+}
+
+/**
+ * @param {DerivedColumn[]} derivedColumns
+ * @returns {DenormalizedColumn[]}
+ */
+function getDenormalizedColumnDefinitions(derivedColumns) {
+  return derivedColumns.flatMap((derivedColumn) =>
+    derivedColumn.columnNames.map((column) => ({
+      column,
+      mediaType: derivedColumn.filter.mediaType || null,
+      // The qualified columns the expression reads, e.g. "authors.name, bookAuthors.position"
+      source: [...new Set(derivedColumn.columns[column].match(/\b\w+\.\w+\b/g))].filter((reference) => derivedColumn.sourceTables.includes(reference.split('.')[0])).join(', '),
+      expression: derivedColumn.getValueExpression([column])
+    }))
+  )
+}
+
+const exampleCount = 5
+
+/**
+ * @param {DenormalizedColumn} definition
+ * @returns {string}
+ */
+function mismatchCondition(definition) {
+  const mediaTypeCondition = definition.mediaType ? `libraryItems.mediaType = '${definition.mediaType}' AND ` : ''
+  return `${mediaTypeCondition}libraryItems.${definition.column} IS NOT (${definition.expression})`
+}
+
+/**
+ * Returns the denormalized columns the database has, so the tool also works before 2.20.0 has run,
+ * with author names in the order of the database, so it also works before 2.26.6 has run.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<DenormalizedColumn[]>}
+ */
+async function getDenormalizedColumns(sequelize) {
+  const rows = await sequelize.query(`SELECT name FROM pragma_table_info('libraryItems')`, { type: sequelize.QueryTypes.SELECT })
+  const columnNames = rows.map((row) => row.name)
+  const authorNamesDerivedColumn = createAuthorNamesDerivedColumn(await getAuthorsOrder(sequelize))
+  const derivedColumns = libraryItemsDerivedColumns.map((derivedColumn) => (derivedColumn.name === authorNamesDerivedColumn.name ? authorNamesDerivedColumn : derivedColumn))
+  return getDenormalizedColumnDefinitions(derivedColumns).filter((definition) => columnNames.includes(definition.column))
+}
+
+/**
+ * Recomputes every denormalized column from its source and reports the rows that differ.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<MismatchReport[]>}
+ */
+async function findMismatches(sequelize) {
+  const { SELECT } = sequelize.QueryTypes
+  const reports = []
+  for (const definition of await getDenormalizedColumns(sequelize)) {
+    const [{ count }] = await sequelize.query(`SELECT COUNT(*) AS count FROM libraryItems WHERE ${mismatchCondition(definition)}`, { type: SELECT })
+    const examples = await sequelize.query(
+      `
+        SELECT id, ${definition.column} AS actual, (${definition.expression}) AS expected
+        FROM libraryItems
+        WHERE ${mismatchCondition(definition)}
+        ORDER BY id
+        LIMIT ${exampleCount}
+      `,
+      { type: SELECT }
+    )
+    reports.push({ column: definition.column, mediaType: definition.mediaType, source: definition.source, count, examples })
+  }
+  return reports
+}
+
+/**
+ * Repairs up to batchSize mismatching rows of one denormalized column. Call it until it returns 0,
+ * committing in between so each batch holds the write lock only briefly.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} column
+ * @param {string|null} mediaType
+ * @param {number} batchSize
+ * @returns {Promise<number>} - the number of rows repaired.
+ */
+async function repairMismatchBatch(sequelize, column, mediaType, batchSize) {
+  const definition = (await getDenormalizedColumns(sequelize)).find((definition) => definition.column === column && definition.mediaType === mediaType)
+  const rows = await sequelize.query(`SELECT id FROM libraryItems WHERE ${mismatchCondition(definition)} LIMIT ${batchSize}`, { type: sequelize.QueryTypes.SELECT })
+  if (!rows.length) return 0
+  await sequelize.query(`UPDATE libraryItems SET ${column} = (${definition.expression}) WHERE id IN (:ids)`, { replacements: { ids: rows.map((row) => row.id) } })
+  return rows.length
+}
+
+module.exports = { createAuthorNamesDerivedColumn, libraryItemsDerivedColumns, getAuthorsOrder, findMismatches, repairMismatchBatch }
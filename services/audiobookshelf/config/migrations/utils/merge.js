@@ -0,0 +1,636 @@
+const { createAuthorNamesDerivedColumn, getAuthorsOrder } = require('./denormalized')
+const { getSequenceSortKeyExpression } = require('./sequence')
+
+/**
+ * Merge logic shared by the migrations and the maintenance tools in services/audiobookshelf/tools.
+ * Every merge is recorded in the mergeLogs table with the full rows it deleted or re-pointed, so restoreMerge can undo it.
+ *
+ * @typedef SeriesMergeResult
+ * @property {number} mergeLogId - the mergeLogs row recording the merge.
+ * @property {string[]} deletedBookSeriesIds - bookSeries rows dropped because their book was already linked to another series of the merge.
+ * @property {string[]} movedBookSeriesIds - bookSeries rows re-pointed to the surviving series.
+ *
+ * @typedef AuthorMergeResult
+ * @property {number} mergeLogId - the mergeLogs row recording the merge.
+ * @property {string[]} deletedBookAuthorIds - bookAuthors rows dropped because their book was already linked to another author of the merge.
+ * @property {string[]} movedBookAuthorIds - bookAuthors rows re-pointed to the surviving author.
+ *
+ * @typedef PodcastEpisodeMergeResult
+ * @property {number} mergeLogId - the mergeLogs row recording the merge.
+ * @property {string[]} deletedLinkIds - mediaProgresses and playlistMediaItems rows dropped because their user or playlist already had one for another episode of the merge.
+ * @property {string[]} movedLinkIds - mediaProgresses, playlistMediaItems and playbackSessions rows re-pointed to the surviving episode.
+ * @property {string[]} audioFilePaths - the audio files of the deleted episodes, removed from the libraryFiles of their library
+ *   item but still on disk. The next scan re-creates an episode without a GUID for each of them unless the file is removed.
+ *
+ * @typedef DuplicatePodcastEpisodes
+ * @property {string} podcastId
+ * @property {string} episodeKey - the GUID or enclosure URL the episodes share (see getEpisodeKeyExpression).
+ * @property {string[]} episodeIds - the episodes, the one to keep first.
+ *
+ * @typedef MergeOptions
+ * @property {string} [source] - what ran the merge, recorded in the merge log, e.g. "2.26.1 migration" or "dedupe-series".
+ *
+ * @typedef MergeLog
+ * @property {number} id
+ * @property {'series'|'author'|'podcastEpisode'} entityType
+ * @property {string} survivorId
+ * @property {Object} survivor - the surviving row as it was before the merge.
+ * @property {Object[]} mergedRows - the deleted series, authors or podcastEpisodes rows. A podcastEpisodes row also has a
+ *   libraryFile property, the libraryFiles entry of its audio file removed from its library item, or null.
+ * @property {Object[]} deletedLinks - the deleted bookSeries or bookAuthors rows, or the deleted mediaProgresses and
+ *   playlistMediaItems rows with a linkTable property naming their table.
+ * @property {Object[]} movedLinks - the re-pointed link rows, as they were before the merge, like deletedLinks.
+ * @property {string[]} audioFilePaths - for podcast episodes, the audio files of the merged episodes (see PodcastEpisodeMergeResult).
+ * @property {string|null} source
+ * @property {string} createdAt
+ * @property {string|null} restoredAt
+ *
+ * @typedef RestoreResult
+ * @property {number} restoredRows - series, authors or podcast episodes re-created.
+ * @property {number} restoredLinks - link rows re-created or pointed back.
+ * @property {string[]} skippedLinks - links that changed since the merge and were left alone, with the reason.
+ */
+
+const mergeLogTableName = 'mergeLogs'
+
+/**
+ * The feed GUID of a podcast episode, or its enclosure URL if it has none; NULL for episodes with neither,
+ * e.g. those the scanner added from audio files. Episodes of a podcast with the same key are duplicates.
+ * Invalid extraData JSON counts as no GUID rather than failing the query.
+ *
+ * @param {string} [extraData] - the extraData column or parameter.
+ * @param {string} [enclosureURL] - the enclosureURL column or parameter.
+ * @returns {string}
+ */
+function getEpisodeKeyExpression(extraData = 'extraData', enclosureURL = 'enclosureURL') {
+  return `COALESCE(NULLIF(CASE WHEN json_valid(${extraData}) THEN json_extract(${extraData}, '$.guid') END, ''), NULLIF(${enclosureURL}, ''))`
+}
+
+// Links to a podcast episode. Of the links of one user or playlist to several episodes of a merge, only the first in
+// keepOrder is kept, so a user keeps their furthest progress and an episode is listed once per playlist.
+const podcastEpisodeLinks = [
+  { table: 'mediaProgresses', column: 'mediaItemId', typeColumn: 'mediaItemType', groupBy: 'userId', keepOrder: 'isFinished DESC, currentTime DESC, updatedAt DESC', parent: { table: 'users', column: 'userId' } },
+  { table: 'playlistMediaItems', column: 'mediaItemId', typeColumn: 'mediaItemType', groupBy: 'playlistId', keepOrder: '"order", createdAt', parent: { table: 'playlists', column: 'playlistId' } },
+  { table: 'playbackSessions', column: 'mediaItemId', typeColumn: 'mediaItemType' }
+]
+
+// sameAs finds the rows a merged row would duplicate when restored, with the merged row as replacements
+const entityTypes = {
+  series: {
+    table: 'series',
+    label: 'name',
+    sameAs: 'name = :name AND libraryId = :libraryId',
+    sameAsReason: 'has the same name in its library',
+    links: [{ table: 'bookSeries', column: 'seriesId', parent: { table: 'books', column: 'bookId' } }]
+  },
+  author: {
+    table: 'authors',
+    label: 'name',
+    sameAs: 'name = :name AND libraryId = :libraryId',
+    sameAsReason: 'has the same name in its library',
+    links: [{ table: 'bookAuthors', column: 'authorId', parent: { table: 'books', column: 'bookId' } }]
+  },
+  podcastEpisode: {
+    table: 'podcastEpisodes',
+    label: 'title',
+    sameAs: `podcastId = :podcastId AND ${getEpisodeKeyExpression()} = ${getEpisodeKeyExpression(':extraData', ':enclosureURL')}`,
+    sameAsReason: 'has the same GUID or enclosure URL in its podcast',
+    links: podcastEpisodeLinks
+  }
+}
+
+/**
+ * @param {{links: Object[]}} entity - an entityTypes entry.
+ * @param {Object} link - a link row of a merge log.
+ */
+function getLinkType(entity, link) {
+  return entity.links.find((linkType) => linkType.table === (link.linkTable || entity.links[0].table))
+}
+
+// Author details a surviving author takes over from its duplicates when it has none of its own
+const authorDetailColumns = ['lastFirst', 'asin', 'description', 'imagePath']
+
+/**
+ * Creates the merge log table if it doesn't exist yet.
+ * It is created on first use rather than by a migration, since dedupe-series merges too.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+async function ensureMergeLogTable(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS ${mergeLogTableName} (
+      id INTEGER PRIMARY KEY,
+      entityType VARCHAR(255) NOT NULL,
+      survivorId UUID NOT NULL,
+      survivor JSON NOT NULL,
+      mergedRows JSON NOT NULL,
+      deletedLinks JSON NOT NULL,
+      movedLinks JSON NOT NULL,
+      source VARCHAR(255),
+      createdAt DATETIME NOT NULL,
+      restoredAt DATETIME
+    )
+  `)
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} table
+ * @param {string[]} ids
+ * @returns {Promise<Object[]>}
+ */
+async function selectRows(sequelize, table, ids) {
+  if (!ids.length) return []
+  const [rows] = await sequelize.query(`SELECT * FROM ${table} WHERE id IN (:ids)`, { replacements: { ids } })
+  return rows
+}
+
+/**
+ * Reads the rows a merge is about to change, to be recorded with writeMergeLog once it is done.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {'series'|'author'} entityType
+ * @param {string} survivorId
+ * @param {string[]} duplicateIds
+ * @param {string[]} deletedLinkIds
+ */
+async function readMergeRows(sequelize, entityType, survivorId, duplicateIds, deletedLinkIds) {
+  const { table, links } = entityTypes[entityType]
+  const [{ table: linkTable, column: linkColumn }] = links
+  const [survivor] = await selectRows(sequelize, table, [survivorId])
+  const [duplicateLinks] = await sequelize.query(`SELECT * FROM ${linkTable} WHERE ${linkColumn} IN (:duplicateIds)`, { replacements: { duplicateIds } })
+  return {
+    survivor,
+    mergedRows: await selectRows(sequelize, table, duplicateIds),
+    deletedLinks: await selectRows(sequelize, linkTable, deletedLinkIds),
+    movedLinks: duplicateLinks.filter((link) => !deletedLinkIds.includes(link.id))
+  }
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {'series'|'author'} entityType
+ * @param {string} survivorId
+ * @param {{survivor: Object, mergedRows: Object[], deletedLinks: Object[], movedLinks: Object[]}} rows
+ * @param {MergeOptions} options
+ * @returns {Promise<number>} - the id of the merge log row.
+ */
+async function writeMergeLog(sequelize, entityType, survivorId, rows, { source = null } = {}) {
+  await ensureMergeLogTable(sequelize)
+  await sequelize.query(
+    `
+      INSERT INTO ${mergeLogTableName} (entityType, survivorId, survivor, mergedRows, deletedLinks, movedLinks, source, createdAt)
+      VALUES (:entityType, :survivorId, :survivor, :mergedRows, :deletedLinks, :movedLinks, :source, :createdAt)
+    `,
+    {
+      replacements: {
+        entityType,
+        survivorId,
+        survivor: JSON.stringify(rows.survivor),
+        mergedRows: JSON.stringify(rows.mergedRows),
+        deletedLinks: JSON.stringify(rows.deletedLinks),
+        movedLinks: JSON.stringify(rows.movedLinks),
+        source,
+        createdAt: new Date().toISOString()
+      }
+    }
+  )
+  const [[{ id }]] = await sequelize.query('SELECT last_insert_rowid() AS id')
+  return id
+}
+
+/**
+ * Merges duplicate series into one surviving series:
+ * 1. A book linked to several of the series keeps a single link, the one with the lowest parsed sequence (see utils/sequence.js),
+ *    so "2" wins over "10" and "Book 1" over "2". Links without a parseable sequence come last.
+ * 2. The remaining links of the duplicates are re-pointed to the surviving series.
+ * 3. The duplicates are deleted.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} survivorId - the series to keep.
+ * @param {string[]} duplicateIds - the series to merge into it.
+ * @param {MergeOptions} [options]
+ * @returns {Promise<SeriesMergeResult>}
+ */
+async function mergeSeries(sequelize, survivorId, duplicateIds, options = {}) {
+  const seriesIds = [survivorId, ...duplicateIds]
+
+  const [duplicateBooks] = await sequelize.query(
+    `
+      SELECT bookId
+      FROM bookSeries
+      WHERE seriesId IN (:seriesIds)
+      GROUP BY bookId
+      HAVING COUNT(bookId) > 1
+    `,
+    { replacements: { seriesIds } }
+  )
+
+  const deletedBookSeriesIds = []
+  for (const { bookId } of duplicateBooks) {
+    const [bookSeries] = await sequelize.query(
+      `
+        SELECT id
+        FROM bookSeries
+        WHERE bookId = :bookId AND seriesId IN (:seriesIds)
+        ORDER BY ${getSequenceSortKeyExpression('bookSeries.sequence')} NULLS LAST, sequence NULLS LAST
+      `,
+      { replacements: { bookId, seriesIds } }
+    )
+    // Keep the first row
+    deletedBookSeriesIds.push(...bookSeries.slice(1).map((row) => row.id))
+  }
+
+  const rows = await readMergeRows(sequelize, 'series', survivorId, duplicateIds, deletedBookSeriesIds)
+
+  if (deletedBookSeriesIds.length) {
+    await sequelize.query('DELETE FROM bookSeries WHERE id IN (:ids)', { replacements: { ids: deletedBookSeriesIds } })
+  }
+  await sequelize.query('UPDATE bookSeries SET seriesId = :survivorId WHERE seriesId IN (:duplicateIds)', { replacements: { survivorId, duplicateIds } })
+  await sequelize.query('DELETE FROM series WHERE id IN (:duplicateIds)', { replacements: { duplicateIds } })
+
+  const mergeLogId = await writeMergeLog(sequelize, 'series', survivorId, rows, options)
+  return { mergeLogId, deletedBookSeriesIds, movedBookSeriesIds: rows.movedLinks.map((row) => row.id) }
+}
+
+/**
+ * Recomputes the libraryItems author name columns (2.20.0) of some books, if the database has them.
+ * The 2.20.0 triggers don't run when a bookAuthors row is re-pointed or an author's lastFirst changes.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string[]} bookIds
+ * @param {string} authorsOrder - see getAuthorsOrder.
+ */
+async function updateAuthorNames(sequelize, bookIds, authorsOrder) {
+  const [authorNamesColumns] = await sequelize.query("SELECT name FROM pragma_table_info('libraryItems') WHERE name IN ('authorNamesFirstLast', 'authorNamesLastFirst')")
+  if (authorNamesColumns.length < 2 || !bookIds.length) return
+  await sequelize.query(
+    `
+      UPDATE libraryItems
+        SET (authorNamesFirstLast, authorNamesLastFirst) = (${createAuthorNamesDerivedColumn(authorsOrder).getValueExpression()})
+      WHERE mediaId IN (:bookIds)
+    `,
+    { replacements: { bookIds } }
+  )
+}
+
+/**
+ * Merges duplicate authors into one surviving author:
+ * 1. A book linked to several of the authors keeps a single link, the first in the book's author order (by position since 2.26.6,
+ *    by createdAt before), so the author keeps its place.
+ * 2. The remaining links of the duplicates are re-pointed to the surviving author.
+ * 3. Details the surviving author is missing (lastFirst, asin, description, imagePath) are taken from the most recently updated duplicate that has them.
+ * 4. The duplicates are deleted.
+ * 5. The libraryItems authorNamesFirstLast and authorNamesLastFirst columns (2.20.0) of the affected books are recomputed.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} survivorId - the author to keep.
+ * @param {string[]} duplicateIds - the authors to merge into it.
+ * @param {MergeOptions} [options]
+ * @returns {Promise<AuthorMergeResult>}
+ */
+async function mergeAuthors(sequelize, survivorId, duplicateIds, options = {}) {
+  const authorIds = [survivorId, ...duplicateIds]
+  const authorsOrder = await getAuthorsOrder(sequelize)
+
+  const [books] = await sequelize.query('SELECT DISTINCT bookId FROM bookAuthors WHERE authorId IN (:authorIds)', { replacements: { authorIds } })
+
+  const [duplicateBooks] = await sequelize.query(
+    `
+      SELECT bookId
+      FROM bookAuthors
+      WHERE authorId IN (:authorIds)
+      GROUP BY bookId
+      HAVING COUNT(bookId) > 1
+    `,
+    { replacements: { authorIds } }
+  )
+
+  const deletedBookAuthorIds = []
+  for (const { bookId } of duplicateBooks) {
+    const [bookAuthors] = await sequelize.query(
+      `
+        SELECT id
+        FROM bookAuthors
+        WHERE bookId = :bookId AND authorId IN (:authorIds)
+        ORDER BY ${authorsOrder}
+      `,
+      { replacements: { bookId, authorIds } }
+    )
+    // Keep the first row
+    deletedBookAuthorIds.push(...bookAuthors.slice(1).map((row) => row.id))
+  }
+
+  const rows = await readMergeRows(sequelize, 'author', survivorId, duplicateIds, deletedBookAuthorIds)
+
+  if (deletedBookAuthorIds.length) {
+    await sequelize.query('DELETE FROM bookAuthors WHERE id IN (:ids)', { replacements: { ids: deletedBookAuthorIds } })
+  }
+  await sequelize.query('UPDATE bookAuthors SET authorId = :survivorId WHERE authorId IN (:duplicateIds)', { replacements: { survivorId, duplicateIds } })
+
+  for (const column of authorDetailColumns) {
+    await sequelize.query(
+      `
+        UPDATE authors
+        SET ${column} = (
+          SELECT ${column}
+          FROM authors
+          WHERE id IN (:duplicateIds) AND ${column} IS NOT NULL
+          ORDER BY updatedAt DESC
+          LIMIT 1
+        )
+        WHERE id = :survivorId AND ${column} IS NULL
+      `,
+      { replacements: { survivorId, duplicateIds } }
+    )
+  }
+
+  await sequelize.query('DELETE FROM authors WHERE id IN (:duplicateIds)', { replacements: { duplicateIds } })
+
+  await updateAuthorNames(
+    sequelize,
+    books.map((row) => row.bookId),
+    authorsOrder
+  )
+
+  const mergeLogId = await writeMergeLog(sequelize, 'author', survivorId, rows, options)
+  return { mergeLogId, deletedBookAuthorIds, movedBookAuthorIds: rows.movedLinks.map((row) => row.id) }
+}
+
+/**
+ * Finds the podcast episodes that have the same GUID or enclosure URL as another episode of their podcast.
+ * The episode with the most progress is kept: the most users who finished it, then the most time listened,
+ * then the most recently updated.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<DuplicatePodcastEpisodes[]>}
+ */
+async function findDuplicatePodcastEpisodes(sequelize) {
+  const [duplicates] = await sequelize.query(`
+    SELECT podcastId, ${getEpisodeKeyExpression()} AS episodeKey
+    FROM podcastEpisodes
+    WHERE ${getEpisodeKeyExpression()} IS NOT NULL
+    GROUP BY podcastId, episodeKey
+    HAVING COUNT(id) > 1
+  `)
+
+  for (const duplicate of duplicates) {
+    const [episodes] = await sequelize.query(
+      `
+        SELECT podcastEpisodes.id
+        FROM podcastEpisodes
+        LEFT JOIN mediaProgresses ON mediaProgresses.mediaItemId = podcastEpisodes.id AND mediaProgresses.mediaItemType = 'podcastEpisode'
+        WHERE podcastEpisodes.podcastId = :podcastId AND ${getEpisodeKeyExpression('podcastEpisodes.extraData', 'podcastEpisodes.enclosureURL')} = :episodeKey
+        GROUP BY podcastEpisodes.id
+        ORDER BY TOTAL(mediaProgresses.isFinished) DESC, TOTAL(mediaProgresses.currentTime) DESC, podcastEpisodes.updatedAt DESC
+      `,
+      { replacements: duplicate }
+    )
+    duplicate.episodeIds = episodes.map((row) => row.id)
+  }
+  return duplicates
+}
+
+/**
+ * Merges duplicate podcast episodes into one surviving episode:
+ * 1. A user with progress on several of the episodes keeps a single mediaProgresses row, the finished one or else the
+ *    one furthest along; a playlist listing several of them keeps the first playlistMediaItems row.
+ * 2. The remaining mediaProgresses, playlistMediaItems and playbackSessions rows of the duplicates are re-pointed to the surviving episode.
+ * 3. The duplicates are deleted, and their audio files removed from the libraryFiles of the podcast's library item.
+ *    The files are left on disk and returned, see getEpisodeAudioFilePath.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} survivorId - the episode to keep.
+ * @param {string[]} duplicateIds - the episodes to merge into it.
+ * @param {MergeOptions} [options]
+ * @returns {Promise<PodcastEpisodeMergeResult>}
+ */
+async function mergePodcastEpisodes(sequelize, survivorId, duplicateIds, options = {}) {
+  const episodeIds = [survivorId, ...duplicateIds]
+
+  const [survivor] = await selectRows(sequelize, 'podcastEpisodes', [survivorId])
+  const rows = { survivor, mergedRows: await selectRows(sequelize, 'podcastEpisodes', duplicateIds), deletedLinks: [], movedLinks: [] }
+
+  for (const { table, column, typeColumn, groupBy, keepOrder } of podcastEpisodeLinks) {
+    const linksOf = `${column} IN (:episodeIds) AND ${typeColumn} = 'podcastEpisode'`
+
+    const deletedIds = []
+    if (groupBy) {
+      const [groups] = await sequelize.query(`SELECT ${groupBy} AS value FROM ${table} WHERE ${linksOf} AND ${groupBy} IS NOT NULL GROUP BY ${groupBy} HAVING COUNT(*) > 1`, { replacements: { episodeIds } })
+      for (const { value } of groups) {
+        const [links] = await sequelize.query(`SELECT id FROM ${table} WHERE ${linksOf} AND ${groupBy} = :value ORDER BY ${keepOrder}`, { replacements: { episodeIds, value } })
+        // Keep the first row
+        deletedIds.push(...links.slice(1).map((row) => row.id))
+      }
+    }
+
+    const [duplicateLinks] = await sequelize.query(`SELECT * FROM ${table} WHERE ${linksOf}`, { replacements: { episodeIds: duplicateIds } })
+    rows.deletedLinks.push(...(await selectRows(sequelize, table, deletedIds)).map((row) => ({ linkTable: table, ...row })))
+    rows.movedLinks.push(...duplicateLinks.filter((row) => !deletedIds.includes(row.id)).map((row) => ({ linkTable: table, ...row })))
+
+    if (deletedIds.length) {
+      await sequelize.query(`DELETE FROM ${table} WHERE id IN (:ids)`, { replacements: { ids: deletedIds } })
+    }
+    await sequelize.query(`UPDATE ${table} SET ${column} = :survivorId WHERE ${linksOf}`, { replacements: { survivorId, episodeIds: duplicateIds } })
+  }
+
+  await sequelize.query('DELETE FROM podcastEpisodes WHERE id IN (:duplicateIds)', { replacements: { duplicateIds } })
+
+  const libraryFiles = await removeLibraryFiles(sequelize, survivor.podcastId, rows.mergedRows.map(getEpisodeAudioFilePath).filter((audioFilePath) => audioFilePath))
+  rows.mergedRows = rows.mergedRows.map((row) => ({ ...row, libraryFile: libraryFiles.find((libraryFile) => libraryFile.metadata.path === getEpisodeAudioFilePath(row)) || null }))
+
+  const mergeLogId = await writeMergeLog(sequelize, 'podcastEpisode', survivorId, rows, options)
+  return {
+    mergeLogId,
+    deletedLinkIds: rows.deletedLinks.map((row) => row.id),
+    movedLinkIds: rows.movedLinks.map((row) => row.id),
+    audioFilePaths: rows.mergedRows.map(getEpisodeAudioFilePath).filter((audioFilePath) => audioFilePath)
+  }
+}
+
+/**
+ * The path of the audio file of a podcastEpisodes row, as read by SELECT * or recorded in a merge log.
+ *
+ * @param {Object} episode
+ * @returns {string|null} - null for episodes without a downloaded audio file.
+ */
+function getEpisodeAudioFilePath(episode) {
+  try {
+    const audioFile = typeof episode.audioFile === 'string' ? JSON.parse(episode.audioFile) : episode.audioFile
+    return audioFile?.metadata?.path || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} podcastId
+ * @returns {Promise<{id: string, libraryFiles: Object[]}|null>} - the library item of the podcast, with its libraryFiles parsed.
+ */
+async function getPodcastLibraryItem(sequelize, podcastId) {
+  const [[libraryItem]] = await sequelize.query(`SELECT id, libraryFiles FROM libraryItems WHERE mediaId = :podcastId AND mediaType = 'podcast'`, { replacements: { podcastId } })
+  if (!libraryItem) return null
+  return { id: libraryItem.id, libraryFiles: JSON.parse(libraryItem.libraryFiles || '[]') }
+}
+
+/**
+ * Removes the entries of the given files from the libraryFiles of the library item of a podcast.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} podcastId
+ * @param {string[]} paths
+ * @returns {Promise<Object[]>} - the removed entries.
+ */
+async function removeLibraryFiles(sequelize, podcastId, paths) {
+  const libraryItem = paths.length ? await getPodcastLibraryItem(sequelize, podcastId) : null
+  if (!libraryItem) return []
+  const removed = libraryItem.libraryFiles.filter((libraryFile) => paths.includes(libraryFile.metadata?.path))
+  if (removed.length) {
+    const libraryFiles = libraryItem.libraryFiles.filter((libraryFile) => !removed.includes(libraryFile))
+    await sequelize.query('UPDATE libraryItems SET libraryFiles = :libraryFiles WHERE id = :id', { replacements: { libraryFiles: JSON.stringify(libraryFiles), id: libraryItem.id } })
+  }
+  return removed
+}
+
+/**
+ * Adds entries back to the libraryFiles of the library item of a podcast, except those whose file it lists again.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} podcastId
+ * @param {Object[]} libraryFiles
+ */
+async function restoreLibraryFiles(sequelize, podcastId, libraryFiles) {
+  const libraryItem = libraryFiles.length ? await getPodcastLibraryItem(sequelize, podcastId) : null
+  if (!libraryItem) return
+  const paths = libraryItem.libraryFiles.map((libraryFile) => libraryFile.metadata?.path)
+  const restored = libraryFiles.filter((libraryFile) => !paths.includes(libraryFile.metadata.path))
+  if (restored.length) {
+    await sequelize.query('UPDATE libraryItems SET libraryFiles = :libraryFiles WHERE id = :id', {
+      replacements: { libraryFiles: JSON.stringify([...libraryItem.libraryFiles, ...restored]), id: libraryItem.id }
+    })
+  }
+}
+
+/**
+ * Inserts a row as read by SELECT *. Columns the table no longer has are left out.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} table
+ * @param {Object} row
+ */
+async function insertRow(sequelize, table, row) {
+  const [tableColumns] = await sequelize.query('SELECT name FROM pragma_table_info(:table)', { replacements: { table } })
+  const columns = tableColumns.map((column) => column.name).filter((column) => column in row)
+  const replacements = Object.fromEntries(columns.map((column, index) => [`value${index}`, row[column]]))
+  await sequelize.query(`INSERT INTO ${table} (${columns.map((column) => `"${column}"`).join(', ')}) VALUES (${columns.map((column, index) => `:value${index}`).join(', ')})`, { replacements })
+}
+
+/**
+ * Lists the recorded merges, newest first.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<MergeLog[]>}
+ */
+async function getMergeLogs(sequelize) {
+  const [tables] = await sequelize.query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${mergeLogTableName}'`)
+  if (!tables.length) return []
+  const [rows] = await sequelize.query(`SELECT * FROM ${mergeLogTableName} ORDER BY id DESC`)
+  return rows.map((row) => ({
+    ...row,
+    survivor: JSON.parse(row.survivor),
+    mergedRows: JSON.parse(row.mergedRows),
+    deletedLinks: JSON.parse(row.deletedLinks),
+    movedLinks: JSON.parse(row.movedLinks),
+    audioFilePaths: row.entityType === 'podcastEpisode' ? JSON.parse(row.mergedRows).map(getEpisodeAudioFilePath).filter((audioFilePath) => audioFilePath) : []
+  }))
+}
+
+/**
+ * Splits a recorded merge back into its original rows:
+ * 1. The deleted series, authors or podcast episodes are re-created with their original contents, and the audio files of
+ *    the episodes are added back to the libraryFiles of their library item.
+ * 2. Re-pointed links that still point at the survivor are pointed back; deleted links are re-created.
+ *    Links that were changed or deleted since the merge, or whose book, user or playlist was deleted, are left alone and reported.
+ * 3. For authors, details the survivor took over from the duplicates are cleared again, and the author name columns are recomputed.
+ * The merge log row is kept and marked as restored.
+ *
+ * A merge of exactly equal names (2.26.1) can't be restored while the unique name index is in place;
+ * rename the survivor first. Podcast episodes (2.26.10) can't be restored while the survivor has their GUID or
+ * enclosure URL either, since they would be duplicates again.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {number} mergeLogId
+ * @returns {Promise<RestoreResult>}
+ */
+async function restoreMerge(sequelize, mergeLogId) {
+  const mergeLog = (await getMergeLogs(sequelize)).find((log) => log.id === mergeLogId)
+  if (!mergeLog) throw new Error(`Merge ${mergeLogId} not found`)
+  if (mergeLog.restoredAt) throw new Error(`Merge ${mergeLogId} was already restored at ${mergeLog.restoredAt}`)
+
+  const entity = entityTypes[mergeLog.entityType]
+  const [survivor] = await selectRows(sequelize, entity.table, [mergeLog.survivorId])
+  if (!survivor) throw new Error(`Surviving ${mergeLog.entityType} ${mergeLog.survivorId} of merge ${mergeLogId} no longer exists`)
+
+  const result = { restoredRows: 0, restoredLinks: 0, skippedLinks: [] }
+  for (const row of mergeLog.mergedRows) {
+    const [conflicts] = await sequelize.query(`SELECT id FROM ${entity.table} WHERE id = :id OR (${entity.sameAs})`, { replacements: row })
+    if (conflicts.length) {
+      const reason = conflicts[0].id === row.id ? 'it already exists' : `${mergeLog.entityType} ${conflicts[0].id} ${entity.sameAsReason}`
+      throw new Error(`Cannot restore ${mergeLog.entityType} ${row.id} ("${row[entity.label]}"): ${reason}`)
+    }
+    await insertRow(sequelize, entity.table, row)
+    result.restoredRows++
+  }
+  if (mergeLog.entityType === 'podcastEpisode') {
+    await restoreLibraryFiles(sequelize, mergeLog.survivor.podcastId, mergeLog.mergedRows.map((row) => row.libraryFile).filter((libraryFile) => libraryFile))
+  }
+
+  for (const link of mergeLog.movedLinks) {
+    const { table: linkTable, column: linkColumn } = getLinkType(entity, link)
+    const [current] = await selectRows(sequelize, linkTable, [link.id])
+    if (!current) {
+      result.skippedLinks.push(`${linkTable} ${link.id}: deleted since the merge`)
+    } else if (current[linkColumn] !== mergeLog.survivorId) {
+      result.skippedLinks.push(`${linkTable} ${link.id}: now points at ${current[linkColumn]}`)
+    } else {
+      await sequelize.query(`UPDATE ${linkTable} SET ${linkColumn} = :original WHERE id = :id`, { replacements: { original: link[linkColumn], id: link.id } })
+      result.restoredLinks++
+    }
+  }
+
+  for (const link of mergeLog.deletedLinks) {
+    const { table: linkTable, parent } = getLinkType(entity, link)
+    const [existing] = await selectRows(sequelize, linkTable, [link.id])
+    const [parentRow] = await selectRows(sequelize, parent.table, [link[parent.column]])
+    if (existing) {
+      result.skippedLinks.push(`${linkTable} ${link.id}: re-created since the merge`)
+    } else if (!parentRow) {
+      result.skippedLinks.push(`${linkTable} ${link.id}: ${parent.column.replace(/Id$/, '')} ${link[parent.column]} deleted since the merge`)
+    } else {
+      await insertRow(sequelize, linkTable, link)
+      result.restoredLinks++
+    }
+  }
+
+  if (mergeLog.entityType === 'author') {
+    // Only details still holding the value the merge took over, so later edits are kept
+    const newestFirst = [...mergeLog.mergedRows].sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0))
+    for (const column of authorDetailColumns) {
+      const takenOver = newestFirst.find((row) => row[column] !== null)
+      if (mergeLog.survivor[column] === null && takenOver) {
+        await sequelize.query(`UPDATE authors SET ${column} = NULL WHERE id = :survivorId AND ${column} = :value`, { replacements: { survivorId: mergeLog.survivorId, value: takenOver[column] } })
+      }
+    }
+    await updateAuthorNames(
+      sequelize,
+      [...new Set([...mergeLog.movedLinks, ...mergeLog.deletedLinks].map((link) => link.bookId))],
+      await getAuthorsOrder(sequelize)
+    )
+  }
+
+  await sequelize.query(`UPDATE ${mergeLogTableName} SET restoredAt = :restoredAt WHERE id = :id`, { replacements: { restoredAt: new Date().toISOString(), id: mergeLogId } })
+  return result
+}
+
+module.exports = { getEpisodeKeyExpression, mergeSeries, mergeAuthors, findDuplicatePodcastEpisodes, mergePodcastEpisodes, getMergeLogs, restoreMerge }
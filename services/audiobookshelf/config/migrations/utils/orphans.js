@@ -0,0 +1,142 @@
+/**
+ * Orphan cleanup shared by the 2.26.2 migration and the clean-orphans tool in services/audiobookshelf/tools.
+ *
+ * Join rows and polymorphic references (the mediaItemId/entityId columns 2.17.0 changed to UUIDs) have no
+ * foreign key, so rows pointing at deleted books, series, authors, podcast episodes or feed entities were never cleaned up.
+ * Each rule resolves a column to the tables it can point at and, like a foreign key, has an onDelete action,
+ * following the policy 2.17.3 set for the real foreign keys of the same table:
+ * rows that mean nothing without their parent (join rows, progress, playlist entries) are deleted (CASCADE),
+ * listening history and feeds keep their data with the reference cleared (SET NULL).
+ *
+ * @typedef OrphanRule
+ * @property {string} table
+ * @property {string} column - the referencing column.
+ * @property {string} [typeColumn] - for polymorphic references, the column holding the type of the referenced row.
+ * @property {Object<string, string>} references - the referenced table by type, or by the single type "*" without typeColumn.
+ * @property {'CASCADE'|'SET NULL'} onDelete - CASCADE deletes orphaned rows, SET NULL clears the referencing column.
+ *
+ * @typedef OrphanExample
+ * @property {string} id - the orphaned row.
+ * @property {string} reference - the missing row it points at.
+ * @property {string|null} type - the type of the missing row, for polymorphic references.
+ *
+ * @typedef OrphanReport
+ * @property {string} table
+ * @property {string} column
+ * @property {'CASCADE'|'SET NULL'} onDelete
+ * @property {number} count - the number of orphaned rows.
+ * @property {OrphanExample[]} examples - the first few orphaned rows.
+ */
+
+const mediaItemTables = { book: 'books', podcastEpisode: 'podcastEpisodes' }
+
+/** @type {OrphanRule[]} */
+const orphanRules = [
+  { table: 'bookSeries', column: 'bookId', references: { '*': 'books' }, onDelete: 'CASCADE' },
+  { table: 'bookSeries', column: 'seriesId', references: { '*': 'series' }, onDelete: 'CASCADE' },
+  { table: 'bookAuthors', column: 'bookId', references: { '*': 'books' }, onDelete: 'CASCADE' },
+  { table: 'bookAuthors', column: 'authorId', references: { '*': 'authors' }, onDelete: 'CASCADE' },
+  { table: 'mediaProgresses', column: 'mediaItemId', typeColumn: 'mediaItemType', references: mediaItemTables, onDelete: 'CASCADE' },
+  { table: 'playlistMediaItems', column: 'mediaItemId', typeColumn: 'mediaItemType', references: mediaItemTables, onDelete: 'CASCADE' },
+  { table: 'playbackSessions', column: 'mediaItemId', typeColumn: 'mediaItemType', references: mediaItemTables, onDelete: 'SET NULL' },
+  { table: 'feeds', column: 'entityId', typeColumn: 'entityType', references: { libraryItem: 'libraryItems', series: 'series', collection: 'collections', playlist: 'playlists' }, onDelete: 'SET NULL' }
+]
+
+const exampleCount = 5
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<Set<string>>}
+ */
+async function getTableNames(sequelize) {
+  const rows = await sequelize.query(`SELECT name FROM sqlite_master WHERE type = 'table'`, { type: sequelize.QueryTypes.SELECT })
+  return new Set(rows.map((row) => row.name))
+}
+
+/**
+ * Builds the condition matching the orphaned rows of a rule, or null if the rule doesn't apply to this database.
+ * Types whose table doesn't exist (e.g. collections in a database that never had them) and unknown types are left alone.
+ *
+ * @param {OrphanRule} rule
+ * @param {Set<string>} tableNames
+ * @returns {string|null}
+ */
+function getOrphanCondition(rule, tableNames) {
+  if (!tableNames.has(rule.table)) return null
+
+  const missing = (referencedTable) => `NOT EXISTS (SELECT 1 FROM ${referencedTable} WHERE ${referencedTable}.id = ${rule.table}.${rule.column})`
+  if (!rule.typeColumn) {
+    return `${rule.table}.${rule.column} IS NOT NULL AND ${missing(rule.references['*'])}`
+  }
+
+  const typeConditions = Object.entries(rule.references)
+    .filter(([, referencedTable]) => tableNames.has(referencedTable))
+    .map(([type, referencedTable]) => `(${rule.table}.${rule.typeColumn} = '${type}' AND ${missing(referencedTable)})`)
+  if (!typeConditions.length) return null
+  return `${rule.table}.${rule.column} IS NOT NULL AND (${typeConditions.join(' OR ')})`
+}
+
+/**
+ * Counts the orphaned rows of every rule, with a few examples each. Rules without orphans are included with a count of 0.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<OrphanReport[]>}
+ */
+async function findOrphans(sequelize) {
+  const { SELECT } = sequelize.QueryTypes
+  const tableNames = await getTableNames(sequelize)
+  const reports = []
+  for (const rule of orphanRules) {
+    const condition = getOrphanCondition(rule, tableNames)
+    if (!condition) continue
+
+    const [{ count }] = await sequelize.query(`SELECT COUNT(*) AS count FROM ${rule.table} WHERE ${condition}`, { type: SELECT })
+    const examples = await sequelize.query(
+      `
+        SELECT id, ${rule.column} AS reference, ${rule.typeColumn ? rule.typeColumn : 'NULL'} AS type
+        FROM ${rule.table}
+        WHERE ${condition}
+        ORDER BY id
+        LIMIT ${exampleCount}
+      `,
+      { type: SELECT }
+    )
+    reports.push({ table: rule.table, column: rule.column, onDelete: rule.onDelete, count, examples })
+  }
+  return reports
+}
+
+/**
+ * Deletes or clears the orphaned rows of every rule according to its onDelete action.
+ * Run it inside a transaction; the reports are taken before the changes.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<OrphanReport[]>} - the orphans found and cleaned up.
+ */
+async function cleanOrphans(sequelize) {
+  const tableNames = await getTableNames(sequelize)
+  const reports = await findOrphans(sequelize)
+  for (const report of reports) {
+    if (!report.count) continue
+    const rule = orphanRules.find((rule) => rule.table === report.table && rule.column === report.column)
+    const condition = getOrphanCondition(rule, tableNames)
+    if (rule.onDelete === 'CASCADE') {
+      await sequelize.query(`DELETE FROM ${rule.table} WHERE ${condition}`)
+    } else {
+      await sequelize.query(`UPDATE ${rule.table} SET ${rule.column} = NULL WHERE ${condition}`)
+    }
+  }
+  return reports
+}
+
+/**
+ * @param {OrphanReport} report
+ * @returns {string} - e.g. "1 mediaProgresses rows with a missing mediaItemId (ON DELETE CASCADE), e.g. 50000000-... -> podcastEpisode 20000000-...".
+ */
+function describeOrphanReport(report) {
+  const examples = report.examples.map((example) => `${example.id} -> ${example.type ? `${example.type} ` : ''}${example.reference}`)
+  const more = report.count > examples.length ? ', ...' : ''
+  return `${report.count} ${report.table} rows with a missing ${report.column} (ON DELETE ${report.onDelete})${examples.length ? `, e.g. ${examples.join(', ')}${more}` : ''}`
+}
+
+module.exports = { findOrphans, cleanOrphans, describeOrphanReport }
@@ -0,0 +1,97 @@
+/**
+ * Queries the full-text search index over the library that 2.26.8 adds, for the search tool in services/audiobookshelf/tools.
+ *
+ * The searched text of each libraryItems row is kept in a libraryItemsSearchDocuments row, one column per field,
+ * recomputed from the media tables by DerivedColumn triggers like the libraryItems columns of 2.26.3.
+ * Triggers on that table copy each document to the libraryItemsSearch FTS5 table, whose rowid is the document id.
+ * The FTS5 table keeps its own copy of the text, so a document can be rewritten whichever trigger writes it first.
+ *
+ * @typedef SearchOptions
+ * @property {string} libraryId
+ * @property {string} text - words, matched as prefixes unless prefix is false, and "quoted phrases", matched exactly.
+ * @property {string} [mediaType] - only return book or podcast items.
+ * @property {boolean} [prefix] - match the words as prefixes, e.g. "hob" finds "The Hobbit" (default: true).
+ * @property {number} [limit] - default: 20.
+ * @property {number} [offset] - default: 0.
+ *
+ * @typedef SearchResult
+ * @property {string} libraryItemId
+ * @property {string} mediaType
+ * @property {string|null} title
+ * @property {number} score - the bm25 score with the column weights below; lower is a better match.
+ */
+
+const searchTableName = 'libraryItemsSearch'
+const searchDocumentsTableName = 'libraryItemsSearchDocuments'
+
+// The searched columns of the 2.26.8 tables and their bm25 weights: a match in the title counts ten times as much as one in the description
+const searchColumnWeights = {
+  title: 10,
+  subtitle: 4,
+  authorNames: 6,
+  narratorNames: 3,
+  seriesNames: 5,
+  description: 1,
+  episodeTitles: 2
+}
+const searchColumns = Object.keys(searchColumnWeights)
+
+/**
+ * @param {string} value
+ * @returns {string} - the value as an FTS5 string, which matches its tokens whatever characters it holds.
+ */
+function quote(value) {
+  return `"${value.replace(/"/g, '""')}"`
+}
+
+/**
+ * Builds the FTS5 MATCH expression of a search text: every word and "quoted phrase" must match.
+ * Words are matched as prefixes unless prefix is false; phrases match their words in order.
+ * Returns null for a text without words.
+ *
+ * @example
+ * buildMatchExpression('tolk "back again"') // '"tolk"* AND "back again"'
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix] - default: true.
+ * @returns {string|null}
+ */
+function buildMatchExpression(text, { prefix = true } = {}) {
+  const terms = []
+  for (const [, phrase, word] of text.matchAll(/"([^"]*)"?|([^\s"]+)/g)) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) terms.push(quote(phrase.trim()))
+    } else {
+      terms.push(`${quote(word)}${prefix ? '*' : ''}`)
+    }
+  }
+  return terms.length ? terms.join(' AND ') : null
+}
+
+/**
+ * Searches the library items of a library, best matches first.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {SearchOptions} options
+ * @returns {Promise<SearchResult[]>}
+ */
+async function searchLibraryItems(sequelize, { libraryId, text, mediaType = null, prefix = true, limit = 20, offset = 0 }) {
+  const match = buildMatchExpression(text, { prefix })
+  if (!match) return []
+  const weights = searchColumns.map((column) => searchColumnWeights[column]).join(', ')
+  return sequelize.query(
+    `
+      SELECT ${searchDocumentsTableName}.libraryItemId, libraryItems.mediaType, libraryItems.title, bm25(${searchTableName}, ${weights}) AS score
+      FROM ${searchTableName}
+        JOIN ${searchDocumentsTableName} ON ${searchDocumentsTableName}.id = ${searchTableName}.rowid
+        JOIN libraryItems ON libraryItems.id = ${searchDocumentsTableName}.libraryItemId
+      WHERE ${searchTableName} MATCH :match AND libraryItems.libraryId = :libraryId${mediaType ? ' AND libraryItems.mediaType = :mediaType' : ''}
+      ORDER BY score, libraryItems.id
+      LIMIT :limit OFFSET :offset
+    `,
+    { replacements: { match, libraryId, mediaType, limit, offset }, type: sequelize.QueryTypes.SELECT }
+  )
+}
+
+module.exports = { searchTableName, searchDocumentsTableName, searchColumnWeights, searchColumns, buildMatchExpression, searchLibraryItems }
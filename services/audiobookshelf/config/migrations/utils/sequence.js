@@ -0,0 +1,61 @@
+/**
+ * Parsing of the free text bookSeries.sequence into a number to sort by, shared by the merge logic and the tools.
+ * The parser is an SQL expression rather than JavaScript, so queries and triggers can run it.
+ * 2.26.5 keeps its own copy for the column and triggers it adds, so a change here only reaches the merges and check-denormalized.
+ *
+ * A sequence is parsed after trimming it and ignoring case:
+ * - a leading prefix like "Book", "Vol.", "Part" or "#" is skipped
+ * - a number is read up to the first character that can't continue it, so "10" -> 10, "1.5" -> 1.5,
+ *   "1-3" -> 1 and "0.5-novella" -> 0.5
+ * - otherwise a roman numeral (up to L) or a number word (up to twenty) is read, e.g. "II" -> 2 and "Three" -> 3,
+ *   alone or followed by a range or a subtitle
+ * - anything else, and a missing sequence, has no sort key (NULL)
+ */
+
+// Longest first, so "volume" is skipped rather than "vol"
+const prefixes = ['chapter', 'episode', 'number', 'volume', 'book', 'part', 'vol', 'no', 'ep', '#']
+
+const numberWords = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty']
+const maxRomanNumeral = 50
+
+/**
+ * @param {number} number
+ * @returns {string} - the lower case roman numeral, e.g. "xiv" for 14.
+ */
+function toRomanNumeral(number) {
+  const symbols = [
+    ['l', 50],
+    ['xl', 40],
+    ['x', 10],
+    ['ix', 9],
+    ['v', 5],
+    ['iv', 4],
+    ['i', 1]
+  ]
+  let numeral = ''
+  for (const [symbol, value] of symbols) {
+    while (number >= value) {
+      numeral += symbol
+      number -= value
+    }
+  }
+  return numeral
+}
+
+const numerals = [...Array.from({ length: maxRomanNumeral }, (_, i) => [toRomanNumeral(i + 1), i + 1]), ...numberWords.map((word, i) => [word, i + 1])]
+
+/**
+ * Builds the SQL expression computing the sort key of a sequence.
+ * The column is read once, so triggers generated from an expression using it only watch that column.
+ *
+ * @param {string} column - the sequence column, e.g. "bookSeries.sequence" or "NEW.sequence".
+ * @returns {string}
+ */
+function getSequenceSortKeyExpression(column) {
+  const prefixValues = prefixes.map((prefix) => `('${prefix}')`).join(', ')
+  const numeralValues = numerals.map(([word, number]) => `('${word}', ${number})`).join(', ')
+  const withoutPrefix = `COALESCE((SELECT LTRIM(SUBSTR(sequence, LENGTH(column1) + 1), ' .:#') FROM (VALUES ${prefixValues}) WHERE sequence LIKE column1 || '%' ORDER BY LENGTH(column1) DESC LIMIT 1), sequence)`
+  return `(SELECT CASE WHEN value GLOB '[0-9]*' OR value GLOB '.[0-9]*' THEN CAST(value AS REAL) ELSE (SELECT column2 FROM (VALUES ${numeralValues}) WHERE value = column1 OR value GLOB column1 || '[^a-z]*') END FROM (SELECT ${withoutPrefix} AS value FROM (SELECT LOWER(TRIM(${column})) AS sequence)))`
+}
+
+module.exports = { getSequenceSortKeyExpression }
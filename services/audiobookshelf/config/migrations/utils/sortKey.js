@@ -0,0 +1,26 @@
+/**
+ * Unicode-aware sort keys, read by the check-denormalized tool in services/audiobookshelf/tools.
+ * NOCASE only folds ASCII, so "Émile Zola" sorts after "Zadie Smith" and "Øberg" after every ASCII name.
+ * A sort key is the value NFKD-normalized, with diacritics removed and case folded, e.g. "Émile Zola" -> "emile zola".
+ *
+ * Triggers can't run JavaScript, so the folding is done character by character through the sortKeyFolds table.
+ * 2.26.7 creates and fills that table, and keeps its own copy of the fold list and of the expression below.
+ */
+
+const sortKeyFoldsTableName = 'sortKeyFolds'
+
+/**
+ * Builds the SQL expression computing the sort key of a column, reading the sortKeyFolds table.
+ *
+ * @param {string} column - e.g. "libraryItems.title".
+ * @returns {string}
+ */
+function getSortKeyExpression(column) {
+  return `(
+    WITH RECURSIVE characters(position) AS (SELECT 1 UNION ALL SELECT position + 1 FROM characters WHERE position < LENGTH(${column}))
+    SELECT GROUP_CONCAT(COALESCE(folds.folded, LOWER(SUBSTR(${column}, position, 1))), '' ORDER BY position)
+    FROM characters LEFT JOIN ${sortKeyFoldsTableName} AS folds ON folds.character = SUBSTR(${column}, position, 1)
+  )`
+}
+
+module.exports = { getSortKeyExpression }
@@ -0,0 +1,98 @@
+const { MigrationHelper } = require('./MigrationHelper')
+
+/**
+ * titleIgnorePrefix recomputation shared by the recompute-title-prefixes tool in services/audiobookshelf/tools.
+ *
+ * The server stores the title of books and podcasts with a leading sorting prefix moved to the end
+ * ("The Hobbit" -> "Hobbit, The") in titleIgnorePrefix when the title is saved, using the sortingPrefixes
+ * configured at that time, and 2.19.1/2.19.4 copied those values to libraryItems. Changing the prefixes
+ * doesn't touch the existing rows. Recomputing books and podcasts is enough: the triggers of 2.26.3 copy
+ * the new values to libraryItems, and those of 2.26.7 update their sort keys.
+ *
+ * @typedef TitleIgnorePrefixChange
+ * @property {string} id - the book or podcast.
+ * @property {string|null} title
+ * @property {string|null} actual - the stored titleIgnorePrefix.
+ * @property {string|null} expected - the titleIgnorePrefix for the current sorting prefixes.
+ *
+ * @typedef TitleIgnorePrefixBatch
+ * @property {number|null} lastRowid - the rowid of the last row of the batch, or null if there were no rows left.
+ * @property {number} checked - the number of rows in the batch.
+ * @property {TitleIgnorePrefixChange[]} changes - the rows whose titleIgnorePrefix differs.
+ */
+
+// The server's defaults, used when sortingPrefixes is missing from the server settings
+const defaultSortingPrefixes = ['the', 'a']
+
+const titleIgnorePrefixTables = ['books', 'podcasts']
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {import('../../Logger')} logger
+ * @returns {Promise<string[]>} - the lower cased sorting prefixes, in the order the server tries them.
+ */
+async function getSortingPrefixes(sequelize, logger) {
+  const helper = new MigrationHelper(sequelize.getQueryInterface(), logger, '[titleIgnorePrefix]')
+  const serverSettings = await helper.getSettings('server-settings')
+  return (serverSettings.sortingPrefixes || defaultSortingPrefixes).map((prefix) => prefix.toLowerCase())
+}
+
+/**
+ * Moves a leading sorting prefix to the end of the title, like the server's getTitlePrefixAtEnd.
+ * The first matching prefix wins, and the moved prefix is capitalized: "the hobbit" -> "hobbit, The".
+ *
+ * @param {string|null} title
+ * @param {string[]} prefixes - lower cased.
+ * @returns {string|null}
+ */
+function getTitleIgnorePrefix(title, prefixes) {
+  if (!title) return title
+  const lowerTitle = title.toLowerCase()
+  const prefix = prefixes.find((prefix) => lowerTitle.startsWith(`${prefix} `))
+  if (!prefix) return title
+  return `${title.substring(prefix.length + 1)}, ${prefix.substring(0, 1).toUpperCase()}${prefix.substring(1)}`
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} table - books or podcasts.
+ * @returns {Promise<number>}
+ */
+async function countTitleIgnorePrefixRows(sequelize, table) {
+  const [{ count }] = await sequelize.query(`SELECT COUNT(*) AS count FROM ${table}`, { type: sequelize.QueryTypes.SELECT })
+  return count
+}
+
+/**
+ * Recomputes titleIgnorePrefix for the next batch of rows of a table, in rowid order, so a job can resume after the
+ * last rowid it finished. Without apply, the changes are only returned.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} table - books or podcasts.
+ * @param {string[]} prefixes - lower cased.
+ * @param {Object} options
+ * @param {number} options.afterRowid - the lastRowid of the previous batch, 0 for the first one.
+ * @param {number} options.batchSize
+ * @param {boolean} [options.apply] - update the rows that differ.
+ * @returns {Promise<TitleIgnorePrefixBatch>}
+ */
+async function recomputeTitleIgnorePrefixBatch(sequelize, table, prefixes, { afterRowid, batchSize, apply = false }) {
+  const rows = await sequelize.query(`SELECT rowid, id, title, titleIgnorePrefix FROM ${table} WHERE rowid > :afterRowid ORDER BY rowid LIMIT :batchSize`, {
+    replacements: { afterRowid, batchSize },
+    type: sequelize.QueryTypes.SELECT
+  })
+  if (!rows.length) return { lastRowid: null, checked: 0, changes: [] }
+
+  const changes = []
+  for (const row of rows) {
+    const expected = getTitleIgnorePrefix(row.title, prefixes)
+    if (expected === row.titleIgnorePrefix) continue
+    changes.push({ id: row.id, title: row.title, actual: row.titleIgnorePrefix, expected })
+    if (apply) {
+      await sequelize.query(`UPDATE ${table} SET titleIgnorePrefix = :expected WHERE id = :id`, { replacements: { expected, id: row.id } })
+    }
+  }
+  return { lastRowid: rows[rows.length - 1].rowid, checked: rows.length, changes }
+}
+
+module.exports = { defaultSortingPrefixes, titleIgnorePrefixTables, getSortingPrefixes, getTitleIgnorePrefix, countTitleIgnorePrefixRows, recomputeTitleIgnorePrefixBatch }
@@ -0,0 +1,92 @@
+const { MigrationHelper } = require('./utils/MigrationHelper')
+const { mergeAuthors } = require('./utils/merge')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.1'
+const migrationName = `${migrationVersion}-author-name-unique`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+const indexName = 'unique_author_name_per_library'
+
+/**
+ * This upward migration merges duplicate authors (same name in the same library) like 2.15.0 does for series,
+ * and adds a unique index on the `name` and `libraryId` columns of the `authors` table.
+ * The most recently updated author of each set of duplicates is kept (see mergeAuthors).
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  if (await helper.hasIndex('authors', indexName)) {
+    logger.info(`${loggerPrefix} Unique index on authors.name and authors.libraryId already exists`)
+    logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+    return
+  }
+
+  await helper.runInTransaction(async () => {
+    const duplicates = await queryInterface.sequelize.query(
+      `
+        SELECT name, libraryId
+        FROM authors
+        GROUP BY name, libraryId
+        HAVING COUNT(name) > 1
+      `,
+      { type: queryInterface.sequelize.QueryTypes.SELECT }
+    )
+    logger.info(`${loggerPrefix} Found ${duplicates.length} duplicate authors`)
+
+    for (const duplicate of duplicates) {
+      logger.info(`${loggerPrefix} Deduplicating author "${duplicate.name}" in library ${duplicate.libraryId}`)
+      const authors = await queryInterface.sequelize.query(
+        `
+          SELECT id
+          FROM authors
+          WHERE name = :name AND libraryId = :libraryId
+          ORDER BY updatedAt DESC
+        `,
+        {
+          replacements: { name: duplicate.name, libraryId: duplicate.libraryId },
+          type: queryInterface.sequelize.QueryTypes.SELECT
+        }
+      )
+
+      const [mostRecentAuthor, ...olderAuthors] = authors.map((row) => row.id)
+      const { mergeLogId, deletedBookAuthorIds, movedBookAuthorIds } = await mergeAuthors(queryInterface.sequelize, mostRecentAuthor, olderAuthors, { source: `${migrationVersion} migration` })
+      logger.info(`${loggerPrefix} Merged ${olderAuthors.length} older authors into ${mostRecentAuthor}, moved ${movedBookAuthorIds.length} book links, removed ${deletedBookAuthorIds.length} duplicate book links (merge log ${mergeLogId})`)
+    }
+    logger.info(`${loggerPrefix} Deduplication complete`)
+
+    await helper.addIndex('authors', ['name', 'libraryId'], { unique: true, name: indexName })
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the unique index on the `authors` table. Merged authors are not restored.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+  await helper.removeIndex('authors', indexName)
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+module.exports = { up, down }
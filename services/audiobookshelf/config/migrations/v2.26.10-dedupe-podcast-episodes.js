@@ -0,0 +1,94 @@
+const { MigrationHelper } = require('./utils/MigrationHelper')
+const { getEpisodeKeyExpression, findDuplicatePodcastEpisodes, mergePodcastEpisodes } = require('./utils/merge')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.10'
+const migrationName = `${migrationVersion}-dedupe-podcast-episodes`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+const indexName = 'podcast_episodes_podcast_id_episode_key'
+
+/**
+ * This upward migration merges duplicate podcast episodes, like 2.15.0 does for series, and indexes the podcast and
+ * episode key to find them again. Episodes of a podcast are duplicates when they have the same feed GUID, or the
+ * same enclosure URL if they have no GUID (see getEpisodeKeyExpression).
+ *
+ * The episode with the most progress survives (see findDuplicatePodcastEpisodes). Progress, playlist entries and
+ * listening sessions move to it, and the audio files of the others are removed from the podcast's libraryFiles
+ * (see mergePodcastEpisodes). The 2.26.9 triggers update the podcasts numEpisodes column and the mediaProgresses
+ * podcastId column. The audio files themselves are left on disk and logged, since the next scan would add them back
+ * as episodes without a GUID: they need to be removed by hand.
+ *
+ * The index is not unique: the server would fail to add an episode whose GUID it already has, so duplicates it adds
+ * later are merged with the dedupe-episodes tool instead.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new PodcastEpisodesMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  if (await helper.hasIndex('podcastEpisodes', indexName)) {
+    logger.info(`${loggerPrefix} Index on podcastEpisodes.podcastId and GUID already exists`)
+    logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+    return
+  }
+
+  await helper.runInTransaction(async () => {
+    const duplicates = await findDuplicatePodcastEpisodes(queryInterface.sequelize)
+    logger.info(`${loggerPrefix} Found ${duplicates.length} duplicate podcast episodes`)
+
+    for (const duplicate of duplicates) {
+      logger.info(`${loggerPrefix} Deduplicating episode "${duplicate.episodeKey}" of podcast ${duplicate.podcastId}`)
+      const [survivingEpisode, ...otherEpisodes] = duplicate.episodeIds
+      const { mergeLogId, deletedLinkIds, movedLinkIds, audioFilePaths } = await mergePodcastEpisodes(queryInterface.sequelize, survivingEpisode, otherEpisodes, { source: `${migrationVersion} migration` })
+      logger.info(`${loggerPrefix} Merged ${otherEpisodes.length} episodes into ${survivingEpisode}, moved ${movedLinkIds.length} links, removed ${deletedLinkIds.length} duplicate links (merge log ${mergeLogId})`)
+      for (const audioFilePath of audioFilePaths) {
+        logger.warn(`${loggerPrefix} Audio file of a merged episode left on disk, remove it or the next scan adds it back: ${audioFilePath}`)
+      }
+    }
+    logger.info(`${loggerPrefix} Deduplication complete`)
+
+    await helper.addEpisodeKeyIndex()
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the index on the `podcastEpisodes` table. Merged episodes are not restored.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new PodcastEpisodesMigrationHelper(queryInterface, logger, loggerPrefix)
+  await helper.removeIndex('podcastEpisodes', indexName)
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+class PodcastEpisodesMigrationHelper extends MigrationHelper {
+  /**
+   * Adds the index on podcastId and the episode key. addIndex takes column names only.
+   */
+  async addEpisodeKeyIndex() {
+    this.logger.info(`${loggerPrefix} adding index ${indexName} on podcastEpisodes podcastId and GUID or enclosure URL`)
+    await this.query(`CREATE INDEX IF NOT EXISTS ${indexName} ON podcastEpisodes (podcastId, ${getEpisodeKeyExpression()})`)
+    this.logger.info(`${loggerPrefix} added index ${indexName} on podcastEpisodes podcastId and GUID or enclosure URL`)
+  }
+}
+
+module.exports = { up, down }
@@ -0,0 +1,186 @@
+const { MigrationHelper } = require('./utils/MigrationHelper')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.11'
+const migrationName = `${migrationVersion}-reapply-fk-constraints`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// The up step records the constraints it replaced here, so the down step can put them back
+const previousConstraintsTableName = 'previousForeignKeyConstraints'
+
+/**
+ * @typedef ConstraintUpdateObj
+ * @property {string} field - The field to update
+ * @property {string} onDelete - The onDelete constraint
+ * @property {string} onUpdate - The onUpdate constraint
+ */
+
+/**
+ * The foreign key actions 2.17.3 sets, by table.
+ *
+ * @type {Record<string, ConstraintUpdateObj[]>}
+ */
+const constraintsByTable = {
+  libraryItems: [
+    { field: 'libraryId', onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+    { field: 'libraryFolderId', onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+  ],
+  feeds: [{ field: 'userId', onDelete: 'SET NULL', onUpdate: 'CASCADE' }],
+  mediaItemShares: [{ field: 'userId', onDelete: 'SET NULL', onUpdate: 'CASCADE' }],
+  playbackSessions: [
+    { field: 'deviceId', onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+    { field: 'libraryId', onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+    { field: 'userId', onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+  ],
+  playlistMediaItems: [{ field: 'playlistId', onDelete: 'CASCADE', onUpdate: 'CASCADE' }],
+  mediaProgresses: [{ field: 'userId', onDelete: 'CASCADE', onUpdate: 'CASCADE' }]
+}
+
+/**
+ * This upward migration makes sure the foreign key constraints of 2.17.3 are in place.
+ * The server's 2.17.3 logs and swallows any error, including foreign key violations found after a rebuild,
+ * and is then recorded as applied with its tables unchanged. The down steps of the server's 2.17.0, 2.17.6 and 2.19.1
+ * rebuild tables without their ON DELETE / ON UPDATE actions, which upgrading again doesn't put back.
+ * The server overwrites its own migrations on every start, so they are repaired here. Tables whose constraints differ are rebuilt
+ * inside MigrationHelper.runInTransaction: any error rolls back every table and fails the migration, which stays
+ * pending, and rows that reference missing parent rows are reported (see ForeignKeyViolationError).
+ * The constraints each rebuilt column had before are recorded for the down step.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new ForeignKeyMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    for (const [tableName, constraints] of Object.entries(constraintsByTable)) {
+      if (!(await queryInterface.tableExists(tableName))) {
+        logger.info(`${loggerPrefix} ${tableName} table does not exist, skipping`)
+        continue
+      }
+      const previousConstraints = await helper.changeConstraints(tableName, constraints)
+      if (previousConstraints.length) {
+        await helper.savePreviousConstraints(tableName, previousConstraints)
+      }
+    }
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration rebuilds the tables changed by the up step with the foreign key constraints
+ * they had before, as recorded by the up step. Constraints 2.17.3 already had in place are left alone.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new ForeignKeyMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  if (await queryInterface.tableExists(previousConstraintsTableName)) {
+    const previousConstraintsByTable = await helper.getPreviousConstraints()
+
+    await helper.runInTransaction(async () => {
+      for (const [tableName, constraints] of Object.entries(previousConstraintsByTable)) {
+        await helper.changeConstraints(tableName, constraints)
+      }
+      await queryInterface.dropTable(previousConstraintsTableName)
+    })
+  } else {
+    logger.info(`${loggerPrefix} No constraints were changed by the upgrade, no action required`)
+  }
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+class ForeignKeyMigrationHelper extends MigrationHelper {
+  /**
+   * Rebuilds a table with the given foreign key actions, keeping its other foreign keys, indexes and triggers,
+   * then checks its foreign keys. Must run inside runInTransaction, since the table is dropped and re-created.
+   *
+   * @param {string} tableName
+   * @param {ConstraintUpdateObj[]} constraints
+   * @returns {Promise<ConstraintUpdateObj[]>} - the previous constraints of the changed columns, empty if nothing changed.
+   * @throws {import('./utils/MigrationHelper').ForeignKeyViolationError} - if rows of the rebuilt table reference missing parent rows
+   */
+  async changeConstraints(tableName, constraints) {
+    const { SELECT } = this.queryInterface.sequelize.Sequelize.QueryTypes
+    const foreignKeys = await this.query(`PRAGMA foreign_key_list(${this.queryInterface.quoteIdentifier(tableName)});`, { type: SELECT })
+
+    const previousConstraints = []
+    for (const foreignKey of foreignKeys) {
+      const constraint = constraints.find((c) => c.field === foreignKey.from)
+      if (constraint && (constraint.onDelete !== foreignKey.on_delete || constraint.onUpdate !== foreignKey.on_update)) {
+        previousConstraints.push({ field: foreignKey.from, onDelete: foreignKey.on_delete, onUpdate: foreignKey.on_update })
+      }
+    }
+    if (!previousConstraints.length) {
+      this.logger.info(`${this.loggerPrefix} No changes needed for ${tableName} constraints`)
+      return previousConstraints
+    }
+
+    this.logger.info(`${this.loggerPrefix} Updating ${tableName} constraints`)
+    const attributes = await this.queryInterface.describeTable(tableName)
+    for (const foreignKey of foreignKeys) {
+      const { onDelete, onUpdate } = constraints.find((c) => c.field === foreignKey.from) || { onDelete: foreignKey.on_delete, onUpdate: foreignKey.on_update }
+      // NO ACTION is the default, leaving it out keeps the generated table SQL the same as before
+      if (onDelete !== 'NO ACTION') attributes[foreignKey.from].onDelete = onDelete
+      if (onUpdate !== 'NO ACTION') attributes[foreignKey.from].onUpdate = onUpdate
+    }
+    await this.rebuildTable(tableName, attributes)
+
+    // Validate that all foreign key constraints are correct
+    await this.checkForeignKeys(tableName)
+    this.logger.info(`${this.loggerPrefix} Finished updating ${tableName} constraints`)
+    return previousConstraints
+  }
+
+  /**
+   * Records the constraints a table had before the up step changed them.
+   * Constraints already recorded are kept, so re-running the up step never overwrites the original values.
+   *
+   * @param {string} tableName
+   * @param {ConstraintUpdateObj[]} previousConstraints
+   */
+  async savePreviousConstraints(tableName, previousConstraints) {
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ${previousConstraintsTableName} (
+        tableName VARCHAR(255) NOT NULL,
+        field VARCHAR(255) NOT NULL,
+        onDelete VARCHAR(255),
+        onUpdate VARCHAR(255),
+        PRIMARY KEY (tableName, field)
+      )
+    `)
+    for (const { field, onDelete, onUpdate } of previousConstraints) {
+      await this.query(`INSERT OR IGNORE INTO ${previousConstraintsTableName} (tableName, field, onDelete, onUpdate) VALUES (:tableName, :field, :onDelete, :onUpdate)`, {
+        replacements: { tableName, field, onDelete, onUpdate }
+      })
+    }
+  }
+
+  /**
+   * @returns {Promise<Record<string, ConstraintUpdateObj[]>>} - the recorded constraints by table name
+   */
+  async getPreviousConstraints() {
+    const [rows] = await this.query(`SELECT tableName, field, onDelete, onUpdate FROM ${previousConstraintsTableName} ORDER BY tableName, field`)
+    return rows.reduce((prev, { tableName, field, onDelete, onUpdate }) => {
+      return { ...prev, [tableName]: [...(prev[tableName] || []), { field, onDelete, onUpdate }] }
+    }, {})
+  }
+}
+
+module.exports = { up, down }
@@ -0,0 +1,94 @@
+const { MigrationHelper } = require('./utils/MigrationHelper')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.12'
+const migrationName = `${migrationVersion}-keep-absolute-feed-urls`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// Migration constants
+// The URL columns the server's 2.17.5 down step prefixes with the serverAddress of the feed
+const feedUrlColumns = [
+  { table: 'feeds', column: 'feedURL' },
+  { table: 'feeds', column: 'imageURL' },
+  { table: 'feeds', column: 'siteURL' },
+  { table: 'feedEpisodes', column: 'siteURL' },
+  { table: 'feedEpisodes', column: 'enclosureURL' }
+]
+
+/**
+ * @param {{table: string, column: string}} feedUrlColumn
+ * @returns {string}
+ */
+function getTriggerName({ table, column }) {
+  return `keep_absolute_${table}_${column}`
+}
+
+/**
+ * This upward migration drops the triggers of the down step, if it ran earlier on the same connection.
+ * The database itself is not changed: the triggers only exist while the downgrade runs.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+  for (const feedUrlColumn of feedUrlColumns) {
+    await helper.dropTrigger(getTriggerName(feedUrlColumn))
+  }
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration protects the URLs that are still absolute from the server's 2.17.5 down step, which runs
+ * after it when downgrading below 2.17.5. That step puts the feed's serverAddress in front of every URL, so a URL
+ * 2.17.5 left absolute because its host differed from the serverAddress, e.g. "https://other.example.com/feed/x",
+ * becomes "https://abs.example.comhttps://other.example.com/feed/x". The server overwrites its own migrations on every
+ * start, so 2.17.5 can't be fixed itself.
+ *
+ * Temporary triggers put such a URL back as it was when an update only adds something in front of it.
+ * They live on the database connection rather than in the database file, so they are gone once the downgrade
+ * closes it, and the downgraded database is left without them. Relative and NULL URLs are prefixed as before.
+ * Each trigger only reads its own table, so the down steps that rebuild feeds or feedEpisodes after 2.17.5 can
+ * drop and rename the tables (dropping a table drops its triggers).
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+  for (const feedUrlColumn of feedUrlColumns) {
+    const { table, column } = feedUrlColumn
+    if (!(await queryInterface.tableExists(table))) {
+      logger.info(`${loggerPrefix} ${table} table does not exist, skipping`)
+      continue
+    }
+    const triggerName = getTriggerName(feedUrlColumn)
+    logger.info(`${loggerPrefix} creating temporary trigger ${triggerName}`)
+    await helper.query(`
+      CREATE TEMP TRIGGER IF NOT EXISTS ${triggerName}
+        AFTER UPDATE OF ${column} ON main.${table}
+        WHEN (OLD.${column} LIKE 'http://%' OR OLD.${column} LIKE 'https://%') AND LENGTH(NEW.${column}) > LENGTH(OLD.${column}) AND SUBSTR(NEW.${column}, -LENGTH(OLD.${column})) = OLD.${column}
+        BEGIN
+          UPDATE ${table} SET ${column} = OLD.${column} WHERE id = OLD.id;
+        END
+    `)
+    logger.info(`${loggerPrefix} created temporary trigger ${triggerName}`)
+  }
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+module.exports = { up, down }
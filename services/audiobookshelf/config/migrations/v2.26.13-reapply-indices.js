@@ -0,0 +1,112 @@
+const { MigrationHelper, getIndexName } = require('./utils/MigrationHelper')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.13'
+const migrationName = `${migrationVersion}-reapply-indices`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// The up step records the indexes it added here, so the down step only removes those
+const reappliedIndexesTableName = 'reappliedIndexes'
+
+// The indexes 2.17.7 adds
+const indexes = [
+  { table: 'libraryItems', columns: ['libraryId', 'mediaType', 'size'] },
+  { table: 'books', columns: ['duration'] }
+]
+
+/**
+ * This upward migration adds the indexes of 2.17.7 back where they are missing.
+ * The down step of the server's 2.19.1 removes a column of libraryItems with queryInterface.removeColumn, which
+ * rebuilds the table without the 2.17.7 index, and upgrading again doesn't put it back since 2.17.7 stays applied.
+ * The server overwrites its own migrations on every start, so the index is added back here.
+ * The indexes added are recorded for the down step.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new IndexMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  for (const { table, columns } of indexes) {
+    const indexName = getIndexName(table, columns)
+    if (await helper.hasIndex(table, indexName)) {
+      logger.info(`${loggerPrefix} index ${indexName} for table "${table}" already exists`)
+      continue
+    }
+    await helper.runInTransaction(async () => {
+      await helper.addIndex(table, columns)
+      await helper.saveReappliedIndex(table, indexName)
+    })
+  }
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the indexes the up step added, as recorded by the up step.
+ * Indexes 2.17.7 still had in place are left alone.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new IndexMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  if (await queryInterface.tableExists(reappliedIndexesTableName)) {
+    const reappliedIndexes = await helper.getReappliedIndexes()
+
+    await helper.runInTransaction(async () => {
+      for (const { tableName, indexName } of reappliedIndexes) {
+        await helper.removeIndex(tableName, indexName)
+      }
+      await queryInterface.dropTable(reappliedIndexesTableName)
+    })
+  } else {
+    logger.info(`${loggerPrefix} No indexes were added by the upgrade, no action required`)
+  }
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+class IndexMigrationHelper extends MigrationHelper {
+  /**
+   * Records an index the up step added.
+   *
+   * @param {string} tableName
+   * @param {string} indexName
+   */
+  async saveReappliedIndex(tableName, indexName) {
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ${reappliedIndexesTableName} (
+        tableName VARCHAR(255) NOT NULL,
+        indexName VARCHAR(255) NOT NULL,
+        PRIMARY KEY (tableName, indexName)
+      )
+    `)
+    await this.query(`INSERT OR IGNORE INTO ${reappliedIndexesTableName} (tableName, indexName) VALUES (:tableName, :indexName)`, {
+      replacements: { tableName, indexName }
+    })
+  }
+
+  /**
+   * @returns {Promise<{tableName: string, indexName: string}[]>}
+   */
+  async getReappliedIndexes() {
+    const [rows] = await this.query(`SELECT tableName, indexName FROM ${reappliedIndexesTableName} ORDER BY tableName, indexName`)
+    return rows
+  }
+}
+
+module.exports = { up, down }
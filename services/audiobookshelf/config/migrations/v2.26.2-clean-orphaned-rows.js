@@ -0,0 +1,56 @@
+const { MigrationHelper } = require('./utils/MigrationHelper')
+const { cleanOrphans, describeOrphanReport } = require('./utils/orphans')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.2'
+const migrationName = `${migrationVersion}-clean-orphaned-rows`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+/**
+ * This upward migration removes rows left behind by deleted books, series, authors, podcast episodes and feed entities:
+ * bookSeries and bookAuthors rows of missing books, series or authors, and mediaProgresses, playlistMediaItems, playbackSessions
+ * and feeds rows whose mediaItemId or entityId no longer resolves. Depending on the table, the rows are deleted
+ * or the reference is set to NULL, following the 2.17.3 foreign key policy (see utils/orphans.js).
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    const reports = await cleanOrphans(queryInterface.sequelize)
+    for (const report of reports) {
+      if (report.count) logger.info(`${loggerPrefix} Cleaned up ${describeOrphanReport(report)}`)
+    }
+    if (!reports.some((report) => report.count)) {
+      logger.info(`${loggerPrefix} No orphaned rows found`)
+    }
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration does nothing: deleted rows and cleared references are not restored.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+  logger.info(`${loggerPrefix} Orphaned rows removed by the upgrade are not restored`)
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+module.exports = { up, down }
@@ -0,0 +1,137 @@
+const { MigrationHelper } = require('./utils/MigrationHelper')
+const { DerivedColumn } = require('./utils/DerivedColumn')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.3'
+const migrationName = `${migrationVersion}-complete-derived-column-triggers`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// The up step records the triggers it replaced here, so the down step can put them back
+const previousTriggersTableName = 'previousDerivedColumnTriggers'
+
+// The triggers of 2.19.1, 2.19.4 and 2.20.0, which only cover some of the changes to their sources
+const legacyTriggerNames = [
+  'update_library_items_title',
+  'update_library_items_title_ignore_prefix',
+  'update_library_items_title_from_podcasts_title',
+  'update_library_items_title_ignore_prefix_from_podcasts_title_ignore_prefix',
+  'update_library_items_author_names_on_book_authors_insert',
+  'update_library_items_author_names_on_book_authors_delete',
+  'update_library_items_author_names_on_authors_update'
+]
+
+// The declarations of the columns those triggers maintained, with author names in createdAt order like 2.20.0 (2.26.6 adds positions).
+// Declared here rather than taken from utils/denormalized.js, which follows the latest migrations, so this migration never changes.
+const derivedColumns = [
+  new DerivedColumn({
+    name: 'bookTitle',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    columns: { title: 'books.title', titleIgnorePrefix: 'books.titleIgnorePrefix' }
+  }),
+  new DerivedColumn({
+    name: 'podcastTitle',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'podcast' },
+    from: 'podcasts',
+    columns: { title: 'podcasts.title', titleIgnorePrefix: 'podcasts.titleIgnorePrefix' }
+  }),
+  new DerivedColumn({
+    name: 'authorNames',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    joins: [
+      { table: 'bookAuthors', column: 'bookId', references: 'books.id' },
+      { table: 'authors', column: 'id', references: 'bookAuthors.authorId' }
+    ],
+    columns: {
+      authorNamesFirstLast: "GROUP_CONCAT(authors.name, ', ' ORDER BY bookAuthors.createdAt ASC)",
+      authorNamesLastFirst: "GROUP_CONCAT(authors.lastFirst, ', ' ORDER BY bookAuthors.createdAt ASC)"
+    }
+  })
+]
+
+/**
+ * This upward migration replaces the triggers keeping the libraryItems title, titleIgnorePrefix, authorNamesFirstLast
+ * and authorNamesLastFirst columns in sync with complete sets generated from their DerivedColumn declarations above.
+ * The old triggers missed changes, e.g. 2.20.0 only handled updates of authors.name, so a changed lastFirst
+ * left authorNamesLastFirst stale, no trigger handled updates of bookAuthors, and 2.19.1 only handled updates of books.
+ * The columns are recomputed afterwards to fix values that went stale that way.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.query(`
+      CREATE TABLE IF NOT EXISTS ${previousTriggersTableName} (
+        name VARCHAR(255) PRIMARY KEY,
+        sql TEXT NOT NULL
+      )
+    `)
+    // Triggers already recorded are kept, so re-running the up step never overwrites the original definitions
+    await helper.query(`INSERT OR IGNORE INTO ${previousTriggersTableName} (name, sql) SELECT name, sql FROM sqlite_master WHERE type = 'trigger' AND name IN (:legacyTriggerNames)`, {
+      replacements: { legacyTriggerNames }
+    })
+    for (const triggerName of legacyTriggerNames) {
+      await helper.dropTrigger(triggerName)
+    }
+
+    for (const derivedColumn of derivedColumns) {
+      await helper.addDerivedColumnTriggers(derivedColumn)
+      await helper.populateDerivedColumn(derivedColumn)
+    }
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration drops the generated triggers and restores the ones the upward migration replaced.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    for (const derivedColumn of derivedColumns) {
+      await helper.removeDerivedColumnTriggers(derivedColumn)
+    }
+
+    if (await queryInterface.tableExists(previousTriggersTableName)) {
+      const [previousTriggers] = await helper.query(`SELECT name, sql FROM ${previousTriggersTableName} ORDER BY name`)
+      for (const { name, sql } of previousTriggers) {
+        logger.info(`${loggerPrefix} restoring trigger ${name}`)
+        await helper.query(sql)
+      }
+      await queryInterface.dropTable(previousTriggersTableName)
+    } else {
+      logger.warn(`${loggerPrefix} No previous triggers recorded, the title and author name columns are no longer kept in sync`)
+    }
+  })
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+module.exports = { up, down }
@@ -0,0 +1,102 @@
+const { Sequelize } = require('sequelize')
+const { MigrationHelper } = require('./utils/MigrationHelper')
+const { DerivedColumn } = require('./utils/DerivedColumn')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.4'
+const migrationName = `${migrationVersion}-add-series-sort-columns`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// Migration constants
+const libraryItems = 'libraryItems'
+const columns = [
+  { name: 'seriesName', spec: { type: Sequelize.STRING, allowNull: true } },
+  { name: 'seriesSequence', spec: { type: Sequelize.FLOAT, allowNull: true } }
+]
+// The columns as this migration declares them; 2.26.5 parses seriesSequence like bookSeries.sequenceSortKey instead.
+// A frozen copy: the declaration in utils/denormalized.js has followed 2.26.5 since.
+const derivedColumn = new DerivedColumn({
+  name: 'series',
+  table: 'libraryItems',
+  key: 'mediaId',
+  filter: { mediaType: 'book' },
+  from: 'books',
+  joins: [
+    { table: 'bookSeries', column: 'bookId', references: 'books.id' },
+    { table: 'series', column: 'id', references: 'bookSeries.seriesId' }
+  ],
+  columns: {
+    seriesName: 'series.name',
+    // The leading number of the sequence, e.g. 2 for "2" and 2.5 for "2.5", NULL when there is none
+    seriesSequence: "CASE WHEN TRIM(bookSeries.sequence) GLOB '[0-9]*' THEN CAST(TRIM(bookSeries.sequence) AS REAL) END"
+  },
+  // A book in several series is sorted by the series it was added to first
+  orderBy: 'bookSeries.createdAt ASC, bookSeries.id ASC'
+})
+const indexes = [
+  ['libraryId', 'mediaType', { name: 'seriesName', collate: 'NOCASE' }, 'seriesSequence'],
+  ['libraryId', 'mediaType', 'seriesSequence']
+]
+
+/**
+ * This upward migration adds seriesName and seriesSequence columns to the libraryItems table, so the library can be
+ * sorted and filtered by series like 2.19.1 and 2.20.0 did for titles and authors, without joining bookSeries and series.
+ * A book in several series takes the series it was added to first, and seriesSequence holds the leading number of its
+ * sequence. The columns are populated and kept in sync with triggers on books, bookSeries and series generated from
+ * their DerivedColumn declaration above, and indexed for sorting.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    for (const column of columns) {
+      await helper.addColumn(libraryItems, column.name, column.spec)
+    }
+    await helper.populateDerivedColumn(derivedColumn)
+    await helper.addDerivedColumnTriggers(derivedColumn)
+    for (const index of indexes) {
+      await helper.addIndex(libraryItems, index)
+    }
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the triggers, indexes and columns added by the upward migration.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.removeDerivedColumnTriggers(derivedColumn)
+    for (const index of indexes) {
+      await helper.removeIndex(libraryItems, index)
+    }
+    for (const column of columns) {
+      await helper.removeColumn(libraryItems, column.name)
+    }
+  })
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+module.exports = { up, down }
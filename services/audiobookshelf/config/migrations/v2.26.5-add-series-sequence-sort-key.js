@@ -0,0 +1,198 @@
+const { Sequelize } = require('sequelize')
+const { MigrationHelper, convertToSnakeCase } = require('./utils/MigrationHelper')
+const { DerivedColumn } = require('./utils/DerivedColumn')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.5'
+const migrationName = `${migrationVersion}-add-series-sequence-sort-key`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// Migration constants
+const bookSeries = 'bookSeries'
+const sortKeyColumn = 'sequenceSortKey'
+const sortKeyIndex = ['seriesId', sortKeyColumn]
+const triggerActions = ['insert', 'update']
+
+// The sequence parser as this migration ships it; utils/sequence.js holds the one the merge logic and the tools use.
+// Longest first, so "volume" is skipped rather than "vol"
+const prefixes = ['chapter', 'episode', 'number', 'volume', 'book', 'part', 'vol', 'no', 'ep', '#']
+const numberWords = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty']
+const maxRomanNumeral = 50
+
+/**
+ * @param {number} number
+ * @returns {string} - the lower case roman numeral, e.g. "xiv" for 14.
+ */
+function toRomanNumeral(number) {
+  const symbols = [
+    ['l', 50],
+    ['xl', 40],
+    ['x', 10],
+    ['ix', 9],
+    ['v', 5],
+    ['iv', 4],
+    ['i', 1]
+  ]
+  let numeral = ''
+  for (const [symbol, value] of symbols) {
+    while (number >= value) {
+      numeral += symbol
+      number -= value
+    }
+  }
+  return numeral
+}
+
+const numerals = [...Array.from({ length: maxRomanNumeral }, (_, i) => [toRomanNumeral(i + 1), i + 1]), ...numberWords.map((word, i) => [word, i + 1])]
+
+/**
+ * Builds the SQL expression parsing a sequence into its sort key, after trimming it and ignoring case:
+ * a leading prefix like "Book" or "#" is skipped, then a number is read up to the first character that can't
+ * continue it, or else a roman numeral (up to L) or a number word (up to twenty). Anything else is NULL.
+ *
+ * @param {string} column - the sequence column, e.g. "bookSeries.sequence" or "NEW.sequence".
+ * @returns {string}
+ */
+function getSequenceSortKeyExpression(column) {
+  const prefixValues = prefixes.map((prefix) => `('${prefix}')`).join(', ')
+  const numeralValues = numerals.map(([word, number]) => `('${word}', ${number})`).join(', ')
+  const withoutPrefix = `COALESCE((SELECT LTRIM(SUBSTR(sequence, LENGTH(column1) + 1), ' .:#') FROM (VALUES ${prefixValues}) WHERE sequence LIKE column1 || '%' ORDER BY LENGTH(column1) DESC LIMIT 1), sequence)`
+  return `(SELECT CASE WHEN value GLOB '[0-9]*' OR value GLOB '.[0-9]*' THEN CAST(value AS REAL) ELSE (SELECT column2 FROM (VALUES ${numeralValues}) WHERE value = column1 OR value GLOB column1 || '[^a-z]*') END FROM (SELECT ${withoutPrefix} AS value FROM (SELECT LOWER(TRIM(${column})) AS sequence)))`
+}
+
+/**
+ * Declares the libraryItems series columns of 2.26.4 with the given seriesSequence expression.
+ * Both versions are kept here as this migration shipped them, whatever utils/denormalized.js declares later.
+ *
+ * @param {string} seriesSequenceExpression
+ * @returns {DerivedColumn}
+ */
+function createSeriesDerivedColumn(seriesSequenceExpression) {
+  return new DerivedColumn({
+    name: 'series',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    joins: [
+      { table: 'bookSeries', column: 'bookId', references: 'books.id' },
+      { table: 'series', column: 'id', references: 'bookSeries.seriesId' }
+    ],
+    columns: { seriesName: 'series.name', seriesSequence: seriesSequenceExpression },
+    orderBy: 'bookSeries.createdAt ASC, bookSeries.id ASC'
+  })
+}
+
+// As 2.26.4 declares them, with the leading number of the sequence, and as this migration replaces them
+const previousSeriesDerivedColumn = createSeriesDerivedColumn("CASE WHEN TRIM(bookSeries.sequence) GLOB '[0-9]*' THEN CAST(TRIM(bookSeries.sequence) AS REAL) END")
+const seriesDerivedColumn = createSeriesDerivedColumn(getSequenceSortKeyExpression('bookSeries.sequence'))
+
+/**
+ * This upward migration adds a sequenceSortKey column to the bookSeries table holding the free text sequence parsed
+ * into a number, so "2" sorts before "10" and "Book 3", "III" or "3-4" sort as 3.
+ * The column is populated, kept in sync by triggers on insert and on updates of sequence, and indexed per series.
+ *
+ * libraryItems.seriesSequence, which 2.26.4 computes from the leading number of the sequence, is parsed the same way
+ * from now on: its triggers are recreated and the column is recomputed.
+ *
+ * When 2.15.0 merged series, a book in several of them kept the link with the lowest sequence compared as text,
+ * so "10" won over "2". That is not redone here: the links 2.15.0 deleted are gone, so there is nothing to pick
+ * from again. Later merges (utils/merge.js) compare the parsed numbers.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new SequenceSortKeyMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.addColumn(bookSeries, sortKeyColumn, { type: Sequelize.FLOAT, allowNull: true })
+    await helper.populateSortKeys()
+    for (const action of triggerActions) {
+      await helper.addSortKeyTrigger(action)
+    }
+    await helper.addIndex(bookSeries, sortKeyIndex)
+
+    await helper.addDerivedColumnTriggers(seriesDerivedColumn)
+    await helper.populateDerivedColumn(seriesDerivedColumn)
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the triggers, index and column added by the upward migration, and puts back
+ * the libraryItems.seriesSequence triggers and values of 2.26.4.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new SequenceSortKeyMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    for (const action of triggerActions) {
+      await helper.removeSortKeyTrigger(action)
+    }
+    await helper.removeIndex(bookSeries, sortKeyIndex)
+    await helper.removeColumn(bookSeries, sortKeyColumn)
+
+    await helper.addDerivedColumnTriggers(previousSeriesDerivedColumn)
+    await helper.populateDerivedColumn(previousSeriesDerivedColumn)
+  })
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+class SequenceSortKeyMigrationHelper extends MigrationHelper {
+  async populateSortKeys() {
+    this.logger.info(`${loggerPrefix} populating ${sortKeyColumn} column in ${bookSeries} table`)
+    await this.query(`UPDATE ${bookSeries} SET ${sortKeyColumn} = ${getSequenceSortKeyExpression(`${bookSeries}.sequence`)}`)
+    this.logger.info(`${loggerPrefix} populated ${sortKeyColumn} column in ${bookSeries} table`)
+  }
+
+  async addSortKeyTrigger(action) {
+    this.logger.info(`${loggerPrefix} adding trigger to update ${bookSeries}.${sortKeyColumn} on ${action}`)
+    await this.createTrigger(
+      getSortKeyTriggerName(action),
+      `
+        AFTER ${action === 'insert' ? 'INSERT' : 'UPDATE OF sequence'} ON ${bookSeries}
+        FOR EACH ROW
+        BEGIN
+          UPDATE ${bookSeries}
+            SET ${sortKeyColumn} = ${getSequenceSortKeyExpression('NEW.sequence')}
+          WHERE id = NEW.id;
+        END;
+      `
+    )
+    this.logger.info(`${loggerPrefix} added trigger to update ${bookSeries}.${sortKeyColumn} on ${action}`)
+  }
+
+  async removeSortKeyTrigger(action) {
+    this.logger.info(`${loggerPrefix} removing trigger to update ${bookSeries}.${sortKeyColumn} on ${action}`)
+    await this.dropTrigger(getSortKeyTriggerName(action))
+    this.logger.info(`${loggerPrefix} removed trigger to update ${bookSeries}.${sortKeyColumn} on ${action}`)
+  }
+}
+
+/**
+ * @param {string} action
+ * @returns {string}
+ */
+function getSortKeyTriggerName(action) {
+  return convertToSnakeCase(`update_${bookSeries}_${sortKeyColumn}_on_${action}`)
+}
+
+module.exports = { up, down }
@@ -0,0 +1,147 @@
+const { Sequelize } = require('sequelize')
+const { MigrationHelper, convertToSnakeCase } = require('./utils/MigrationHelper')
+const { DerivedColumn } = require('./utils/DerivedColumn')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.6'
+const migrationName = `${migrationVersion}-add-book-authors-position`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// Migration constants
+const bookAuthors = 'bookAuthors'
+const positionColumn = 'position'
+const positionIndex = ['bookId', positionColumn]
+const positionTriggerName = convertToSnakeCase(`update_${bookAuthors}_${positionColumn}_on_insert`)
+
+/**
+ * Declares the libraryItems author name columns of 2.26.3 with the authors joined in the given order.
+ * Kept local, like 2.26.3, so later changes to utils/denormalized.js never change this migration.
+ *
+ * @param {string} authorsOrder
+ * @returns {DerivedColumn}
+ */
+function createAuthorNamesDerivedColumn(authorsOrder) {
+  return new DerivedColumn({
+    name: 'authorNames',
+    table: 'libraryItems',
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    joins: [
+      { table: 'bookAuthors', column: 'bookId', references: 'books.id' },
+      { table: 'authors', column: 'id', references: 'bookAuthors.authorId' }
+    ],
+    columns: {
+      authorNamesFirstLast: `GROUP_CONCAT(authors.name, ', ' ORDER BY ${authorsOrder})`,
+      authorNamesLastFirst: `GROUP_CONCAT(authors.lastFirst, ', ' ORDER BY ${authorsOrder})`
+    }
+  })
+}
+
+// As 2.26.3 declares them, in createdAt order, and as this migration replaces them
+const previousAuthorNames = createAuthorNamesDerivedColumn('bookAuthors.createdAt ASC')
+const authorNames = createAuthorNamesDerivedColumn('bookAuthors.position ASC')
+
+/**
+ * This upward migration adds a position column to the bookAuthors table, numbering the authors of each book from 1.
+ * 2.20.0 orders them by createdAt, so two authors added in the same millisecond came out in random order.
+ * The positions are backfilled from the createdAt order, with authors added in the same millisecond in the order
+ * they were inserted. A trigger appends authors inserted without a position, which is how the server adds them.
+ *
+ * The libraryItems authorNamesFirstLast and authorNamesLastFirst triggers of 2.26.3 are regenerated to join the names
+ * in position order, and the columns are recomputed.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new BookAuthorsPositionMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.addColumn(bookAuthors, positionColumn, { type: Sequelize.INTEGER, allowNull: true })
+    await helper.populatePositions()
+    await helper.addPositionTrigger()
+    await helper.addIndex(bookAuthors, positionIndex)
+
+    await helper.addDerivedColumnTriggers(authorNames)
+    await helper.populateDerivedColumn(authorNames)
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration restores the createdAt order of the author name triggers of 2.26.3 and recomputes the
+ * columns, then removes the trigger, index and column added by the upward migration.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new BookAuthorsPositionMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.addDerivedColumnTriggers(previousAuthorNames)
+    await helper.populateDerivedColumn(previousAuthorNames)
+
+    await helper.removePositionTrigger()
+    await helper.removeIndex(bookAuthors, positionIndex)
+    await helper.removeColumn(bookAuthors, positionColumn)
+  })
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+class BookAuthorsPositionMigrationHelper extends MigrationHelper {
+  async populatePositions() {
+    this.logger.info(`${loggerPrefix} populating ${positionColumn} column in ${bookAuthors} table`)
+    await this.query(`
+      UPDATE ${bookAuthors}
+        SET ${positionColumn} = 1 + (
+          SELECT COUNT(*)
+          FROM ${bookAuthors} AS previous
+          WHERE previous.bookId = ${bookAuthors}.bookId
+            AND (previous.createdAt < ${bookAuthors}.createdAt OR (previous.createdAt = ${bookAuthors}.createdAt AND previous.rowid < ${bookAuthors}.rowid))
+        )
+    `)
+    this.logger.info(`${loggerPrefix} populated ${positionColumn} column in ${bookAuthors} table`)
+  }
+
+  async addPositionTrigger() {
+    this.logger.info(`${loggerPrefix} adding trigger to set ${bookAuthors}.${positionColumn} on insert`)
+    await this.createTrigger(
+      positionTriggerName,
+      `
+        AFTER INSERT ON ${bookAuthors}
+        FOR EACH ROW
+        WHEN NEW.${positionColumn} IS NULL
+        BEGIN
+          UPDATE ${bookAuthors}
+            SET ${positionColumn} = (SELECT COALESCE(MAX(${positionColumn}), 0) + 1 FROM ${bookAuthors} WHERE bookId = NEW.bookId AND id != NEW.id)
+          WHERE id = NEW.id;
+        END;
+      `
+    )
+    this.logger.info(`${loggerPrefix} added trigger to set ${bookAuthors}.${positionColumn} on insert`)
+  }
+
+  async removePositionTrigger() {
+    this.logger.info(`${loggerPrefix} removing trigger to set ${bookAuthors}.${positionColumn} on insert`)
+    await this.dropTrigger(positionTriggerName)
+    this.logger.info(`${loggerPrefix} removed trigger to set ${bookAuthors}.${positionColumn} on insert`)
+  }
+}
+
+module.exports = { up, down }
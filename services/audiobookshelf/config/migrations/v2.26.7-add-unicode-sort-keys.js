@@ -0,0 +1,224 @@
+const { Sequelize } = require('sequelize')
+const { MigrationHelper } = require('./utils/MigrationHelper')
+const { DerivedColumn } = require('./utils/DerivedColumn')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.7'
+const migrationName = `${migrationVersion}-add-unicode-sort-keys`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// Migration constants
+const libraryItems = 'libraryItems'
+const sortKeyFoldsTableName = 'sortKeyFolds'
+
+// The folds and the expression below are this migration's own copy, so a later change to utils/sortKey.js
+// can't change the table this migration creates or the triggers it adds.
+// Latin-1 to Cyrillic Supplement, Latin Extended Additional, Greek Extended, ligatures and full width forms
+const foldedRanges = [
+  [0x00a0, 0x052f],
+  [0x1e00, 0x1fff],
+  [0xfb00, 0xfb4f],
+  [0xff00, 0xffef]
+]
+
+// Letters NFKD doesn't decompose into a base letter
+const specialFolds = {
+  æ: 'ae',
+  ð: 'd',
+  đ: 'd',
+  ħ: 'h',
+  ı: 'i',
+  ł: 'l',
+  œ: 'oe',
+  ø: 'o',
+  ß: 'ss',
+  þ: 'th'
+}
+
+/**
+ * @param {string} character
+ * @returns {string} - what SQLite's LOWER makes of the character: only ASCII letters are lower cased.
+ */
+function lowerAscii(character) {
+  return /[A-Z]/.test(character) ? character.toLowerCase() : character
+}
+
+/**
+ * @param {string} character
+ * @returns {string} - the character NFKD-normalized, with diacritics removed and case folded.
+ */
+function foldCharacter(character) {
+  const folded = character
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+  return [...folded].map((c) => specialFolds[c] ?? c).join('')
+}
+
+/**
+ * @returns {[string, string][]} - the rows of the sortKeyFolds table: each character whose fold differs from LOWER, and its fold.
+ */
+function getSortKeyFolds() {
+  const folds = []
+  for (const [first, last] of foldedRanges) {
+    for (let codePoint = first; codePoint <= last; codePoint++) {
+      const character = String.fromCodePoint(codePoint)
+      const folded = foldCharacter(character)
+      if (folded !== lowerAscii(character)) folds.push([character, folded])
+    }
+  }
+  return folds
+}
+
+const sortKeyFolds = new Map(getSortKeyFolds())
+
+/**
+ * @param {string|null} value
+ * @returns {string|null} - the sort key of the value, as getSortKeyExpression computes it.
+ */
+function getSortKey(value) {
+  if (value === null || value === undefined) return null
+  return [...value].map((character) => sortKeyFolds.get(character) ?? lowerAscii(character)).join('')
+}
+
+/**
+ * @param {string} column - e.g. "libraryItems.title".
+ * @returns {string} - the SQL expression computing the sort key of the column through the sortKeyFolds table.
+ */
+function getSortKeyExpression(column) {
+  return `(
+    WITH RECURSIVE characters(position) AS (SELECT 1 UNION ALL SELECT position + 1 FROM characters WHERE position < LENGTH(${column}))
+    SELECT GROUP_CONCAT(COALESCE(folds.folded, LOWER(SUBSTR(${column}, position, 1))), '' ORDER BY position)
+    FROM characters LEFT JOIN ${sortKeyFoldsTableName} AS folds ON folds.character = SUBSTR(${column}, position, 1)
+  )`
+}
+
+// As this migration adds them, utils/denormalized.js holds the latest declaration
+const sortKeys = new DerivedColumn({
+  name: 'sortKeys',
+  table: 'libraryItems',
+  key: 'id',
+  from: 'libraryItems',
+  columns: {
+    titleSortKey: getSortKeyExpression('libraryItems.title'),
+    titleIgnorePrefixSortKey: getSortKeyExpression('libraryItems.titleIgnorePrefix'),
+    authorNamesFirstLastSortKey: getSortKeyExpression('libraryItems.authorNamesFirstLast'),
+    authorNamesLastFirstSortKey: getSortKeyExpression('libraryItems.authorNamesLastFirst')
+  }
+})
+// Each sort key column and the column it is computed from, e.g. titleSortKey -> title
+const sortKeyColumns = sortKeys.columnNames.map((name) => ({ name, source: name.replace(/SortKey$/, '') }))
+const foldsBatchSize = 200
+const backfillBatchSize = 500
+
+/**
+ * This upward migration adds Unicode-aware sort key columns to the libraryItems table for title, titleIgnorePrefix,
+ * authorNamesFirstLast and authorNamesLastFirst. The NOCASE indexes of 2.19.1 and 2.20.0 only fold ASCII, so "Émile Zola"
+ * sorted after "Zadie Smith". A sort key is the NFKD-normalized value with diacritics removed and case folded (see utils/sortKey.js).
+ *
+ * The sortKeyFolds table holding the folded characters is created first. The keys are computed in JavaScript for the
+ * existing rows, and kept in sync by triggers on libraryItems, so whichever trigger path updates the source columns
+ * (2.26.3, 2.26.6) also updates their keys. Each key is indexed after the (libraryId, mediaType) prefix.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new SortKeyMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.addFoldsTable()
+    for (const column of sortKeyColumns) {
+      await helper.addColumn(libraryItems, column.name, { type: Sequelize.STRING, allowNull: true })
+    }
+    await helper.populateSortKeys()
+    await helper.addDerivedColumnTriggers(sortKeys)
+    for (const column of sortKeyColumns) {
+      await helper.addIndex(libraryItems, ['libraryId', 'mediaType', column.name])
+    }
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the triggers, indexes, columns and table added by the upward migration.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new SortKeyMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.removeDerivedColumnTriggers(sortKeys)
+    for (const column of sortKeyColumns) {
+      await helper.removeIndex(libraryItems, ['libraryId', 'mediaType', column.name])
+      await helper.removeColumn(libraryItems, column.name)
+    }
+    await helper.removeFoldsTable()
+  })
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+class SortKeyMigrationHelper extends MigrationHelper {
+  async addFoldsTable() {
+    this.logger.info(`${loggerPrefix} adding ${sortKeyFoldsTableName} table`)
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ${sortKeyFoldsTableName} (
+        character TEXT PRIMARY KEY,
+        folded TEXT NOT NULL
+      )
+    `)
+    await this.query(`DELETE FROM ${sortKeyFoldsTableName}`)
+    const folds = [...sortKeyFolds]
+    for (let i = 0; i < folds.length; i += foldsBatchSize) {
+      const batch = folds.slice(i, i + foldsBatchSize)
+      await this.query(`INSERT INTO ${sortKeyFoldsTableName} (character, folded) VALUES ${batch.map(() => '(?, ?)').join(', ')}`, { replacements: batch.flat() })
+    }
+    this.logger.info(`${loggerPrefix} added ${sortKeyFoldsTableName} table with ${folds.length} folded characters`)
+  }
+
+  async removeFoldsTable() {
+    this.logger.info(`${loggerPrefix} removing ${sortKeyFoldsTableName} table`)
+    await this.queryInterface.dropTable(sortKeyFoldsTableName)
+    this.logger.info(`${loggerPrefix} removed ${sortKeyFoldsTableName} table`)
+  }
+
+  async populateSortKeys() {
+    this.logger.info(`${loggerPrefix} populating ${sortKeys.columnNames.join(', ')} columns in ${libraryItems} table`)
+    const sourceColumns = sortKeyColumns.map((column) => column.source).join(', ')
+    const setClause = sortKeyColumns.map((column) => `${column.name} = :${column.name}`).join(', ')
+    let lastRowid = 0
+    let populated = 0
+    while (true) {
+      const [rows] = await this.query(`SELECT rowid, id, ${sourceColumns} FROM ${libraryItems} WHERE rowid > :lastRowid ORDER BY rowid LIMIT ${backfillBatchSize}`, { replacements: { lastRowid } })
+      if (!rows.length) break
+      for (const row of rows) {
+        const replacements = { id: row.id }
+        for (const column of sortKeyColumns) {
+          replacements[column.name] = getSortKey(row[column.source])
+        }
+        await this.query(`UPDATE ${libraryItems} SET ${setClause} WHERE id = :id`, { replacements })
+      }
+      lastRowid = rows[rows.length - 1].rowid
+      populated += rows.length
+    }
+    this.logger.info(`${loggerPrefix} populated ${sortKeys.columnNames.join(', ')} columns in ${populated} ${libraryItems} rows`)
+  }
+}
+
+module.exports = { up, down }
@@ -0,0 +1,301 @@
+const { MigrationHelper, convertToSnakeCase } = require('./utils/MigrationHelper')
+const { DerivedColumn } = require('./utils/DerivedColumn')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.8'
+const migrationName = `${migrationVersion}-add-library-items-search`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// Migration constants
+const libraryItems = 'libraryItems'
+const searchTableName = 'libraryItemsSearch'
+const searchDocumentsTableName = 'libraryItemsSearchDocuments'
+const libraryItemIdIndex = ['libraryItemId']
+const mediaIdIndex = ['mediaId']
+// Folds case and diacritics, so "emile" finds "Émile Zola"
+const tokenizer = 'unicode61 remove_diacritics 2'
+const getDocumentsTriggerName = (event) => convertToSnakeCase(`update_${searchDocumentsTableName}_on_${libraryItems}_${event}`)
+const getSearchTriggerName = (event) => convertToSnakeCase(`update_${searchTableName}_on_${searchDocumentsTableName}_${event}`)
+
+// The searched columns, in the order of the FTS5 table; utils/search.js weighs them in this order
+const searchColumns = ['title', 'subtitle', 'authorNames', 'narratorNames', 'seriesNames', 'description', 'episodeTitles']
+
+// Invalid narrators JSON is searched as no narrators rather than failing the write that fired the trigger
+const narratorNamesExpression = `(SELECT GROUP_CONCAT(narrators.value, ', ') FROM json_each(CASE WHEN json_valid(books.narrators) THEN books.narrators ELSE '[]' END) AS narrators)`
+
+/**
+ * The columns of libraryItemsSearchDocuments, each computed from the book or podcast of its library item.
+ * Authors are joined in the position order of 2.26.6. Kept in this file, so its triggers stay as they were created.
+ * @type {DerivedColumn[]}
+ */
+const searchDerivedColumns = [
+  new DerivedColumn({
+    name: 'bookSearch',
+    table: searchDocumentsTableName,
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    columns: { title: 'books.title', subtitle: 'books.subtitle', narratorNames: narratorNamesExpression, description: 'books.description' }
+  }),
+  new DerivedColumn({
+    name: 'bookAuthorsSearch',
+    table: searchDocumentsTableName,
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    joins: [
+      { table: 'bookAuthors', column: 'bookId', references: 'books.id' },
+      { table: 'authors', column: 'id', references: 'bookAuthors.authorId' }
+    ],
+    columns: { authorNames: "GROUP_CONCAT(authors.name, ', ' ORDER BY bookAuthors.position ASC)" }
+  }),
+  new DerivedColumn({
+    name: 'bookSeriesSearch',
+    table: searchDocumentsTableName,
+    key: 'mediaId',
+    filter: { mediaType: 'book' },
+    from: 'books',
+    joins: [
+      { table: 'bookSeries', column: 'bookId', references: 'books.id' },
+      { table: 'series', column: 'id', references: 'bookSeries.seriesId' }
+    ],
+    columns: { seriesNames: "GROUP_CONCAT(series.name, ', ' ORDER BY bookSeries.createdAt ASC, bookSeries.id ASC)" }
+  }),
+  new DerivedColumn({
+    name: 'podcastSearch',
+    table: searchDocumentsTableName,
+    key: 'mediaId',
+    filter: { mediaType: 'podcast' },
+    from: 'podcasts',
+    columns: { title: 'podcasts.title', authorNames: 'podcasts.author', description: 'podcasts.description' }
+  }),
+  new DerivedColumn({
+    name: 'podcastEpisodesSearch',
+    table: searchDocumentsTableName,
+    key: 'mediaId',
+    filter: { mediaType: 'podcast' },
+    from: 'podcasts',
+    joins: [{ table: 'podcastEpisodes', column: 'podcastId', references: 'podcasts.id' }],
+    columns: { episodeTitles: "GROUP_CONCAT(podcastEpisodes.title, ', ' ORDER BY podcastEpisodes.createdAt ASC, podcastEpisodes.id ASC)" }
+  })
+]
+
+/**
+ * This upward migration adds a full-text search index over the library. Search used LIKE over the libraryItems
+ * title and author names, so it could neither match other fields, nor words in the middle of a title, nor rank the results.
+ *
+ * The libraryItemsSearchDocuments table holds the title, subtitle, author names, narrator names, series names and
+ * description of each library item, and the episode titles of podcasts. Its rows follow the libraryItems rows,
+ * and its columns are computed from the media tables by triggers generated from the declarations above,
+ * the same kind of triggers 2.26.3 keeps the libraryItems columns of 2.19.1 and 2.20.0 in sync with.
+ * Triggers on the documents copy them to the libraryItemsSearch FTS5 table, which utils/search.js queries.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new SearchMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.addDocumentsTable()
+    await helper.populateDocuments()
+    for (const derivedColumn of searchDerivedColumns) {
+      await helper.populateDerivedColumn(derivedColumn)
+    }
+    await helper.addSearchTable()
+
+    await helper.addDocumentsTriggers()
+    await helper.addSearchTriggers()
+    for (const derivedColumn of searchDerivedColumns) {
+      await helper.addDerivedColumnTriggers(derivedColumn)
+    }
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the triggers and tables added by the upward migration.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new SearchMigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    for (const derivedColumn of searchDerivedColumns) {
+      await helper.removeDerivedColumnTriggers(derivedColumn)
+    }
+    await helper.removeSearchTriggers()
+    await helper.removeDocumentsTriggers()
+
+    await helper.removeSearchTable()
+    await helper.removeDocumentsTable()
+  })
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+class SearchMigrationHelper extends MigrationHelper {
+  async addDocumentsTable() {
+    this.logger.info(`${loggerPrefix} adding ${searchDocumentsTableName} table`)
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ${searchDocumentsTableName} (
+        id INTEGER PRIMARY KEY,
+        libraryItemId UUID NOT NULL,
+        mediaId UUID,
+        mediaType VARCHAR(255),
+        ${searchColumns.map((column) => `${column} TEXT`).join(',\n        ')}
+      )
+    `)
+    await this.addIndex(searchDocumentsTableName, libraryItemIdIndex, { unique: true })
+    await this.addIndex(searchDocumentsTableName, mediaIdIndex)
+    this.logger.info(`${loggerPrefix} added ${searchDocumentsTableName} table`)
+  }
+
+  async removeDocumentsTable() {
+    this.logger.info(`${loggerPrefix} removing ${searchDocumentsTableName} table`)
+    await this.queryInterface.dropTable(searchDocumentsTableName)
+    this.logger.info(`${loggerPrefix} removed ${searchDocumentsTableName} table`)
+  }
+
+  async populateDocuments() {
+    this.logger.info(`${loggerPrefix} adding a ${searchDocumentsTableName} row for every ${libraryItems} row`)
+    await this.query(`
+      INSERT INTO ${searchDocumentsTableName} (libraryItemId, mediaId, mediaType)
+        SELECT id, mediaId, mediaType FROM ${libraryItems} ORDER BY rowid
+    `)
+    this.logger.info(`${loggerPrefix} added a ${searchDocumentsTableName} row for every ${libraryItems} row`)
+  }
+
+  async addSearchTable() {
+    this.logger.info(`${loggerPrefix} adding ${searchTableName} full-text search table`)
+    await this.query(`CREATE VIRTUAL TABLE IF NOT EXISTS ${searchTableName} USING fts5(${searchColumns.join(', ')}, tokenize = '${tokenizer}')`)
+    await this.query(`
+      INSERT INTO ${searchTableName} (rowid, ${searchColumns.join(', ')})
+        SELECT id, ${searchColumns.join(', ')} FROM ${searchDocumentsTableName}
+    `)
+    this.logger.info(`${loggerPrefix} added ${searchTableName} full-text search table`)
+  }
+
+  async removeSearchTable() {
+    this.logger.info(`${loggerPrefix} removing ${searchTableName} full-text search table`)
+    // The FTS5 shadow tables (libraryItemsSearch_data, ...) are dropped with it
+    await this.query(`DROP TABLE IF EXISTS ${searchTableName}`)
+    this.logger.info(`${loggerPrefix} removed ${searchTableName} full-text search table`)
+  }
+
+  /**
+   * Adds, re-points and removes the document of a library item with it.
+   * A re-pointed document is cleared, so no column of its former media type is left behind, and the triggers of
+   * the derived columns recompute it.
+   */
+  async addDocumentsTriggers() {
+    this.logger.info(`${loggerPrefix} adding triggers to keep a ${searchDocumentsTableName} row for every ${libraryItems} row`)
+    await this.createTrigger(
+      getDocumentsTriggerName('insert'),
+      `
+        AFTER INSERT ON ${libraryItems}
+        FOR EACH ROW
+        BEGIN
+          INSERT INTO ${searchDocumentsTableName} (libraryItemId, mediaId, mediaType) VALUES (NEW.id, NEW.mediaId, NEW.mediaType);
+        END;
+      `
+    )
+    await this.createTrigger(
+      getDocumentsTriggerName('update'),
+      `
+        AFTER UPDATE OF mediaId, mediaType ON ${libraryItems}
+        FOR EACH ROW
+        BEGIN
+          UPDATE ${searchDocumentsTableName}
+            SET mediaId = NEW.mediaId, mediaType = NEW.mediaType, ${searchColumns.map((column) => `${column} = NULL`).join(', ')}
+          WHERE libraryItemId = NEW.id;
+        END;
+      `
+    )
+    await this.createTrigger(
+      getDocumentsTriggerName('delete'),
+      `
+        AFTER DELETE ON ${libraryItems}
+        FOR EACH ROW
+        BEGIN
+          DELETE FROM ${searchDocumentsTableName} WHERE libraryItemId = OLD.id;
+        END;
+      `
+    )
+    this.logger.info(`${loggerPrefix} added triggers to keep a ${searchDocumentsTableName} row for every ${libraryItems} row`)
+  }
+
+  async removeDocumentsTriggers() {
+    this.logger.info(`${loggerPrefix} removing triggers to keep a ${searchDocumentsTableName} row for every ${libraryItems} row`)
+    for (const event of ['insert', 'update', 'delete']) {
+      await this.dropTrigger(getDocumentsTriggerName(event))
+    }
+    this.logger.info(`${loggerPrefix} removed triggers to keep a ${searchDocumentsTableName} row for every ${libraryItems} row`)
+  }
+
+  /**
+   * Copies every change of a document to the full-text search table.
+   * The document is read back rather than taken from NEW: inserting a document fires both the insert trigger below
+   * and the triggers of the derived columns, which update it, in no guaranteed order, so the last copy must be the final one.
+   */
+  async addSearchTriggers() {
+    this.logger.info(`${loggerPrefix} adding triggers to update ${searchTableName} from ${searchDocumentsTableName}`)
+    const copyDocument = `
+          INSERT OR REPLACE INTO ${searchTableName} (rowid, ${searchColumns.join(', ')})
+            SELECT id, ${searchColumns.join(', ')} FROM ${searchDocumentsTableName} WHERE id = NEW.id;`
+    await this.createTrigger(
+      getSearchTriggerName('insert'),
+      `
+        AFTER INSERT ON ${searchDocumentsTableName}
+        FOR EACH ROW
+        BEGIN${copyDocument}
+        END;
+      `
+    )
+    await this.createTrigger(
+      getSearchTriggerName('update'),
+      `
+        AFTER UPDATE ON ${searchDocumentsTableName}
+        FOR EACH ROW
+        BEGIN${copyDocument}
+        END;
+      `
+    )
+    await this.createTrigger(
+      getSearchTriggerName('delete'),
+      `
+        AFTER DELETE ON ${searchDocumentsTableName}
+        FOR EACH ROW
+        BEGIN
+          DELETE FROM ${searchTableName} WHERE rowid = OLD.id;
+        END;
+      `
+    )
+    this.logger.info(`${loggerPrefix} added triggers to update ${searchTableName} from ${searchDocumentsTableName}`)
+  }
+
+  async removeSearchTriggers() {
+    this.logger.info(`${loggerPrefix} removing triggers to update ${searchTableName} from ${searchDocumentsTableName}`)
+    for (const event of ['insert', 'update', 'delete']) {
+      await this.dropTrigger(getSearchTriggerName(event))
+    }
+    this.logger.info(`${loggerPrefix} removed triggers to update ${searchTableName} from ${searchDocumentsTableName}`)
+  }
+}
+
+module.exports = { up, down }
@@ -0,0 +1,102 @@
+const { Sequelize } = require('sequelize')
+const { MigrationHelper } = require('./utils/MigrationHelper')
+const { DerivedColumn } = require('./utils/DerivedColumn')
+
+/**
+ * @typedef MigrationContext
+ * @property {import('sequelize').QueryInterface} queryInterface - a Sequelize QueryInterface object.
+ * @property {import('../Logger')} logger - a Logger object.
+ *
+ * @typedef MigrationOptions
+ * @property {MigrationContext} context - an object containing the migration context.
+ */
+
+const migrationVersion = '2.26.9'
+const migrationName = `${migrationVersion}-add-podcast-episode-triggers`
+const loggerPrefix = `[${migrationVersion} migration]`
+
+// Migration constants
+const podcasts = 'podcasts'
+const lastEpisodePublishedAtColumn = 'lastEpisodePublishedAt'
+const podcastEpisodesIndex = ['podcastId', 'publishedAt']
+const mediaProgressesIndex = ['mediaItemId']
+const podcastsIndex = [lastEpisodePublishedAtColumn]
+
+const episodeStats = new DerivedColumn({
+  name: 'episodeStats',
+  table: podcasts,
+  key: 'id',
+  from: podcasts,
+  joins: [{ table: 'podcastEpisodes', column: 'podcastId', references: 'podcasts.id' }],
+  columns: { numEpisodes: 'COUNT(podcastEpisodes.id)', [lastEpisodePublishedAtColumn]: 'MAX(podcastEpisodes.publishedAt)' }
+})
+
+const progressPodcastId = new DerivedColumn({
+  name: 'podcastId',
+  table: 'mediaProgresses',
+  key: 'mediaItemId',
+  filter: { mediaItemType: 'podcastEpisode' },
+  from: 'podcastEpisodes',
+  columns: { podcastId: 'podcastEpisodes.podcastId' },
+  clearedBy: { table: podcasts, column: 'podcastId' }
+})
+
+/**
+ * This upward migration adds triggers keeping the podcasts numEpisodes column and the mediaProgresses podcastId column
+ * of 2.19.4 in sync. 2.19.4 only populated them once, so they relied on the server updating them on every episode
+ * and progress change. It also adds a lastEpisodePublishedAt column to the podcasts table, holding the publishedAt
+ * of its latest episode and kept in sync the same way, to sort podcasts by their latest episode.
+ *
+ * The columns are recomputed for every row, since they can have drifted since 2.19.4, and the podcastEpisodes and
+ * mediaProgresses columns the triggers look rows up by are indexed. A progress keeps its podcastId when its episode
+ * is deleted, as the server leaves it, and only loses it when the podcast itself is deleted.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function up({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} UPGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    await helper.addColumn(podcasts, lastEpisodePublishedAtColumn, { type: Sequelize.DATE, allowNull: true })
+    await helper.addIndex('podcastEpisodes', podcastEpisodesIndex)
+    await helper.addIndex('mediaProgresses', mediaProgressesIndex)
+
+    for (const derivedColumn of [episodeStats, progressPodcastId]) {
+      await helper.populateDerivedColumn(derivedColumn)
+      await helper.addDerivedColumnTriggers(derivedColumn)
+    }
+    await helper.addIndex(podcasts, podcastsIndex)
+  })
+
+  logger.info(`${loggerPrefix} UPGRADE END: ${migrationName}`)
+}
+
+/**
+ * This downward migration removes the triggers, indexes and column added by the upward migration.
+ * numEpisodes and podcastId keep their values, as after 2.19.4.
+ *
+ * @param {MigrationOptions} options - an object containing the migration context.
+ * @returns {Promise<void>} - A promise that resolves when the migration is complete.
+ */
+async function down({ context: { queryInterface, logger } }) {
+  logger.info(`${loggerPrefix} DOWNGRADE BEGIN: ${migrationName}`)
+
+  const helper = new MigrationHelper(queryInterface, logger, loggerPrefix)
+
+  await helper.runInTransaction(async () => {
+    for (const derivedColumn of [episodeStats, progressPodcastId]) {
+      await helper.removeDerivedColumnTriggers(derivedColumn)
+    }
+    await helper.removeIndex(podcasts, podcastsIndex)
+    await helper.removeIndex('mediaProgresses', mediaProgressesIndex)
+    await helper.removeIndex('podcastEpisodes', podcastEpisodesIndex)
+    await helper.removeColumn(podcasts, lastEpisodePublishedAtColumn)
+  })
+
+  logger.info(`${loggerPrefix} DOWNGRADE END: ${migrationName}`)
+}
+
+module.exports = { up, down }
@@ -0,0 +1,181 @@
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { MigrationRunner } = require('./utils/MigrationRunner')
+const { getSchema, compareSchemas, getExpectedSchema } = require('./utils/schema')
+
+const usage = `Usage: node check-db-health.js [options]
+
+Checks <config>/absdatabase.sqlite for corruption and prints a JSON report to stdout:
+  integrity      PRAGMA integrity_check
+  foreignKeys    PRAGMA foreign_key_check, with the offending column and value of each row
+  nocaseIndexes  every index on a NOCASE column is read in index order and compared with a sorted table scan.
+                 The sqlite build of 2.12.0 sorted NOCASE differently, which 2.15.0 and 2.15.1 repair blindly
+                 with REINDEX NOCASE; this finds the indexes that actually need it.
+  triggers       the triggers of the executed migrations (e.g. those 2.26.3 generates for libraryItems) must exist with
+                 the SQL the migrations create them with
+The database is only read, so this can run while the server is up. Exits non-zero if any check finds problems.
+
+Options:
+  --config <dir>  audiobookshelf config directory (default: /config)
+  --verbose       also print the log output of the migrations replayed for the trigger check
+  --help          show this help`
+
+/**
+ * @typedef IndexOrderProblem
+ * @property {string} index
+ * @property {string} table
+ * @property {number} indexedRows - the rows read through the index.
+ * @property {number} tableRows - the rows read by the table scan.
+ * @property {number|null} firstMismatch - the position of the first row the index has out of order, null if only the counts differ.
+ *
+ * @typedef CheckResult
+ * @property {boolean} healthy
+ * @property {Object[]} problems
+ * @property {string[]} [checked] - the indexes or triggers checked.
+ * @property {{index: string, reason: string}[]} [skipped] - the NOCASE indexes that can't be checked by scanning.
+ *
+ * @typedef HealthReport
+ * @property {string} database
+ * @property {string} checkedAt
+ * @property {boolean} healthy
+ * @property {{integrity: CheckResult, foreignKeys: CheckResult, nocaseIndexes: CheckResult, triggers: CheckResult}} checks
+ */
+
+function parseArgs(argv) {
+  const args = { config: '/config', verbose: false }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--verbose') args.verbose = true
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  return args
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<CheckResult>}
+ */
+async function checkIntegrity(sequelize) {
+  const rows = await sequelize.query('PRAGMA integrity_check', { type: QueryTypes.SELECT })
+  const problems = rows.map((row) => row.integrity_check).filter((message) => message !== 'ok')
+  return { healthy: !problems.length, problems }
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} migrationsPath
+ * @param {Logger} logger
+ * @returns {Promise<CheckResult>}
+ */
+async function checkForeignKeys(sequelize, migrationsPath, logger) {
+  const rows = await sequelize.query('PRAGMA foreign_key_check', { type: QueryTypes.SELECT })
+  // Loaded from the config directory like the migrations that use it
+  const { MigrationHelper } = require(path.join(migrationsPath, 'utils', 'MigrationHelper'))
+  const helper = new MigrationHelper(sequelize.getQueryInterface(), logger, '[check-db-health]')
+  const problems = []
+  for (const table of new Set(rows.map((row) => row.table))) {
+    problems.push(...(await helper.getForeignKeyViolations(table)))
+  }
+  return { healthy: !problems.length, problems }
+}
+
+/**
+ * Reads every index with a NOCASE column in index order and compares the rowids with a table scan sorted by the same columns.
+ * An index built with a different NOCASE ordering returns its rows in that ordering, since SQLite trusts the index.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<CheckResult>}
+ */
+async function checkNocaseIndexes(sequelize) {
+  const select = (sql, replacements) => sequelize.query(sql, { type: QueryTypes.SELECT, replacements })
+  const quote = (name) => sequelize.getQueryInterface().quoteIdentifier(name)
+  const result = { healthy: true, problems: [], checked: [], skipped: [] }
+
+  const indexes = await select(`SELECT name, tbl_name AS "table" FROM sqlite_master WHERE type = 'index' ORDER BY name`)
+  for (const { name: index, table } of indexes) {
+    const columns = await select('SELECT name, coll, "desc" FROM pragma_index_xinfo(:index) WHERE key = 1 ORDER BY seqno', { index })
+    if (!columns.some((column) => column.coll?.toUpperCase() === 'NOCASE')) continue
+
+    const [{ partial }] = await select('SELECT partial FROM pragma_index_list(:table) WHERE name = :index', { table, index })
+    if (partial) {
+      result.skipped.push({ index, reason: 'partial index' })
+      continue
+    }
+    if (columns.some((column) => column.name === null)) {
+      result.skipped.push({ index, reason: 'expression index' })
+      continue
+    }
+
+    // The index stores rowid as its last key, so it satisfies this ORDER BY without sorting
+    const orderBy = [...columns.map((column) => `${quote(column.name)} COLLATE ${column.coll}${column.desc ? ' DESC' : ''}`), 'rowid'].join(', ')
+    const indexed = await select(`SELECT rowid AS id FROM ${quote(table)} INDEXED BY ${quote(index)} ORDER BY ${orderBy}`)
+    const scanned = await select(`SELECT rowid AS id FROM ${quote(table)} NOT INDEXED ORDER BY ${orderBy}`)
+    result.checked.push(index)
+
+    const firstMismatch = indexed.findIndex((row, position) => row.id !== scanned[position]?.id)
+    if (firstMismatch !== -1 || indexed.length !== scanned.length) {
+      result.problems.push({ index, table, indexedRows: indexed.length, tableRows: scanned.length, firstMismatch: firstMismatch === -1 ? null : firstMismatch })
+    }
+  }
+
+  result.healthy = !result.problems.length
+  return result
+}
+
+/**
+ * Compares the triggers of the live database with those the executed migrations create on the empty baseline.
+ * Triggers of pending migrations are not expected yet.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} migrationsPath
+ * @param {Logger} logger
+ * @returns {Promise<CheckResult>}
+ */
+async function checkTriggers(sequelize, migrationsPath, logger) {
+  const executedNames = await new MigrationRunner(sequelize, migrationsPath, logger).getExecutedNames()
+  const expected = await getExpectedSchema(migrationsPath, logger, { names: [...executedNames] })
+  const actual = await getSchema(sequelize)
+  const problems = compareSchemas({ tables: {}, indexes: {}, triggers: expected.triggers }, { tables: {}, indexes: {}, triggers: actual.triggers }).map(({ change, name, differences }) => ({ trigger: name, change, differences }))
+  return { healthy: !problems.length, problems, checked: Object.keys(expected.triggers) }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger({ quiet: !args.verbose })
+  const databasePath = getDatabasePath(args.config)
+  const migrationsPath = getMigrationsPath(args.config)
+  const sequelize = await openDatabase(databasePath)
+
+  /** @type {HealthReport} */
+  let report
+  try {
+    const checks = {
+      integrity: await checkIntegrity(sequelize),
+      foreignKeys: await checkForeignKeys(sequelize, migrationsPath, logger),
+      nocaseIndexes: await checkNocaseIndexes(sequelize),
+      triggers: await checkTriggers(sequelize, migrationsPath, logger)
+    }
+    report = { database: databasePath, checkedAt: new Date().toISOString(), healthy: Object.values(checks).every((check) => check.healthy), checks }
+  } finally {
+    await sequelize.close()
+  }
+
+  console.log(JSON.stringify(report, null, 2))
+  return report.healthy ? 0 : 1
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,126 @@
+const path = require('path')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { getSnapshotsPath, createSnapshot } = require('./utils/snapshots')
+
+const defaultBatchSize = 500
+
+const usage = `Usage: node check-denormalized.js [options]
+
+Checks the libraryItems columns that copy data from the media tables and are kept in sync by triggers (2.26.3):
+title and titleIgnorePrefix (from books and podcasts, 2.19.1 and 2.19.4), authorNamesFirstLast and
+authorNamesLastFirst (from authors and bookAuthors, joined in the order of bookAuthors.position since 2.26.6 and in
+the order the authors were added like 2.20.0 before), seriesName and seriesSequence (from the series the book was
+added to first, 2.26.4), and the case and diacritic folded sort keys of the title and author names columns (2.26.7).
+Each column is recomputed from its source and the differing rows are listed. Stale values make the library
+sort wrongly. Exits non-zero if any row differs, unless it was repaired.
+
+With --repair, the differing rows are recomputed in batches, each committed separately. The database is
+snapshotted first.
+
+Options:
+  --config <dir>      audiobookshelf config directory (default: /config)
+  --repair            recompute the differing rows
+  --batch-size <n>    rows per repair batch (default: ${defaultBatchSize})
+  --no-snapshot       do not snapshot the database before repairing
+  --help              show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', repair: false, batchSize: defaultBatchSize, snapshot: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--repair') args.repair = true
+    else if (arg === '--batch-size') args.batchSize = Number(argv[++i])
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  if (!Number.isInteger(args.batchSize) || args.batchSize < 1) {
+    throw new Error('--batch-size must be a positive integer')
+  }
+  return args
+}
+
+/**
+ * @param {import('../config/migrations/utils/denormalized').MismatchReport} report
+ * @returns {string} - e.g. "libraryItems.title (books)".
+ */
+function describeColumn(report) {
+  return `libraryItems.${report.column} (${report.mediaType ? `${report.mediaType}s` : 'all items'})`
+}
+
+/**
+ * @param {import('../config/migrations/utils/denormalized').MismatchReport} report
+ */
+function printReport(report) {
+  console.log(`${describeColumn(report)}, from ${report.source}: ${report.count} row(s) differ`)
+  for (const example of report.examples) {
+    console.log(`    ${example.id}  ${JSON.stringify(example.actual)} -> ${JSON.stringify(example.expected)}`)
+  }
+  if (report.count > report.examples.length) console.log('    ...')
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger()
+  const sequelize = await openDatabase(getDatabasePath(args.config))
+  // Loaded from the config directory, where the merge logic computes author names with it too
+  const { findMismatches, repairMismatchBatch } = require(path.join(getMigrationsPath(args.config), 'utils', 'denormalized'))
+
+  try {
+    const mismatches = (await findMismatches(sequelize)).filter((report) => report.count)
+    if (!mismatches.length) {
+      console.log('All denormalized libraryItems columns match their source')
+      return 0
+    }
+    mismatches.forEach(printReport)
+    if (!args.repair) {
+      console.log('')
+      console.log('Run again with --repair to recompute them')
+      return 1
+    }
+
+    if (args.snapshot) {
+      const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'check-denormalized' })
+      logger.info(`Saved database snapshot to ${snapshotPath}`)
+    }
+
+    for (const report of mismatches) {
+      let repaired = 0
+      while (true) {
+        // Raw statements: a sequelize transaction would get its own connection, which the queries of repairMismatchBatch don't use
+        await sequelize.query('BEGIN')
+        let count
+        try {
+          count = await repairMismatchBatch(sequelize, report.column, report.mediaType, args.batchSize)
+          await sequelize.query('COMMIT')
+        } catch (error) {
+          await sequelize.query('ROLLBACK')
+          throw error
+        }
+        if (!count) break
+        repaired += count
+        // Every batch fixes its rows, so more repairs than mismatches means some rows don't keep the recomputed value
+        if (repaired > report.count) throw new Error(`${describeColumn(report)} still differs after repairing ${report.count} row(s)`)
+        logger.info(`Repaired ${repaired}/${report.count} ${describeColumn(report)}`)
+      }
+      console.log(`Repaired ${repaired} row(s) of ${describeColumn(report)}`)
+    }
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,79 @@
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { MigrationRunner } = require('./utils/MigrationRunner')
+const { getSchema, compareSchemas, formatSchemaChanges, getExpectedSchema } = require('./utils/schema')
+
+const usage = `Usage: node check-schema.js [options]
+
+Checks <config>/absdatabase.sqlite for schema drift. The expected schema is built by applying every migration
+in <config>/migrations to an empty 2.14 database (fixtures/abs-2.14.0-schema.sql) in memory, and compared with
+the schema of the live database: tables, columns, foreign keys (including ON DELETE/ON UPDATE actions),
+indexes and triggers. Changed properties are shown as "expected -> live". The live database is only read.
+Exits non-zero if the schemas differ.
+
+Options:
+  --config <dir>  audiobookshelf config directory (default: /config)
+  --verbose       also print the log output of the migrations
+  --help          show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', verbose: false }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--verbose') args.verbose = true
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  return args
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger({ quiet: !args.verbose })
+  const databasePath = getDatabasePath(args.config)
+  const migrationsPath = getMigrationsPath(args.config)
+  const expected = await getExpectedSchema(migrationsPath, logger)
+
+  const sequelize = await openDatabase(databasePath)
+  let pending, actual
+  try {
+    pending = await new MigrationRunner(sequelize, migrationsPath, logger).selectMigrations('up')
+    actual = await getSchema(sequelize)
+  } finally {
+    await sequelize.close()
+  }
+
+  if (pending.length) {
+    // Their changes show up as drift, but the fix is to run them rather than to repair the schema
+    console.log(`${pending.length} migration(s) not yet applied to ${databasePath}; run "migrate" first:`)
+    for (const migration of pending) {
+      console.log(`  ${migration.name}`)
+    }
+    console.log('')
+  }
+
+  const changes = compareSchemas(expected, actual)
+  if (!changes.length) {
+    console.log(`No schema drift in ${databasePath}`)
+    return 0
+  }
+
+  console.log(`Schema drift in ${databasePath} (${changes.length}):`)
+  for (const line of formatSchemaChanges(changes)) {
+    console.log(line)
+  }
+  return 1
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,87 @@
+const path = require('path')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { getSnapshotsPath, createSnapshot } = require('./utils/snapshots')
+
+const usage = `Usage: node clean-orphans.js [options]
+
+Reports rows of <config>/absdatabase.sqlite left behind by deleted books, series, authors, podcast episodes and
+feed entities: bookSeries and bookAuthors rows of missing books, series or authors, and mediaProgresses,
+playlistMediaItems, playbackSessions and feeds rows whose mediaItemId or entityId no longer resolves. The 2.26.2
+migration cleans them up once; run this to check for or clean up orphans again later. With --fix, mediaProgresses,
+playlistMediaItems and the join rows are deleted, and the reference of playbackSessions and feeds is set to NULL,
+following the 2.17.3 foreign key policy. The database is snapshotted first.
+
+Options:
+  --config <dir>  audiobookshelf config directory (default: /config)
+  --fix           delete or clear the orphaned rows
+  --no-snapshot   do not snapshot the database before fixing
+  --help          show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', fix: false, snapshot: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--fix') args.fix = true
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  return args
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger()
+  const sequelize = await openDatabase(getDatabasePath(args.config))
+  // Shared with the 2.26.2 migration; loaded from the config directory since the tools are mounted separately
+  const { findOrphans, cleanOrphans, describeOrphanReport } = require(path.join(getMigrationsPath(args.config), 'utils', 'orphans'))
+
+  try {
+    const orphans = (await findOrphans(sequelize)).filter((report) => report.count)
+    if (!orphans.length) {
+      console.log('No orphaned rows found')
+      return 0
+    }
+    if (!args.fix) {
+      orphans.forEach((report) => console.log(describeOrphanReport(report)))
+      console.log('')
+      console.log('Run again with --fix to clean them up')
+      return 0
+    }
+
+    if (args.snapshot) {
+      const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'clean-orphans' })
+      logger.info(`Saved database snapshot to ${snapshotPath}`)
+    }
+
+    // Raw statements: a sequelize transaction would get its own connection, which the queries of cleanOrphans don't use
+    await sequelize.query('BEGIN')
+    let reports
+    try {
+      reports = await cleanOrphans(sequelize)
+      await sequelize.query('COMMIT')
+    } catch (error) {
+      await sequelize.query('ROLLBACK')
+      throw error
+    }
+
+    reports.filter((report) => report.count).forEach((report) => console.log(`Cleaned up ${describeOrphanReport(report)}`))
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,94 @@
+const path = require('path')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { getSnapshotsPath, createSnapshot } = require('./utils/snapshots')
+
+const usage = `Usage: node dedupe-episodes.js [options]
+
+Reports podcast episodes of <config>/absdatabase.sqlite that have the same feed GUID as another episode of their
+podcast, or the same enclosure URL if they have no GUID. The 2.26.10 migration merges them once; the server can
+add such episodes again, so run this to check for and merge them later. With --merge, each group is merged like
+2.26.10 does: the episode with the most progress is kept, the progress, playlist entries and playback sessions of
+the others move to it, and their audio files are removed from the podcast's library files. The audio files are
+left on disk and listed, since the next scan adds them back as episodes until they are removed. The database is
+snapshotted first.
+
+Options:
+  --config <dir>  audiobookshelf config directory (default: /config)
+  --merge         merge the duplicate episodes
+  --no-snapshot   do not snapshot the database before merging
+  --help          show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', merge: false, snapshot: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--merge') args.merge = true
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  return args
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger()
+  const sequelize = await openDatabase(getDatabasePath(args.config))
+  // Shared with the 2.26.10 migration; loaded from the config directory since the tools are mounted separately
+  const { findDuplicatePodcastEpisodes, mergePodcastEpisodes } = require(path.join(getMigrationsPath(args.config), 'utils', 'merge'))
+
+  try {
+    const duplicates = await findDuplicatePodcastEpisodes(sequelize)
+    if (!duplicates.length) {
+      console.log('No duplicate podcast episodes found')
+      return 0
+    }
+    if (!args.merge) {
+      for (const { podcastId, episodeKey, episodeIds } of duplicates) {
+        console.log(`${episodeIds.length} episodes of podcast ${podcastId} with ${JSON.stringify(episodeKey)}: keep ${episodeIds[0]}, merge ${episodeIds.slice(1).join(', ')}`)
+      }
+      console.log('')
+      console.log('Run again with --merge to merge them')
+      return 0
+    }
+
+    if (args.snapshot) {
+      const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'dedupe-episodes' })
+      logger.info(`Saved database snapshot to ${snapshotPath}`)
+    }
+
+    // Raw statements: a sequelize transaction would get its own connection, which the queries of mergePodcastEpisodes don't use
+    await sequelize.query('BEGIN')
+    try {
+      for (const { episodeKey, episodeIds } of duplicates) {
+        const [survivorId, ...duplicateIds] = episodeIds
+        const { mergeLogId, deletedLinkIds, movedLinkIds, audioFilePaths } = await mergePodcastEpisodes(sequelize, survivorId, duplicateIds, { source: 'dedupe-episodes' })
+        console.log(`Merged ${duplicateIds.length} episode(s) with ${JSON.stringify(episodeKey)} into ${survivorId}: moved ${movedLinkIds.length} link(s), removed ${deletedLinkIds.length} duplicate link(s), merge log ${mergeLogId}`)
+        for (const audioFilePath of audioFilePaths) {
+          console.log(`    audio file left on disk: ${audioFilePath}`)
+        }
+      }
+      await sequelize.query('COMMIT')
+    } catch (error) {
+      await sequelize.query('ROLLBACK')
+      throw error
+    }
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,252 @@
+const fs = require('fs')
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { getSnapshotsPath, createSnapshot } = require('./utils/snapshots')
+
+const reportFileName = 'series-dedupe.json'
+
+const usage = `Usage: node dedupe-series.js [options]
+
+Finds series that are probably duplicates of each other: series in the same library whose names only differ in
+case, whitespace, punctuation, a leading article (the server's sortingPrefixes setting, also as in "Expanse, The")
+or a trailing "Series". 2.15.0 only merged series with exactly the same name.
+
+Without --merge, the candidate groups are written to a report (default: <config>/${reportFileName}) and printed.
+Review the report, set "approved": true on the groups to merge, optionally change a group's "survivorId"
+(by default the most recently updated series), and run again with --merge. Merging works like 2.15.0: the books
+of the other series move to the surviving series, a book that was in several of them keeps its link with the
+lowest sequence (parsed as a number, so "2" before "10"), and the other series are deleted. The database is snapshotted first.
+
+Options:
+  --config <dir>   audiobookshelf config directory (default: /config)
+  --report <file>  the candidate report to write, or to read with --merge (default: <config>/${reportFileName})
+  --merge          merge the approved groups of the report
+  --no-snapshot    do not snapshot the database before merging
+  --help           show this help`
+
+/**
+ * @typedef CandidateSeries
+ * @property {string} id
+ * @property {string} name
+ * @property {string} updatedAt
+ * @property {number} books - the number of books in the series.
+ *
+ * @typedef CandidateGroup
+ * @property {boolean} approved - set to true by the reviewer to merge the group.
+ * @property {string} libraryId
+ * @property {string} libraryName
+ * @property {string} normalizedName - the name all series of the group normalize to.
+ * @property {string} survivorId - the series the others are merged into.
+ * @property {CandidateSeries[]} series
+ *
+ * @typedef Report
+ * @property {string} createdAt
+ * @property {string} database
+ * @property {CandidateGroup[]} groups
+ */
+
+function parseArgs(argv) {
+  const args = { config: '/config', report: null, merge: false, snapshot: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--report') args.report = argv[++i]
+    else if (arg === '--merge') args.merge = true
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  args.report ??= path.resolve(args.config, reportFileName)
+  return args
+}
+
+/**
+ * Reduces a series name to the part that identifies it, e.g. "The Expanse ", "Expanse, The" and "The Expanse Series" all become "expanse".
+ *
+ * @param {string} name
+ * @param {string[]} prefixes - leading articles, lowercase.
+ * @returns {string}
+ */
+function normalizeSeriesName(name, prefixes) {
+  let normalized = name.toLowerCase().replace(/\s+/g, ' ').trim()
+
+  // "Expanse, The" -> "the expanse"
+  for (const prefix of prefixes) {
+    if (normalized.endsWith(`, ${prefix}`)) {
+      normalized = `${prefix} ${normalized.slice(0, -(prefix.length + 2))}`
+      break
+    }
+  }
+
+  // Apostrophes are dropped ("Ender's" -> "enders"), any other punctuation separates words
+  normalized = normalized
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+
+  const words = normalized.split(' ')
+  if (words.length > 1 && prefixes.includes(words[0])) words.shift()
+  if (words.length > 1 && words[words.length - 1] === 'series') words.pop()
+  return words.join(' ')
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string[]} prefixes - the lower cased sorting prefixes of the server.
+ * @returns {Promise<CandidateGroup[]>}
+ */
+async function findCandidateGroups(sequelize, prefixes) {
+  const series = await sequelize.query(
+    `
+      SELECT s.id, s.name, s.updatedAt, s.libraryId, l.name AS libraryName, COUNT(bs.id) AS books
+      FROM series s
+      LEFT JOIN libraries l ON l.id = s.libraryId
+      LEFT JOIN bookSeries bs ON bs.seriesId = s.id
+      GROUP BY s.id
+      ORDER BY s.updatedAt DESC
+    `,
+    { type: QueryTypes.SELECT }
+  )
+
+  /** @type {Map<string, CandidateGroup>} */
+  const groups = new Map()
+  for (const { libraryId, libraryName, ...candidate } of series) {
+    const normalizedName = normalizeSeriesName(candidate.name, prefixes)
+    const key = `${libraryId}\u0000${normalizedName}`
+    if (!groups.has(key)) {
+      // Series are sorted newest first, so the first one of a group is the most recently updated
+      groups.set(key, { approved: false, libraryId, libraryName, normalizedName, survivorId: candidate.id, series: [] })
+    }
+    groups.get(key).series.push(candidate)
+  }
+
+  return [...groups.values()].filter((group) => group.series.length > 1).sort((a, b) => a.libraryName.localeCompare(b.libraryName) || a.normalizedName.localeCompare(b.normalizedName))
+}
+
+/**
+ * @param {CandidateGroup[]} groups
+ */
+function printGroups(groups) {
+  groups.forEach((group, index) => {
+    console.log(`[${index + 1}] ${group.libraryName}: "${group.normalizedName}"${group.approved ? ' (approved)' : ''}`)
+    for (const series of group.series) {
+      const marker = series.id === group.survivorId ? 'keep ' : 'merge'
+      console.log(`    ${marker} ${series.id}  ${JSON.stringify(series.name)}, ${series.books} book(s), updated ${series.updatedAt}`)
+    }
+  })
+}
+
+/**
+ * Checks that the approved groups still describe the database, so a stale or hand-edited report can't merge the wrong series.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {CandidateGroup[]} groups
+ * @returns {Promise<string[]>} - the problems found, empty if the groups can be merged.
+ */
+async function validateGroups(sequelize, groups) {
+  const problems = []
+  const seen = new Set()
+  for (const group of groups) {
+    const label = `${group.libraryName}: "${group.normalizedName}"`
+    const ids = group.series.map((series) => series.id)
+    if (!ids.includes(group.survivorId)) {
+      problems.push(`${label}: survivorId ${group.survivorId} is not one of its series`)
+    }
+    for (const id of ids) {
+      if (seen.has(id)) problems.push(`${label}: series ${id} is also in another approved group`)
+      seen.add(id)
+    }
+
+    const rows = await sequelize.query('SELECT id, name, libraryId FROM series WHERE id IN (:ids)', { replacements: { ids }, type: QueryTypes.SELECT })
+    for (const series of group.series) {
+      const row = rows.find((row) => row.id === series.id)
+      if (!row) problems.push(`${label}: series ${series.id} no longer exists`)
+      else if (row.name !== series.name) problems.push(`${label}: series ${series.id} was renamed to ${JSON.stringify(row.name)}`)
+      else if (row.libraryId !== group.libraryId) problems.push(`${label}: series ${series.id} is not in library ${group.libraryId}`)
+    }
+  }
+  return problems
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger()
+  const databasePath = getDatabasePath(args.config)
+  const sequelize = await openDatabase(databasePath)
+
+  try {
+    if (!args.merge) {
+      // The sorting prefixes the server and recompute-title-prefixes use, loaded from the config directory like merge.js
+      const { getSortingPrefixes } = require(path.join(getMigrationsPath(args.config), 'utils', 'titleIgnorePrefix'))
+      const groups = await findCandidateGroups(sequelize, await getSortingPrefixes(sequelize, logger))
+      if (!groups.length) {
+        console.log('No duplicate series candidates found')
+        return 0
+      }
+      /** @type {Report} */
+      const report = { createdAt: new Date().toISOString(), database: databasePath, groups }
+      fs.writeFileSync(args.report, JSON.stringify(report, null, 2))
+      printGroups(groups)
+      console.log('')
+      console.log(`Wrote ${groups.length} candidate group(s) to ${args.report}`)
+      console.log('Set "approved": true on the groups to merge, then run again with --merge')
+      return 0
+    }
+
+    if (!fs.existsSync(args.report)) {
+      throw new Error(`Report not found at ${args.report}, run without --merge first`)
+    }
+    /** @type {Report} */
+    const report = JSON.parse(fs.readFileSync(args.report, 'utf8'))
+    const approved = report.groups.filter((group) => group.approved === true)
+    if (!approved.length) {
+      console.log(`No approved groups in ${args.report}`)
+      return 0
+    }
+
+    const problems = await validateGroups(sequelize, approved)
+    if (problems.length) {
+      logger.error(`The report no longer matches the database, nothing was merged:\n  ${problems.join('\n  ')}`)
+      return 1
+    }
+
+    if (args.snapshot) {
+      const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'dedupe-series', groups: approved })
+      logger.info(`Saved database snapshot to ${snapshotPath}`)
+    }
+
+    // Shared with the merging migrations; loaded from the config directory since the tools are mounted separately
+    const { mergeSeries } = require(path.join(getMigrationsPath(args.config), 'utils', 'merge'))
+    // Raw statements: a sequelize transaction would get its own connection, which the queries of mergeSeries don't use
+    await sequelize.query('BEGIN')
+    try {
+      for (const group of approved) {
+        const duplicateIds = group.series.map((series) => series.id).filter((id) => id !== group.survivorId)
+        const survivor = group.series.find((series) => series.id === group.survivorId)
+        const { mergeLogId, deletedBookSeriesIds, movedBookSeriesIds } = await mergeSeries(sequelize, group.survivorId, duplicateIds, { source: 'dedupe-series' })
+        console.log(`Merged ${duplicateIds.length} series into ${JSON.stringify(survivor.name)} (${group.libraryName}): moved ${movedBookSeriesIds.length} book link(s), removed ${deletedBookSeriesIds.length} duplicate book link(s), merge log ${mergeLogId}`)
+      }
+      await sequelize.query('COMMIT')
+    } catch (error) {
+      await sequelize.query('ROLLBACK')
+      throw error
+    }
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
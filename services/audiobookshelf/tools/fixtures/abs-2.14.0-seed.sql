@@ -0,0 +1,56 @@
+-- Rows for the abs-2.14.0-schema.sql database (replacing its default settings): a small book library and podcast library so that every migration
+-- has rows to work on, including the duplicate series 2.15.0 merges and the absolute feed URLs 2.17.5 rewrites.
+-- Used by tools/verify-migrations.js and tools/verify-migration-data.js.
+
+INSERT OR REPLACE INTO settings VALUES ('server-settings', '{"id":"server-settings","authActiveAuthMethods":["local","openid"],"authOpenIDMobileRedirectURIs":["audiobookshelf://oauth"],"sortingPrefixes":["the","a"]}', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00');
+INSERT OR REPLACE INTO settings VALUES ('email-settings', '{"id":"email-settings","host":null,"port":465,"secure":true}', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00');
+INSERT OR REPLACE INTO settings VALUES ('notification-settings', '{"id":"notification-settings","appriseType":"api","appriseApiUrl":null,"notifications":[]}', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00');
+
+INSERT INTO users (id, username, type, isActive, permissions, bookmarks, extraData, createdAt, updatedAt) VALUES ('5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0001', 'root', 'root', 1, '{}', '[]', '{}', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00');
+INSERT INTO users (id, username, type, isActive, permissions, bookmarks, extraData, createdAt, updatedAt) VALUES ('5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002', 'listener', 'user', 1, '{}', '[]', '{}', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00');
+
+INSERT INTO libraries (id, name, displayOrder, icon, mediaType, provider, settings, extraData, createdAt, updatedAt) VALUES ('7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', 'Books', 1, 'database', 'book', 'google', '{}', '{}', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00');
+INSERT INTO libraries (id, name, displayOrder, icon, mediaType, provider, settings, extraData, createdAt, updatedAt) VALUES ('7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0002', 'Podcasts', 2, 'podcast', 'podcast', 'itunes', '{}', '{}', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00');
+INSERT INTO libraryFolders (id, path, createdAt, updatedAt, libraryId) VALUES ('8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0001', '/audiobooks', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+INSERT INTO libraryFolders (id, path, createdAt, updatedAt, libraryId) VALUES ('8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0002', '/podcasts', '2024-01-01 00:00:00.000 +00:00', '2024-01-01 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0002');
+
+INSERT INTO books (id, title, titleIgnorePrefix, publishedYear, duration, narrators, audioFiles, chapters, tags, genres, createdAt, updatedAt) VALUES ('b0000000-0000-4000-8000-000000000001', 'The Hobbit', 'Hobbit, The', '1937', 39000, '[]', '[]', '[]', '[]', '[]', '2024-01-02 00:00:00.000 +00:00', '2024-01-02 00:00:00.000 +00:00');
+INSERT INTO books (id, title, titleIgnorePrefix, publishedYear, duration, narrators, audioFiles, chapters, tags, genres, createdAt, updatedAt) VALUES ('b0000000-0000-4000-8000-000000000002', 'The Fellowship of the Ring', 'Fellowship of the Ring, The', '1954', 70000, '[]', '[]', '[]', '[]', '[]', '2024-01-03 00:00:00.000 +00:00', '2024-01-03 00:00:00.000 +00:00');
+INSERT INTO books (id, title, titleIgnorePrefix, publishedYear, duration, narrators, audioFiles, chapters, tags, genres, createdAt, updatedAt) VALUES ('b0000000-0000-4000-8000-000000000003', 'Good Omens', 'Good Omens', '1990', 45000, '[]', '[]', '[]', '[]', '[]', '2024-01-04 00:00:00.000 +00:00', '2024-01-04 00:00:00.000 +00:00');
+
+INSERT INTO libraryItems (id, ino, path, relPath, mediaId, mediaType, isFile, isMissing, isInvalid, size, libraryFiles, extraData, createdAt, updatedAt, libraryId, libraryFolderId) VALUES ('a0000000-0000-4000-8000-000000000001', '1001', '/audiobooks/Tolkien/The Hobbit', 'Tolkien/The Hobbit', 'b0000000-0000-4000-8000-000000000001', 'book', 0, 0, 0, 1000, '[]', '{}', '2024-01-02 00:00:00.000 +00:00', '2024-01-02 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', '8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0001');
+INSERT INTO libraryItems (id, ino, path, relPath, mediaId, mediaType, isFile, isMissing, isInvalid, size, libraryFiles, extraData, createdAt, updatedAt, libraryId, libraryFolderId) VALUES ('a0000000-0000-4000-8000-000000000002', '1002', '/audiobooks/Tolkien/The Fellowship of the Ring', 'Tolkien/The Fellowship of the Ring', 'b0000000-0000-4000-8000-000000000002', 'book', 0, 0, 0, 2000, '[]', '{}', '2024-01-03 00:00:00.000 +00:00', '2024-01-03 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', '8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0001');
+INSERT INTO libraryItems (id, ino, path, relPath, mediaId, mediaType, isFile, isMissing, isInvalid, size, libraryFiles, extraData, createdAt, updatedAt, libraryId, libraryFolderId) VALUES ('a0000000-0000-4000-8000-000000000003', '1003', '/audiobooks/Pratchett/Good Omens', 'Pratchett/Good Omens', 'b0000000-0000-4000-8000-000000000003', 'book', 0, 0, 0, 3000, '[]', '{}', '2024-01-04 00:00:00.000 +00:00', '2024-01-04 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', '8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0001');
+INSERT INTO libraryItems (id, ino, path, relPath, mediaId, mediaType, isFile, isMissing, isInvalid, size, libraryFiles, extraData, createdAt, updatedAt, libraryId, libraryFolderId) VALUES ('a0000000-0000-4000-8000-000000000004', '2001', '/podcasts/The Daily Byte', 'The Daily Byte', 'c0000000-0000-4000-8000-000000000001', 'podcast', 0, 0, 0, 4000, '[]', '{}', '2024-01-05 00:00:00.000 +00:00', '2024-01-05 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0002', '8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0002');
+
+INSERT INTO authors (id, name, lastFirst, createdAt, updatedAt, libraryId) VALUES ('d0000000-0000-4000-8000-000000000001', 'J. R. R. Tolkien', 'Tolkien, J. R. R.', '2024-01-02 00:00:00.000 +00:00', '2024-01-02 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+INSERT INTO authors (id, name, lastFirst, createdAt, updatedAt, libraryId) VALUES ('d0000000-0000-4000-8000-000000000002', 'Terry Pratchett', 'Pratchett, Terry', '2024-01-04 00:00:00.000 +00:00', '2024-01-04 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+INSERT INTO authors (id, name, lastFirst, createdAt, updatedAt, libraryId) VALUES ('d0000000-0000-4000-8000-000000000003', 'Neil Gaiman', 'Gaiman, Neil', '2024-01-04 00:00:00.000 +00:00', '2024-01-04 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000001', '2024-01-02 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', 'd0000000-0000-4000-8000-000000000001');
+INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000002', '2024-01-03 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000002', 'd0000000-0000-4000-8000-000000000001');
+INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000003', '2024-01-04 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000003', 'd0000000-0000-4000-8000-000000000002');
+INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000004', '2024-01-04 00:00:01.000 +00:00', 'b0000000-0000-4000-8000-000000000003', 'd0000000-0000-4000-8000-000000000003');
+
+-- "Middle-earth" exists twice in the same library; 2.15.0 merges the duplicates into the most recently updated one
+-- and keeps one bookSeries row per book, preferring the one with a sequence
+INSERT INTO series (id, name, nameIgnorePrefix, createdAt, updatedAt, libraryId) VALUES ('f0000000-0000-4000-8000-000000000001', 'Middle-earth', 'Middle-earth', '2024-01-02 00:00:00.000 +00:00', '2024-01-02 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+INSERT INTO series (id, name, nameIgnorePrefix, createdAt, updatedAt, libraryId) VALUES ('f0000000-0000-4000-8000-000000000002', 'Middle-earth', 'Middle-earth', '2024-01-03 00:00:00.000 +00:00', '2024-01-03 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000001', '1', '2024-01-02 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', 'f0000000-0000-4000-8000-000000000001');
+INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000002', '2', '2024-01-03 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000002', 'f0000000-0000-4000-8000-000000000002');
+INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000003', NULL, '2024-01-03 00:00:01.000 +00:00', 'b0000000-0000-4000-8000-000000000001', 'f0000000-0000-4000-8000-000000000002');
+
+INSERT INTO podcasts (id, title, titleIgnorePrefix, author, feedURL, language, podcastType, explicit, autoDownloadEpisodes, tags, genres, createdAt, updatedAt) VALUES ('c0000000-0000-4000-8000-000000000001', 'The Daily Byte', 'Daily Byte, The', 'Byte Media', 'https://example.com/feed.xml', 'en', 'episodic', 0, 0, '[]', '[]', '2024-01-05 00:00:00.000 +00:00', '2024-01-05 00:00:00.000 +00:00');
+INSERT INTO podcastEpisodes (id, "index", title, description, pubDate, enclosureURL, publishedAt, audioFile, chapters, extraData, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000001', 1, 'Episode 1', '<p>First</p>', 'Mon, 01 Jan 2024 00:00:00 GMT', 'https://example.com/1.mp3', '2024-01-01 00:00:00.000 +00:00', '{}', '[]', '{}', '2024-01-05 00:00:00.000 +00:00', '2024-01-05 00:00:00.000 +00:00', 'c0000000-0000-4000-8000-000000000001');
+INSERT INTO podcastEpisodes (id, "index", title, description, pubDate, enclosureURL, publishedAt, audioFile, chapters, extraData, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000002', 2, 'Episode 2', '<p>Second</p>', 'Mon, 08 Jan 2024 00:00:00 GMT', 'https://example.com/2.mp3', '2024-01-08 00:00:00.000 +00:00', '{}', '[]', '{}', '2024-01-08 00:00:00.000 +00:00', '2024-01-08 00:00:00.000 +00:00', 'c0000000-0000-4000-8000-000000000001');
+
+INSERT INTO devices (id, deviceId, clientName, clientVersion, extraData, createdAt, updatedAt, userId) VALUES ('30000000-0000-4000-8000-000000000001', 'web-1', 'Abs Web', '2.14.0', '{}', '2024-01-06 00:00:00.000 +00:00', '2024-01-06 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002');
+INSERT INTO playbackSessions (id, mediaItemId, mediaItemType, displayTitle, displayAuthor, duration, playMethod, timeListening, mediaMetadata, date, dayOfWeek, extraData, createdAt, updatedAt, userId, deviceId, libraryId) VALUES ('40000000-0000-4000-8000-000000000001', 'b0000000-0000-4000-8000-000000000001', 'book', 'The Hobbit', 'J. R. R. Tolkien', 39000, 0, 600, '{}', '2024-01-06', 'Saturday', '{}', '2024-01-06 00:00:00.000 +00:00', '2024-01-06 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002', '30000000-0000-4000-8000-000000000001', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000001', 'b0000000-0000-4000-8000-000000000001', 'book', 39000, 600, 0, '{}', '2024-01-06 00:00:00.000 +00:00', '2024-01-06 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002');
+INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000002', '20000000-0000-4000-8000-000000000001', 'podcastEpisode', 1800, 1800, 1, '{"libraryItemId":"a0000000-0000-4000-8000-000000000004"}', '2024-01-07 00:00:00.000 +00:00', '2024-01-07 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002');
+INSERT INTO playlists (id, name, createdAt, updatedAt, libraryId, userId) VALUES ('60000000-0000-4000-8000-000000000001', 'Commute', '2024-01-06 00:00:00.000 +00:00', '2024-01-06 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002');
+INSERT INTO playlistMediaItems (id, mediaItemId, mediaItemType, "order", createdAt, playlistId) VALUES ('70000000-0000-4000-8000-000000000001', 'b0000000-0000-4000-8000-000000000003', 'book', 1, '2024-01-06 00:00:00.000 +00:00', '60000000-0000-4000-8000-000000000001');
+INSERT INTO mediaItemShares (id, mediaItemId, mediaItemType, slug, extraData, createdAt, updatedAt, userId) VALUES ('80000000-0000-4000-8000-000000000001', 'b0000000-0000-4000-8000-000000000003', 'book', 'good-omens', '{}', '2024-01-06 00:00:00.000 +00:00', '2024-01-06 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0001');
+
+-- 2.17.5 strips serverAddress from the feed URLs
+INSERT INTO feeds (id, slug, entityType, entityId, serverAddress, feedURL, imageURL, siteURL, title, explicit, preventIndexing, createdAt, updatedAt, userId) VALUES ('90000000-0000-4000-8000-000000000001', 'daily-byte', 'libraryItem', 'a0000000-0000-4000-8000-000000000004', 'https://abs.example.com', 'https://abs.example.com/feed/daily-byte', 'https://abs.example.com/feed/daily-byte/cover', 'https://abs.example.com/item/a0000000-0000-4000-8000-000000000004', 'The Daily Byte', 0, 1, '2024-01-07 00:00:00.000 +00:00', '2024-01-07 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0001');
+INSERT INTO feedEpisodes (id, title, description, siteURL, enclosureURL, enclosureType, enclosureSize, pubDate, createdAt, updatedAt, feedId) VALUES ('91000000-0000-4000-8000-000000000001', 'Episode 1', '<p>First</p>', 'https://abs.example.com/item/a0000000-0000-4000-8000-000000000004', 'https://abs.example.com/feed/daily-byte/item/20000000-0000-4000-8000-000000000001/1.mp3', 'audio/mpeg', 1000, 'Mon, 01 Jan 2024 00:00:00 GMT', '2024-01-07 00:00:00.000 +00:00', '2024-01-07 00:00:00.000 +00:00', '90000000-0000-4000-8000-000000000001');
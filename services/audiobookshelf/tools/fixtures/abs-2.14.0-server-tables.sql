@@ -0,0 +1,13 @@
+-- Tables every database the server creates has, but which no migration in config/migrations changes:
+-- the server creates collections, collectionBooks and customMetadataProviders from its models on start,
+-- and migrationsMeta to track its migrations. check-schema ignores them (ignoredTableNames in tools/utils/schema.js),
+-- so they are not part of the abs-2.14.0-schema.sql baseline; tools/verify-migrations.js and
+-- tools/verify-migration-data.js load them on top of it, so their fixture looks like a database the server created.
+
+CREATE TABLE collections (id UUID PRIMARY KEY, name VARCHAR(255), description TEXT, createdAt DATETIME NOT NULL, updatedAt DATETIME NOT NULL, libraryId UUID REFERENCES libraries (id) ON DELETE CASCADE ON UPDATE CASCADE);
+CREATE TABLE collectionBooks (id UUID PRIMARY KEY, "order" INTEGER, createdAt DATETIME NOT NULL, bookId UUID REFERENCES books (id) ON DELETE CASCADE ON UPDATE CASCADE, collectionId UUID REFERENCES collections (id) ON DELETE CASCADE ON UPDATE CASCADE);
+CREATE TABLE customMetadataProviders (id UUID PRIMARY KEY, name VARCHAR(255), mediaType VARCHAR(255), url VARCHAR(255), authHeaderValue VARCHAR(255), extraData JSON, createdAt DATETIME NOT NULL, updatedAt DATETIME NOT NULL);
+CREATE TABLE migrationsMeta (key VARCHAR(255) NOT NULL, value VARCHAR(255) NOT NULL);
+
+INSERT INTO migrationsMeta VALUES ('version', '2.14.0');
+INSERT INTO migrationsMeta VALUES ('maxVersion', '2.14.0');
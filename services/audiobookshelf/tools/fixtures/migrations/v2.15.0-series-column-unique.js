@@ -0,0 +1,37 @@
+const assert = require('assert/strict')
+
+const booksLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001'
+const podcastsLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0002'
+
+/**
+ * The fixture has "Middle-earth" twice in the Books library, with The Hobbit in both (sequence "1" and NULL).
+ * The seed adds The Fellowship of the Ring to the older one with sequence "10", which sorts before its "2" as text,
+ * and "Discworld" to both libraries, which is not a duplicate.
+ * This is the server's own migration, which doesn't record its merges in the merge log.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000004', '10', '2024-01-02 00:00:01.000 +00:00', 'b0000000-0000-4000-8000-000000000002', 'f0000000-0000-4000-8000-000000000001');
+    INSERT INTO series (id, name, nameIgnorePrefix, createdAt, updatedAt, libraryId) VALUES ('f0000000-0000-4000-8000-000000000003', 'Discworld', 'Discworld', '2024-01-04 00:00:00.000 +00:00', '2024-01-04 00:00:00.000 +00:00', '${booksLibraryId}');
+    INSERT INTO series (id, name, nameIgnorePrefix, createdAt, updatedAt, libraryId) VALUES ('f0000000-0000-4000-8000-000000000004', 'Discworld', 'Discworld', '2024-01-04 00:00:00.000 +00:00', '2024-01-04 00:00:00.000 +00:00', '${podcastsLibraryId}');
+  `,
+
+  async check({ select }) {
+    // The most recently updated duplicate survives
+    assert.deepEqual(await select(`SELECT id FROM series WHERE name = 'Middle-earth'`), [{ id: 'f0000000-0000-4000-8000-000000000002' }])
+
+    // Same name in different libraries is not a duplicate
+    assert.deepEqual(await select(`SELECT id FROM series WHERE name = 'Discworld' ORDER BY id`), [{ id: 'f0000000-0000-4000-8000-000000000003' }, { id: 'f0000000-0000-4000-8000-000000000004' }])
+
+    // One row per book, all pointing at the surviving series; The Hobbit keeps the row with a sequence,
+    // The Fellowship of the Ring the row with the lowest sequence as text, which is "10"
+    assert.deepEqual(await select('SELECT id, bookId, seriesId, sequence FROM bookSeries ORDER BY id'), [
+      { id: '10000000-0000-4000-8000-000000000001', bookId: 'b0000000-0000-4000-8000-000000000001', seriesId: 'f0000000-0000-4000-8000-000000000002', sequence: '1' },
+      { id: '10000000-0000-4000-8000-000000000004', bookId: 'b0000000-0000-4000-8000-000000000002', seriesId: 'f0000000-0000-4000-8000-000000000002', sequence: '10' }
+    ])
+
+    assert.deepEqual(await select(`SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'unique_series_name_per_library'`), [{ name: 'unique_series_name_per_library' }])
+  }
+}
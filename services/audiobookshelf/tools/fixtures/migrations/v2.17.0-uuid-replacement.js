@@ -0,0 +1,31 @@
+const assert = require('assert/strict')
+
+/**
+ * Changing the column types rebuilds libraryItems, feeds, mediaItemShares, playbackSessions, playlistMediaItems and mediaProgresses.
+ * The rebuilds keep every row of the rebuilt tables. This is the server's own migration: its changeColumn drops feeds
+ * with foreign keys enforced, so the ON DELETE CASCADE of feedEpisodes.feedId deletes every feed episode
+ * (the server re-creates them when the feed is next opened), and the rebuilt tables lose their foreign key actions.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select }) {
+    const counts = await select(`
+      SELECT
+        (SELECT COUNT(*) FROM libraryItems) AS libraryItems,
+        (SELECT COUNT(*) FROM feeds) AS feeds,
+        (SELECT COUNT(*) FROM feedEpisodes) AS feedEpisodes,
+        (SELECT COUNT(*) FROM mediaItemShares) AS mediaItemShares,
+        (SELECT COUNT(*) FROM playbackSessions) AS playbackSessions,
+        (SELECT COUNT(*) FROM playlistMediaItems) AS playlistMediaItems,
+        (SELECT COUNT(*) FROM mediaProgresses) AS mediaProgresses
+    `)
+    assert.deepEqual(counts, [{ libraryItems: 4, feeds: 1, feedEpisodes: 0, mediaItemShares: 1, playbackSessions: 1, playlistMediaItems: 1, mediaProgresses: 2 }])
+
+    assert.deepEqual(await select(`SELECT type FROM pragma_table_info('libraryItems') WHERE name = 'mediaId'`), [{ type: 'UUID' }])
+    assert.deepEqual(await select(`SELECT mediaId FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000001'`), [{ mediaId: 'b0000000-0000-4000-8000-000000000001' }])
+
+    // 2.17.3 puts the foreign key actions back
+    assert.deepEqual(await select(`SELECT "from", on_delete, on_update FROM pragma_foreign_key_list('feeds')`), [{ from: 'userId', on_delete: 'NO ACTION', on_update: 'NO ACTION' }])
+  }
+}
@@ -0,0 +1,17 @@
+const assert = require('assert/strict')
+
+/**
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select }) {
+    assert.deepEqual(await select(`SELECT "from", on_delete, on_update FROM pragma_foreign_key_list('playbackSessions') ORDER BY "from"`), [
+      { from: 'deviceId', on_delete: 'SET NULL', on_update: 'CASCADE' },
+      { from: 'libraryId', on_delete: 'SET NULL', on_update: 'CASCADE' },
+      { from: 'userId', on_delete: 'SET NULL', on_update: 'CASCADE' }
+    ])
+    assert.deepEqual(await select(`SELECT "from", on_delete, on_update FROM pragma_foreign_key_list('mediaProgresses')`), [{ from: 'userId', on_delete: 'CASCADE', on_update: 'CASCADE' }])
+
+    assert.deepEqual(await select('SELECT COUNT(*) AS count FROM playbackSessions'), [{ count: 1 }])
+  }
+}
@@ -0,0 +1,19 @@
+const assert = require('assert/strict')
+
+/**
+ * The fixture has OpenID enabled, so the setting is added; all other server settings are kept.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select }) {
+    const [{ value }] = await select(`SELECT value FROM settings WHERE key = 'server-settings'`)
+    assert.deepEqual(JSON.parse(value), {
+      id: 'server-settings',
+      authActiveAuthMethods: ['local', 'openid'],
+      authOpenIDMobileRedirectURIs: ['audiobookshelf://oauth'],
+      sortingPrefixes: ['the', 'a'],
+      authOpenIDSubfolderForRedirectURLs: ''
+    })
+  }
+}
@@ -0,0 +1,46 @@
+const assert = require('assert/strict')
+
+/**
+ * The fixture feed was opened with serverAddress https://abs.example.com.
+ * The seed adds a feed without a serverAddress, whose URLs must be left alone, and re-adds the episode of the fixture feed,
+ * which 2.17.0 deletes.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    INSERT INTO feeds (id, slug, entityType, entityId, serverAddress, feedURL, imageURL, siteURL, title, createdAt, updatedAt, userId) VALUES ('90000000-0000-4000-8000-000000000002', 'no-address', 'libraryItem', 'a0000000-0000-4000-8000-000000000001', NULL, 'https://other.example.com/feed/no-address', NULL, '/item/a0000000-0000-4000-8000-000000000001', 'No address', '2024-01-07 00:00:00.000 +00:00', '2024-01-07 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0001');
+    INSERT INTO feedEpisodes (id, title, description, siteURL, enclosureURL, enclosureType, enclosureSize, pubDate, createdAt, updatedAt, feedId) VALUES ('91000000-0000-4000-8000-000000000001', 'Episode 1', '<p>First</p>', 'https://abs.example.com/item/a0000000-0000-4000-8000-000000000004', 'https://abs.example.com/feed/daily-byte/item/20000000-0000-4000-8000-000000000001/1.mp3', 'audio/mpeg', 1000, 'Mon, 01 Jan 2024 00:00:00 GMT', '2024-01-07 00:00:00.000 +00:00', '2024-01-07 00:00:00.000 +00:00', '90000000-0000-4000-8000-000000000001');
+  `,
+
+  async check({ select, query, loadMigration }) {
+    const migration = loadMigration('v2.17.5-remove-host-from-feed-urls')
+    const selectFeedURLs = () => select('SELECT id, feedURL, imageURL, siteURL FROM feeds ORDER BY id')
+    const selectEpisodeURLs = () => select('SELECT siteURL, enclosureURL FROM feedEpisodes')
+    const feedURLs = [
+      { id: '90000000-0000-4000-8000-000000000001', feedURL: '/feed/daily-byte', imageURL: '/feed/daily-byte/cover', siteURL: '/item/a0000000-0000-4000-8000-000000000004' },
+      { id: '90000000-0000-4000-8000-000000000002', feedURL: 'https://other.example.com/feed/no-address', imageURL: null, siteURL: '/item/a0000000-0000-4000-8000-000000000001' }
+    ]
+    const episodeURLs = [{ siteURL: '/item/a0000000-0000-4000-8000-000000000004', enclosureURL: '/feed/daily-byte/item/20000000-0000-4000-8000-000000000001/1.mp3' }]
+
+    assert.deepEqual(await selectFeedURLs(), feedURLs)
+    assert.deepEqual(await selectEpisodeURLs(), episodeURLs)
+
+    // The down step puts the serverAddress back in front of the relative URLs, and leaves NULL URLs and the feeds without
+    // a serverAddress alone. It would also prefix an absolute URL of a feed with a serverAddress, which 2.26.12 prevents.
+    await query(`UPDATE feeds SET imageURL = NULL WHERE id = '90000000-0000-4000-8000-000000000001'`)
+    await migration.down()
+    assert.deepEqual(await selectFeedURLs(), [
+      { id: '90000000-0000-4000-8000-000000000001', feedURL: 'https://abs.example.com/feed/daily-byte', imageURL: null, siteURL: 'https://abs.example.com/item/a0000000-0000-4000-8000-000000000004' },
+      feedURLs[1]
+    ])
+    assert.deepEqual(await selectEpisodeURLs(), [
+      { siteURL: 'https://abs.example.com/item/a0000000-0000-4000-8000-000000000004', enclosureURL: 'https://abs.example.com/feed/daily-byte/item/20000000-0000-4000-8000-000000000001/1.mp3' }
+    ])
+
+    await migration.up()
+    await query(`UPDATE feeds SET imageURL = '/feed/daily-byte/cover' WHERE id = '90000000-0000-4000-8000-000000000001'`)
+    assert.deepEqual(await selectFeedURLs(), feedURLs)
+    assert.deepEqual(await selectEpisodeURLs(), episodeURLs)
+  }
+}
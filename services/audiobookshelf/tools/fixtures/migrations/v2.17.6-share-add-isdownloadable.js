@@ -0,0 +1,11 @@
+const assert = require('assert/strict')
+
+/**
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select }) {
+    // Existing shares are not downloadable
+    assert.deepEqual(await select('SELECT id, isDownloadable FROM mediaItemShares'), [{ id: '80000000-0000-4000-8000-000000000001', isDownloadable: 0 }])
+  }
+}
@@ -0,0 +1,23 @@
+const assert = require('assert/strict')
+
+/**
+ * Book titles are copied to libraryItems; podcast titles follow in 2.19.4.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select, query }) {
+    assert.deepEqual(await select('SELECT id, title, titleIgnorePrefix FROM libraryItems ORDER BY id'), [
+      { id: 'a0000000-0000-4000-8000-000000000001', title: 'The Hobbit', titleIgnorePrefix: 'Hobbit, The' },
+      { id: 'a0000000-0000-4000-8000-000000000002', title: 'The Fellowship of the Ring', titleIgnorePrefix: 'Fellowship of the Ring, The' },
+      { id: 'a0000000-0000-4000-8000-000000000003', title: 'Good Omens', titleIgnorePrefix: 'Good Omens' },
+      { id: 'a0000000-0000-4000-8000-000000000004', title: null, titleIgnorePrefix: null }
+    ])
+
+    // The triggers keep the copies current
+    await query(`UPDATE books SET title = 'The Hobbit, or There and Back Again', titleIgnorePrefix = 'Hobbit, or There and Back Again, The' WHERE id = 'b0000000-0000-4000-8000-000000000001'`)
+    assert.deepEqual(await select(`SELECT title, titleIgnorePrefix FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000001'`), [
+      { title: 'The Hobbit, or There and Back Again', titleIgnorePrefix: 'Hobbit, or There and Back Again, The' }
+    ])
+  }
+}
@@ -0,0 +1,18 @@
+const assert = require('assert/strict')
+
+/**
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select }) {
+    assert.deepEqual(await select('SELECT id, numEpisodes FROM podcasts'), [{ id: 'c0000000-0000-4000-8000-000000000001', numEpisodes: 2 }])
+
+    // Only podcast episode progress gets a podcastId
+    assert.deepEqual(await select('SELECT id, podcastId FROM mediaProgresses ORDER BY id'), [
+      { id: '50000000-0000-4000-8000-000000000001', podcastId: null },
+      { id: '50000000-0000-4000-8000-000000000002', podcastId: 'c0000000-0000-4000-8000-000000000001' }
+    ])
+
+    assert.deepEqual(await select(`SELECT title, titleIgnorePrefix FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000004'`), [{ title: 'The Daily Byte', titleIgnorePrefix: 'Daily Byte, The' }])
+  }
+}
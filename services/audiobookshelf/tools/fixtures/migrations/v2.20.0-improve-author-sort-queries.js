@@ -0,0 +1,40 @@
+const assert = require('assert/strict')
+
+/**
+ * Author names are concatenated in bookAuthors.createdAt order, not insertion order:
+ * the seed inserts Stephen Baxter before Terry Pratchett, but with a later createdAt.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    INSERT INTO books (id, title, titleIgnorePrefix, createdAt, updatedAt) VALUES ('b0000000-0000-4000-8000-000000000004', 'The Long Earth', 'Long Earth, The', '2024-01-09 00:00:00.000 +00:00', '2024-01-09 00:00:00.000 +00:00');
+    INSERT INTO libraryItems (id, mediaId, mediaType, createdAt, updatedAt, libraryId, libraryFolderId) VALUES ('a0000000-0000-4000-8000-000000000005', 'b0000000-0000-4000-8000-000000000004', 'book', '2024-01-09 00:00:00.000 +00:00', '2024-01-09 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', '8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0001');
+    INSERT INTO authors (id, name, lastFirst, createdAt, updatedAt, libraryId) VALUES ('d0000000-0000-4000-8000-000000000004', 'Stephen Baxter', 'Baxter, Stephen', '2024-01-09 00:00:00.000 +00:00', '2024-01-09 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000005', '2024-01-09 00:00:01.000 +00:00', 'b0000000-0000-4000-8000-000000000004', 'd0000000-0000-4000-8000-000000000004');
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000006', '2024-01-09 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000004', 'd0000000-0000-4000-8000-000000000002');
+  `,
+
+  async check({ select, query }) {
+    assert.deepEqual(await select('SELECT id, authorNamesFirstLast, authorNamesLastFirst FROM libraryItems ORDER BY id'), [
+      { id: 'a0000000-0000-4000-8000-000000000001', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' },
+      { id: 'a0000000-0000-4000-8000-000000000002', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' },
+      { id: 'a0000000-0000-4000-8000-000000000003', authorNamesFirstLast: 'Terry Pratchett, Neil Gaiman', authorNamesLastFirst: 'Pratchett, Terry, Gaiman, Neil' },
+      { id: 'a0000000-0000-4000-8000-000000000004', authorNamesFirstLast: null, authorNamesLastFirst: null },
+      { id: 'a0000000-0000-4000-8000-000000000005', authorNamesFirstLast: 'Terry Pratchett, Stephen Baxter', authorNamesLastFirst: 'Pratchett, Terry, Baxter, Stephen' }
+    ])
+
+    // Renaming an author updates every book of that author
+    await query(`UPDATE authors SET name = 'Sir Terry Pratchett' WHERE id = 'd0000000-0000-4000-8000-000000000002'`)
+    assert.deepEqual(await select(`SELECT authorNamesFirstLast FROM libraryItems WHERE id IN ('a0000000-0000-4000-8000-000000000003', 'a0000000-0000-4000-8000-000000000005') ORDER BY id`), [
+      { authorNamesFirstLast: 'Sir Terry Pratchett, Neil Gaiman' },
+      { authorNamesFirstLast: 'Sir Terry Pratchett, Stephen Baxter' }
+    ])
+
+    // Removing an author from a book updates that book
+    await query(`DELETE FROM bookAuthors WHERE id = 'e0000000-0000-4000-8000-000000000004'`)
+    assert.deepEqual(await select(`SELECT authorNamesFirstLast, authorNamesLastFirst FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000003'`), [
+      { authorNamesFirstLast: 'Sir Terry Pratchett', authorNamesLastFirst: 'Pratchett, Terry' }
+    ])
+  }
+}
@@ -0,0 +1,103 @@
+const assert = require('assert/strict')
+const path = require('path')
+
+const booksLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001'
+const podcastsLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0002'
+
+/**
+ * The seed adds a second, more recently updated "J. R. R. Tolkien" without a lastFirst, linked to The Hobbit
+ * (already linked to the fixture's Tolkien), and a third one in the Podcasts library, which is not a duplicate.
+ * It also adds "The Long Earth" and "Long Earth", with Good Omens in one and The Hobbit in both, to merge and restore
+ * with mergeSeries; the server's 2.15.0 doesn't record its merges, so there is no migration merge of series to restore.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    INSERT INTO authors (id, name, lastFirst, asin, createdAt, updatedAt, libraryId) VALUES ('d0000000-0000-4000-8000-000000000010', 'J. R. R. Tolkien', NULL, 'B000APZOQA', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '${booksLibraryId}');
+    INSERT INTO authors (id, name, lastFirst, createdAt, updatedAt, libraryId) VALUES ('d0000000-0000-4000-8000-000000000011', 'J. R. R. Tolkien', 'Tolkien, J. R. R.', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '${podcastsLibraryId}');
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000010', '2024-02-01 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', 'd0000000-0000-4000-8000-000000000010');
+    INSERT INTO series (id, name, nameIgnorePrefix, createdAt, updatedAt, libraryId) VALUES ('f0000000-0000-4000-8000-000000000020', 'The Long Earth', 'Long Earth, The', '2024-02-02 00:00:00.000 +00:00', '2024-02-02 00:00:00.000 +00:00', '${booksLibraryId}');
+    INSERT INTO series (id, name, nameIgnorePrefix, createdAt, updatedAt, libraryId) VALUES ('f0000000-0000-4000-8000-000000000021', 'Long Earth', 'Long Earth', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '${booksLibraryId}');
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000030', '2', '2024-02-01 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000003', 'f0000000-0000-4000-8000-000000000021');
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000031', NULL, '2024-02-02 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', 'f0000000-0000-4000-8000-000000000020');
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000032', '1', '2024-02-01 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', 'f0000000-0000-4000-8000-000000000021');
+  `,
+
+  async check({ select, query, sequelize, migrationsPath }) {
+    const { mergeSeries, mergeAuthors, restoreMerge } = require(path.join(migrationsPath, 'utils', 'merge'))
+
+    // The most recently updated duplicate survives, with the lastFirst of the one it replaces
+    assert.deepEqual(await select(`SELECT id, lastFirst, asin FROM authors WHERE name = 'J. R. R. Tolkien' ORDER BY id`), [
+      { id: 'd0000000-0000-4000-8000-000000000010', lastFirst: 'Tolkien, J. R. R.', asin: 'B000APZOQA' },
+      { id: 'd0000000-0000-4000-8000-000000000011', lastFirst: 'Tolkien, J. R. R.', asin: null }
+    ])
+
+    // The Hobbit keeps its oldest link, both books now point at the surviving author
+    assert.deepEqual(await select(`SELECT id, bookId FROM bookAuthors WHERE authorId = 'd0000000-0000-4000-8000-000000000010' ORDER BY id`), [
+      { id: 'e0000000-0000-4000-8000-000000000001', bookId: 'b0000000-0000-4000-8000-000000000001' },
+      { id: 'e0000000-0000-4000-8000-000000000002', bookId: 'b0000000-0000-4000-8000-000000000002' }
+    ])
+
+    // The seeded link had made The Hobbit "J. R. R. Tolkien, J. R. R. Tolkien"
+    assert.deepEqual(await select(`SELECT id, authorNamesFirstLast, authorNamesLastFirst FROM libraryItems WHERE id IN ('a0000000-0000-4000-8000-000000000001', 'a0000000-0000-4000-8000-000000000002') ORDER BY id`), [
+      { id: 'a0000000-0000-4000-8000-000000000001', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' },
+      { id: 'a0000000-0000-4000-8000-000000000002', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' }
+    ])
+
+    assert.deepEqual(await select(`SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'unique_author_name_per_library'`), [{ name: 'unique_author_name_per_library' }])
+
+    // Restoring the merge re-creates the duplicate and its links, clears the lastFirst the survivor took over and
+    // recomputes the author names. The unique name index requires renaming the survivor first.
+    const selectTolkiens = () => select(`SELECT id, name, lastFirst, asin FROM authors WHERE id IN ('d0000000-0000-4000-8000-000000000001', 'd0000000-0000-4000-8000-000000000010') ORDER BY id`)
+    const selectTolkienLinks = () => select(`SELECT id, bookId, authorId FROM bookAuthors WHERE id IN ('e0000000-0000-4000-8000-000000000001', 'e0000000-0000-4000-8000-000000000002', 'e0000000-0000-4000-8000-000000000010') ORDER BY id`)
+    const selectTolkienNames = () => select(`SELECT id, authorNamesFirstLast, authorNamesLastFirst FROM libraryItems WHERE id IN ('a0000000-0000-4000-8000-000000000001', 'a0000000-0000-4000-8000-000000000002') ORDER BY id`)
+    const [authorMerge] = await select(`SELECT id FROM mergeLogs WHERE entityType = 'author'`)
+    await query(`UPDATE authors SET name = 'J.R.R. Tolkien' WHERE id = 'd0000000-0000-4000-8000-000000000010'`)
+    assert.deepEqual(await restoreMerge(sequelize, authorMerge.id), { restoredRows: 1, restoredLinks: 3, skippedLinks: [] })
+    assert.deepEqual(await selectTolkiens(), [
+      { id: 'd0000000-0000-4000-8000-000000000001', name: 'J. R. R. Tolkien', lastFirst: 'Tolkien, J. R. R.', asin: null },
+      { id: 'd0000000-0000-4000-8000-000000000010', name: 'J.R.R. Tolkien', lastFirst: null, asin: 'B000APZOQA' }
+    ])
+    assert.deepEqual(await selectTolkienLinks(), [
+      { id: 'e0000000-0000-4000-8000-000000000001', bookId: 'b0000000-0000-4000-8000-000000000001', authorId: 'd0000000-0000-4000-8000-000000000001' },
+      { id: 'e0000000-0000-4000-8000-000000000002', bookId: 'b0000000-0000-4000-8000-000000000002', authorId: 'd0000000-0000-4000-8000-000000000001' },
+      { id: 'e0000000-0000-4000-8000-000000000010', bookId: 'b0000000-0000-4000-8000-000000000001', authorId: 'd0000000-0000-4000-8000-000000000010' }
+    ])
+    // Like 2.20.0, authorNamesLastFirst leaves out authors without a lastFirst
+    assert.deepEqual(await selectTolkienNames(), [
+      { id: 'a0000000-0000-4000-8000-000000000001', authorNamesFirstLast: 'J. R. R. Tolkien, J.R.R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' },
+      { id: 'a0000000-0000-4000-8000-000000000002', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' }
+    ])
+    await assert.rejects(restoreMerge(sequelize, authorMerge.id), /was already restored/)
+
+    // Merging again and renaming the survivor back leaves the data the migration left for the later checks
+    await mergeAuthors(sequelize, 'd0000000-0000-4000-8000-000000000010', ['d0000000-0000-4000-8000-000000000001'], { source: 'verify-migration-data' })
+    await query(`UPDATE authors SET name = 'J. R. R. Tolkien' WHERE id = 'd0000000-0000-4000-8000-000000000010'`)
+    assert.deepEqual(await selectTolkiens(), [{ id: 'd0000000-0000-4000-8000-000000000010', name: 'J. R. R. Tolkien', lastFirst: 'Tolkien, J. R. R.', asin: 'B000APZOQA' }])
+    assert.deepEqual(await selectTolkienNames(), [
+      { id: 'a0000000-0000-4000-8000-000000000001', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' },
+      { id: 'a0000000-0000-4000-8000-000000000002', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, J. R. R.' }
+    ])
+
+    // A series merge keeps The Hobbit's link with the lowest sequence and moves Good Omens; restoring it brings back
+    // the merged series and every link exactly as they were
+    const longEarthIds = ['f0000000-0000-4000-8000-000000000020', 'f0000000-0000-4000-8000-000000000021']
+    const selectLongEarth = () => select('SELECT * FROM series WHERE id IN (:longEarthIds) ORDER BY id', { longEarthIds })
+    const selectLongEarthLinks = () => select('SELECT id, sequence, bookId, seriesId FROM bookSeries WHERE seriesId IN (:longEarthIds) ORDER BY id', { longEarthIds })
+    const seriesBefore = await selectLongEarth()
+    const linksBefore = await selectLongEarthLinks()
+    const { mergeLogId } = await mergeSeries(sequelize, longEarthIds[0], [longEarthIds[1]], { source: 'verify-migration-data' })
+    assert.deepEqual((await selectLongEarth()).map((series) => series.id), [longEarthIds[0]])
+    assert.deepEqual(await selectLongEarthLinks(), [
+      { id: '10000000-0000-4000-8000-000000000030', sequence: '2', bookId: 'b0000000-0000-4000-8000-000000000003', seriesId: longEarthIds[0] },
+      { id: '10000000-0000-4000-8000-000000000032', sequence: '1', bookId: 'b0000000-0000-4000-8000-000000000001', seriesId: longEarthIds[0] }
+    ])
+    assert.deepEqual(await restoreMerge(sequelize, mergeLogId), { restoredRows: 1, restoredLinks: 3, skippedLinks: [] })
+    assert.deepEqual(await selectLongEarth(), seriesBefore)
+    assert.deepEqual(await selectLongEarthLinks(), linksBefore)
+
+    await query('DELETE FROM bookSeries WHERE seriesId IN (:longEarthIds)', { longEarthIds })
+    await query('DELETE FROM series WHERE id IN (:longEarthIds)', { longEarthIds })
+  }
+}
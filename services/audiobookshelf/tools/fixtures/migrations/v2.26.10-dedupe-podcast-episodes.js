@@ -0,0 +1,134 @@
+const assert = require('assert/strict')
+const path = require('path')
+
+const podcastId = 'c0000000-0000-4000-8000-000000000001'
+const rootId = '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0001'
+const userId = '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002'
+const playlistId = '60000000-0000-4000-8000-000000000001'
+const audioFilePath = '/podcasts/The Daily Byte/Episode 1.mp3'
+const coverPath = '/podcasts/The Daily Byte/cover.jpg'
+const libraryFiles = [
+  { ino: '2002', metadata: { path: coverPath }, fileType: 'image' },
+  { ino: '2003', metadata: { path: audioFilePath }, fileType: 'audio' }
+]
+
+/**
+ * The seed gives Episode 1 the GUID "ep-1" and adds a more recently updated copy with the same GUID but another
+ * enclosure URL, a copy of Episode 2 without a GUID and with its enclosure URL, an episode with invalid extraData,
+ * and an episode with the GUID "ep-1" in another podcast, which is not a duplicate.
+ * The listener finished Episode 1 and listened to both copies of the others; root only listened to the copy of Episode 1,
+ * which is also in the listener's playlist with Episode 1 and in a playback session. Only the copy of Episode 1 has a downloaded audio file,
+ * listed in the podcast's library files with its cover.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    UPDATE libraryItems SET libraryFiles = '${JSON.stringify(libraryFiles)}' WHERE mediaId = '${podcastId}';
+    UPDATE podcastEpisodes SET extraData = '{"guid":"ep-1"}' WHERE id = '20000000-0000-4000-8000-000000000001';
+    INSERT INTO podcastEpisodes (id, "index", title, enclosureURL, publishedAt, audioFile, extraData, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000100', 1, 'Episode 1', 'https://cdn.example.com/1.mp3', '2024-01-01 00:00:00.000 +00:00', '${JSON.stringify({ metadata: { path: audioFilePath } })}', '{"guid":"ep-1"}', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '${podcastId}');
+    INSERT INTO podcastEpisodes (id, "index", title, enclosureURL, publishedAt, extraData, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000101', 2, 'Episode 2', 'https://example.com/2.mp3', '2024-01-08 00:00:00.000 +00:00', '{"guid":""}', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '${podcastId}');
+    INSERT INTO podcastEpisodes (id, "index", title, enclosureURL, extraData, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000102', 5, 'Bonus', 'https://example.com/bonus.mp3', 'not json', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '${podcastId}');
+    INSERT INTO podcasts (id, title, titleIgnorePrefix, tags, genres, createdAt, updatedAt) VALUES ('c0000000-0000-4000-8000-000000000100', 'Byte Rerun', 'Byte Rerun', '[]', '[]', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00');
+    INSERT INTO podcastEpisodes (id, "index", title, enclosureURL, extraData, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000103', 1, 'Episode 1', 'https://example.com/1.mp3', '{"guid":"ep-1"}', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', 'c0000000-0000-4000-8000-000000000100');
+    INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000100', '20000000-0000-4000-8000-000000000100', 'podcastEpisode', 1800, 300, 0, '{}', '2024-02-02 00:00:00.000 +00:00', '2024-02-02 00:00:00.000 +00:00', '${rootId}');
+    INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000101', '20000000-0000-4000-8000-000000000100', 'podcastEpisode', 1800, 1200, 0, '{}', '2024-02-02 00:00:00.000 +00:00', '2024-02-02 00:00:00.000 +00:00', '${userId}');
+    INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000102', '20000000-0000-4000-8000-000000000101', 'podcastEpisode', 1800, 900, 0, '{}', '2024-02-02 00:00:00.000 +00:00', '2024-02-02 00:00:00.000 +00:00', '${userId}');
+    INSERT INTO playlistMediaItems (id, mediaItemId, mediaItemType, "order", createdAt, playlistId) VALUES ('70000000-0000-4000-8000-000000000100', '20000000-0000-4000-8000-000000000100', 'podcastEpisode', 2, '2024-02-02 00:00:00.000 +00:00', '${playlistId}');
+    INSERT INTO playlistMediaItems (id, mediaItemId, mediaItemType, "order", createdAt, playlistId) VALUES ('70000000-0000-4000-8000-000000000101', '20000000-0000-4000-8000-000000000001', 'podcastEpisode', 3, '2024-02-02 00:00:00.000 +00:00', '${playlistId}');
+    INSERT INTO playbackSessions (id, mediaItemId, mediaItemType, displayTitle, duration, timeListening, mediaMetadata, extraData, createdAt, updatedAt, userId) VALUES ('40000000-0000-4000-8000-000000000100', '20000000-0000-4000-8000-000000000100', 'podcastEpisode', 'Episode 1', 1800, 300, '{}', '{}', '2024-02-02 00:00:00.000 +00:00', '2024-02-02 00:00:00.000 +00:00', '${rootId}');
+  `,
+
+  async check({ select, query, sequelize, migrationsPath }) {
+    const { findDuplicatePodcastEpisodes, mergePodcastEpisodes, getMergeLogs, restoreMerge } = require(path.join(migrationsPath, 'utils', 'merge'))
+    const selectLibraryFilePaths = async () => {
+      const [{ libraryFiles }] = await select(`SELECT libraryFiles FROM libraryItems WHERE mediaId = '${podcastId}'`)
+      return JSON.parse(libraryFiles).map((libraryFile) => libraryFile.metadata.path)
+    }
+    const selectEpisodes = () => select(`SELECT id FROM podcastEpisodes WHERE podcastId = '${podcastId}' ORDER BY id`)
+    const selectLinks = () =>
+      select(`
+        SELECT 'mediaProgresses' AS linkTable, id, mediaItemId, userId AS owner FROM mediaProgresses WHERE mediaItemType = 'podcastEpisode'
+        UNION ALL SELECT 'playlistMediaItems', id, mediaItemId, playlistId FROM playlistMediaItems WHERE mediaItemType = 'podcastEpisode'
+        UNION ALL SELECT 'playbackSessions', id, mediaItemId, userId FROM playbackSessions WHERE mediaItemType = 'podcastEpisode'
+        ORDER BY linkTable, id
+      `)
+
+    // Episode 1 survives its more recently updated copy since the listener finished it; the copy of Episode 2 survives
+    // Episode 2 since it was listened to further. An empty GUID counts as none, and invalid extraData as no GUID
+    assert.deepEqual(await selectEpisodes(), [
+      { id: '20000000-0000-4000-8000-000000000001' },
+      { id: '20000000-0000-4000-8000-000000000080' },
+      { id: '20000000-0000-4000-8000-000000000101' },
+      { id: '20000000-0000-4000-8000-000000000102' }
+    ])
+    assert.deepEqual(await select(`SELECT id, numEpisodes FROM podcasts ORDER BY id`), [
+      { id: podcastId, numEpisodes: 4 },
+      { id: 'c0000000-0000-4000-8000-000000000100', numEpisodes: 1 }
+    ])
+
+    // Each user keeps their furthest progress, the playlist keeps its first entry, and the session follows the episode
+    assert.deepEqual(await selectLinks(), [
+      { linkTable: 'mediaProgresses', id: '50000000-0000-4000-8000-000000000002', mediaItemId: '20000000-0000-4000-8000-000000000001', owner: userId },
+      { linkTable: 'mediaProgresses', id: '50000000-0000-4000-8000-000000000100', mediaItemId: '20000000-0000-4000-8000-000000000001', owner: rootId },
+      { linkTable: 'mediaProgresses', id: '50000000-0000-4000-8000-000000000102', mediaItemId: '20000000-0000-4000-8000-000000000101', owner: userId },
+      { linkTable: 'playbackSessions', id: '40000000-0000-4000-8000-000000000100', mediaItemId: '20000000-0000-4000-8000-000000000001', owner: rootId },
+      { linkTable: 'playlistMediaItems', id: '70000000-0000-4000-8000-000000000100', mediaItemId: '20000000-0000-4000-8000-000000000001', owner: playlistId }
+    ])
+
+    // The merges are logged with the table of each link
+    const mergeLogs = await select(`SELECT id, survivorId, mergedRows, deletedLinks, movedLinks FROM mergeLogs WHERE entityType = 'podcastEpisode' ORDER BY id`)
+    assert.deepEqual(
+      mergeLogs.map((log) => ({
+        survivorId: log.survivorId,
+        mergedRows: JSON.parse(log.mergedRows).map((row) => row.id),
+        deletedLinks: JSON.parse(log.deletedLinks).map((row) => `${row.linkTable} ${row.id}`),
+        movedLinks: JSON.parse(log.movedLinks).map((row) => `${row.linkTable} ${row.id}`)
+      })),
+      [
+        {
+          survivorId: '20000000-0000-4000-8000-000000000001',
+          mergedRows: ['20000000-0000-4000-8000-000000000100'],
+          deletedLinks: ['mediaProgresses 50000000-0000-4000-8000-000000000101', 'playlistMediaItems 70000000-0000-4000-8000-000000000101'],
+          movedLinks: ['mediaProgresses 50000000-0000-4000-8000-000000000100', 'playlistMediaItems 70000000-0000-4000-8000-000000000100', 'playbackSessions 40000000-0000-4000-8000-000000000100']
+        },
+        {
+          survivorId: '20000000-0000-4000-8000-000000000101',
+          mergedRows: ['20000000-0000-4000-8000-000000000002'],
+          deletedLinks: ['mediaProgresses 50000000-0000-4000-8000-000000000090'],
+          movedLinks: []
+        }
+      ]
+    )
+
+    // The audio file of the merged copy is removed from the library files but left on disk and listed, so it can be
+    // removed before the next scan
+    const podcastEpisodeMergeLogs = (await getMergeLogs(sequelize)).filter((log) => log.entityType === 'podcastEpisode')
+    assert.deepEqual(podcastEpisodeMergeLogs.map((log) => log.audioFilePaths), [[], [audioFilePath]])
+    assert.deepEqual(await selectLibraryFilePaths(), [coverPath])
+
+    // The server can still add a copy, which is found and merged again later
+    const [{ unique }] = await select(`SELECT "unique" FROM pragma_index_list('podcastEpisodes') WHERE name = 'podcast_episodes_podcast_id_episode_key'`)
+    assert.equal(unique, 0)
+    await query(`INSERT INTO podcastEpisodes (id, title, extraData, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000104', 'Episode 1', '{"guid":"ep-1"}', '2024-03-01 00:00:00.000 +00:00', '2024-03-01 00:00:00.000 +00:00', '${podcastId}')`)
+    assert.deepEqual(await findDuplicatePodcastEpisodes(sequelize), [{ podcastId, episodeKey: 'ep-1', episodeIds: ['20000000-0000-4000-8000-000000000001', '20000000-0000-4000-8000-000000000104'] }])
+    await mergePodcastEpisodes(sequelize, '20000000-0000-4000-8000-000000000001', ['20000000-0000-4000-8000-000000000104'])
+    assert.deepEqual(await findDuplicatePodcastEpisodes(sequelize), [])
+
+    // A merge can be restored once the survivor no longer has the same GUID
+    await assert.rejects(restoreMerge(sequelize, mergeLogs[0].id), /has the same GUID or enclosure URL in its podcast/)
+    await query(`UPDATE podcastEpisodes SET extraData = '{"guid":"ep-1-reissue"}' WHERE id = '20000000-0000-4000-8000-000000000001'`)
+    assert.deepEqual(await restoreMerge(sequelize, mergeLogs[0].id), { restoredRows: 1, restoredLinks: 5, skippedLinks: [] })
+    assert.deepEqual(
+      (await selectLinks()).filter((link) => link.mediaItemId === '20000000-0000-4000-8000-000000000100').map((link) => `${link.linkTable} ${link.id}`),
+      ['mediaProgresses 50000000-0000-4000-8000-000000000100', 'mediaProgresses 50000000-0000-4000-8000-000000000101', 'playbackSessions 40000000-0000-4000-8000-000000000100', 'playlistMediaItems 70000000-0000-4000-8000-000000000100']
+    )
+    assert.deepEqual(await select(`SELECT numEpisodes FROM podcasts WHERE id = '${podcastId}'`), [{ numEpisodes: 5 }])
+    assert.deepEqual(await selectLibraryFilePaths(), [coverPath, audioFilePath])
+
+    // Merging the copy again returns its audio file too
+    const { mergeLogId, audioFilePaths } = await mergePodcastEpisodes(sequelize, '20000000-0000-4000-8000-000000000001', ['20000000-0000-4000-8000-000000000100'])
+    assert.deepEqual(audioFilePaths, [audioFilePath])
+    await restoreMerge(sequelize, mergeLogId)
+  }
+}
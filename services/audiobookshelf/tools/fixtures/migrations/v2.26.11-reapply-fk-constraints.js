@@ -0,0 +1,51 @@
+const assert = require('assert/strict')
+const path = require('path')
+
+const userId = '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0001'
+
+/**
+ * The fixture has every 2.17.3 constraint in place, so the up step changes nothing. The check then downgrades and
+ * upgrades the server's 2.17.6, which rebuilds mediaItemShares without its foreign key actions, and runs this migration again.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select, query, migrationsPath, loadMigration }) {
+    const { ForeignKeyViolationError } = require(path.join(migrationsPath, 'utils', 'MigrationHelper'))
+    const shareMigration = loadMigration('v2.17.6-share-add-isdownloadable')
+    const migration = loadMigration('v2.26.11-reapply-fk-constraints')
+    const selectShareConstraints = () => select(`SELECT "from", on_delete, on_update FROM pragma_foreign_key_list('mediaItemShares')`)
+    const selectPreviousConstraints = async () => {
+      if (!(await select(`SELECT name FROM sqlite_master WHERE name = 'previousForeignKeyConstraints'`)).length) return null
+      return select('SELECT tableName, field, onDelete, onUpdate FROM previousForeignKeyConstraints ORDER BY tableName, field')
+    }
+
+    assert.equal(await selectPreviousConstraints(), null)
+
+    await shareMigration.down()
+    await shareMigration.up()
+    assert.deepEqual(await selectShareConstraints(), [{ from: 'userId', on_delete: 'NO ACTION', on_update: 'NO ACTION' }])
+
+    // The lost actions are put back, and the ones they replaced recorded for the down step
+    await migration.up()
+    assert.deepEqual(await selectShareConstraints(), [{ from: 'userId', on_delete: 'SET NULL', on_update: 'CASCADE' }])
+    assert.deepEqual(await selectPreviousConstraints(), [{ tableName: 'mediaItemShares', field: 'userId', onDelete: 'NO ACTION', onUpdate: 'NO ACTION' }])
+    assert.deepEqual(await select('SELECT id, userId FROM mediaItemShares'), [{ id: '80000000-0000-4000-8000-000000000001', userId }])
+
+    await migration.down()
+    assert.deepEqual(await selectShareConstraints(), [{ from: 'userId', on_delete: 'NO ACTION', on_update: 'NO ACTION' }])
+    assert.equal(await selectPreviousConstraints(), null)
+
+    // A share of a missing user fails the upgrade and rolls back every table
+    await query('PRAGMA foreign_keys = OFF')
+    await query(`INSERT INTO mediaItemShares (id, mediaItemId, mediaItemType, slug, extraData, createdAt, updatedAt, userId) VALUES ('80000000-0000-4000-8000-000000000090', 'b0000000-0000-4000-8000-000000000003', 'book', 'orphan', '{}', '2024-03-10 00:00:00.000 +00:00', '2024-03-10 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0090')`)
+    await query('PRAGMA foreign_keys = ON')
+    await assert.rejects(migration.up(), (error) => error instanceof ForeignKeyViolationError && error.violations.length === 1)
+    assert.deepEqual(await selectShareConstraints(), [{ from: 'userId', on_delete: 'NO ACTION', on_update: 'NO ACTION' }])
+    assert.equal(await selectPreviousConstraints(), null)
+
+    await query(`DELETE FROM mediaItemShares WHERE id = '80000000-0000-4000-8000-000000000090'`)
+    await migration.up()
+    assert.deepEqual(await selectShareConstraints(), [{ from: 'userId', on_delete: 'SET NULL', on_update: 'CASCADE' }])
+  }
+}
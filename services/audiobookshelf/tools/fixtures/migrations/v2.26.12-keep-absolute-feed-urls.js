@@ -0,0 +1,62 @@
+const assert = require('assert/strict')
+const path = require('path')
+
+/**
+ * The seed adds a feed with a serverAddress whose cover and episode were served from the server's old IP address,
+ * so 2.17.5 left those URLs absolute. The check downgrades below 2.17.5 through this migration and upgrades again.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    INSERT INTO feeds (id, slug, entityType, entityId, serverAddress, feedURL, imageURL, siteURL, title, createdAt, updatedAt, userId) VALUES ('90000000-0000-4000-8000-000000000005', 'moved', 'libraryItem', 'a0000000-0000-4000-8000-000000000001', 'https://abs.example.com', '/feed/moved', 'http://192.168.1.20:13378/feed/moved/cover', '/item/a0000000-0000-4000-8000-000000000001', 'Moved', '2024-01-08 00:00:00.000 +00:00', '2024-01-08 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0001');
+    INSERT INTO feedEpisodes (id, title, description, siteURL, enclosureURL, enclosureType, enclosureSize, pubDate, createdAt, updatedAt, feedId) VALUES ('91000000-0000-4000-8000-000000000005', 'Moved 1', '<p>Moved</p>', '/item/a0000000-0000-4000-8000-000000000001', 'http://192.168.1.20:13378/feed/moved/item/1.mp3', 'audio/mpeg', 1000, 'Mon, 08 Jan 2024 00:00:00 GMT', '2024-01-08 00:00:00.000 +00:00', '2024-01-08 00:00:00.000 +00:00', '90000000-0000-4000-8000-000000000005');
+  `,
+
+  async check({ select, sequelize, migrationsPath, logger, loadMigration }) {
+    const { MigrationHelper } = require(path.join(migrationsPath, 'utils', 'MigrationHelper'))
+    const feedUrlMigration = loadMigration('v2.17.5-remove-host-from-feed-urls')
+    const migration = loadMigration('v2.26.12-keep-absolute-feed-urls')
+    const selectFeedURLs = () => select('SELECT id, feedURL, imageURL, siteURL FROM feeds ORDER BY id')
+    const selectEpisodeURLs = () => select('SELECT id, siteURL, enclosureURL FROM feedEpisodes ORDER BY id')
+    const selectTempTriggers = () => select(`SELECT name FROM sqlite_temp_master WHERE type = 'trigger' ORDER BY name`)
+    const feedURLs = await selectFeedURLs()
+    const episodeURLs = await selectEpisodeURLs()
+
+    // The up step leaves the database alone
+    assert.deepEqual(await selectTempTriggers(), [])
+    assert.equal(feedURLs.find((feed) => feed.id === '90000000-0000-4000-8000-000000000005').imageURL, 'http://192.168.1.20:13378/feed/moved/cover')
+
+    await migration.down()
+    const triggerNames = await selectTempTriggers()
+    assert.equal(triggerNames.length, 5)
+
+    // A down step rebuilding feeds in between, like the one of 2.26.11, keeps the triggers
+    const queryInterface = sequelize.getQueryInterface()
+    const helper = new MigrationHelper(queryInterface, logger, '[v2.26.12 check]')
+    const attributes = await queryInterface.describeTable('feeds')
+    Object.assign(attributes.userId, { onDelete: 'SET NULL', onUpdate: 'CASCADE' })
+    await helper.runInTransaction(() => helper.rebuildTable('feeds', attributes))
+    assert.deepEqual(await selectTempTriggers(), triggerNames)
+
+    // The relative URLs get the serverAddress back, the absolute ones are left alone
+    await feedUrlMigration.down()
+    assert.deepEqual((await selectFeedURLs()).find((feed) => feed.id === '90000000-0000-4000-8000-000000000005'), {
+      id: '90000000-0000-4000-8000-000000000005',
+      feedURL: 'https://abs.example.com/feed/moved',
+      imageURL: 'http://192.168.1.20:13378/feed/moved/cover',
+      siteURL: 'https://abs.example.com/item/a0000000-0000-4000-8000-000000000001'
+    })
+    assert.deepEqual((await selectEpisodeURLs()).find((episode) => episode.id === '91000000-0000-4000-8000-000000000005'), {
+      id: '91000000-0000-4000-8000-000000000005',
+      siteURL: 'https://abs.example.com/item/a0000000-0000-4000-8000-000000000001',
+      enclosureURL: 'http://192.168.1.20:13378/feed/moved/item/1.mp3'
+    })
+
+    await feedUrlMigration.up()
+    await migration.up()
+    assert.deepEqual(await selectTempTriggers(), [])
+    assert.deepEqual(await selectFeedURLs(), feedURLs)
+    assert.deepEqual(await selectEpisodeURLs(), episodeURLs)
+  }
+}
@@ -0,0 +1,36 @@
+const assert = require('assert/strict')
+
+/**
+ * The fixture has both 2.17.7 indexes in place, so the up step changes nothing. The check then drops the libraryItems
+ * index, as downgrading and upgrading the server's 2.19.1 does (verify-migrations runs that downgrade itself), and runs
+ * this migration again.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select, query, loadMigration }) {
+    const migration = loadMigration('v2.26.13-reapply-indices')
+    const selectSizeIndex = () => select(`SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'library_items_library_id_media_type_size'`)
+    const selectReappliedIndexes = async () => {
+      if (!(await select(`SELECT name FROM sqlite_master WHERE name = 'reappliedIndexes'`)).length) return null
+      return select('SELECT tableName, indexName FROM reappliedIndexes ORDER BY tableName, indexName')
+    }
+
+    assert.deepEqual(await selectSizeIndex(), [{ name: 'library_items_library_id_media_type_size' }])
+    assert.equal(await selectReappliedIndexes(), null)
+
+    await query('DROP INDEX library_items_library_id_media_type_size')
+
+    // The lost index is put back and recorded for the down step
+    await migration.up()
+    assert.deepEqual(await selectSizeIndex(), [{ name: 'library_items_library_id_media_type_size' }])
+    assert.deepEqual(await selectReappliedIndexes(), [{ tableName: 'libraryItems', indexName: 'library_items_library_id_media_type_size' }])
+
+    await migration.down()
+    assert.deepEqual(await selectSizeIndex(), [])
+    assert.equal(await selectReappliedIndexes(), null)
+
+    await migration.up()
+    assert.deepEqual(await selectSizeIndex(), [{ name: 'library_items_library_id_media_type_size' }])
+  }
+}
@@ -0,0 +1,52 @@
+const assert = require('assert/strict')
+
+const missingBookId = 'b0000000-0000-4000-8000-000000000099'
+const missingSeriesId = 'f0000000-0000-4000-8000-000000000099'
+const missingAuthorId = 'd0000000-0000-4000-8000-000000000099'
+
+/**
+ * The seed adds rows pointing at a book, a series, an author and a podcast episode that don't exist, a feed for the series 2.15.0 merged away,
+ * and two rows the cleanup must leave alone: a feed for a collection it adds and progress for an unknown media item type.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  // Foreign keys are off while seeding, like in the old servers that left these rows behind
+  seed: `
+    PRAGMA foreign_keys = OFF;
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000010', '9', '2024-03-01 00:00:00.000 +00:00', '${missingBookId}', 'f0000000-0000-4000-8000-000000000002');
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000011', '3', '2024-03-01 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', '${missingSeriesId}');
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000020', '2024-03-01 00:00:00.000 +00:00', '${missingBookId}', 'd0000000-0000-4000-8000-000000000003');
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000021', '2024-03-01 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', '${missingAuthorId}');
+    INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000003', '20000000-0000-4000-8000-000000000099', 'podcastEpisode', 1800, 60, 0, '{}', '2024-03-01 00:00:00.000 +00:00', '2024-03-01 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002');
+    INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000004', '${missingBookId}', 'video', 1800, 60, 0, '{}', '2024-03-01 00:00:00.000 +00:00', '2024-03-01 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002');
+    INSERT INTO playlistMediaItems (id, mediaItemId, mediaItemType, "order", createdAt, playlistId) VALUES ('70000000-0000-4000-8000-000000000002', '${missingBookId}', 'book', 2, '2024-03-01 00:00:00.000 +00:00', '60000000-0000-4000-8000-000000000001');
+    INSERT INTO playbackSessions (id, mediaItemId, mediaItemType, displayTitle, timeListening, createdAt, updatedAt, userId) VALUES ('40000000-0000-4000-8000-000000000002', '${missingBookId}', 'book', 'Deleted Book', 300, '2024-03-01 00:00:00.000 +00:00', '2024-03-01 00:00:00.000 +00:00', '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002');
+    INSERT INTO feeds (id, slug, entityType, entityId, title, createdAt, updatedAt) VALUES ('90000000-0000-4000-8000-000000000003', 'middle-earth', 'series', 'f0000000-0000-4000-8000-000000000001', 'Middle-earth', '2024-03-01 00:00:00.000 +00:00', '2024-03-01 00:00:00.000 +00:00');
+    INSERT INTO collections (id, name, createdAt, updatedAt, libraryId) VALUES ('c1000000-0000-4000-8000-000000000001', 'Favorites', '2024-03-01 00:00:00.000 +00:00', '2024-03-01 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001');
+    INSERT INTO feeds (id, slug, entityType, entityId, title, createdAt, updatedAt) VALUES ('90000000-0000-4000-8000-000000000004', 'favorites', 'collection', 'c1000000-0000-4000-8000-000000000001', 'Favorites', '2024-03-01 00:00:00.000 +00:00', '2024-03-01 00:00:00.000 +00:00');
+    PRAGMA foreign_keys = ON;
+  `,
+
+  async check({ select }) {
+    // CASCADE: join rows, progress and playlist entries of missing items are deleted
+    assert.deepEqual(await select(`SELECT id FROM bookSeries WHERE bookId = '${missingBookId}'`), [])
+    assert.deepEqual(await select(`SELECT id FROM bookAuthors WHERE bookId = '${missingBookId}'`), [])
+    assert.deepEqual(await select(`SELECT id FROM bookSeries WHERE seriesId = '${missingSeriesId}'`), [])
+    assert.deepEqual(await select(`SELECT id FROM bookAuthors WHERE authorId = '${missingAuthorId}'`), [])
+    assert.deepEqual(await select('SELECT id FROM mediaProgresses ORDER BY id'), [{ id: '50000000-0000-4000-8000-000000000001' }, { id: '50000000-0000-4000-8000-000000000002' }, { id: '50000000-0000-4000-8000-000000000004' }])
+    assert.deepEqual(await select('SELECT id FROM playlistMediaItems ORDER BY id'), [{ id: '70000000-0000-4000-8000-000000000001' }])
+
+    // SET NULL: listening history and feeds are kept without the reference
+    assert.deepEqual(await select('SELECT id, mediaItemId, displayTitle FROM playbackSessions ORDER BY id'), [
+      { id: '40000000-0000-4000-8000-000000000001', mediaItemId: 'b0000000-0000-4000-8000-000000000001', displayTitle: 'The Hobbit' },
+      { id: '40000000-0000-4000-8000-000000000002', mediaItemId: null, displayTitle: 'Deleted Book' }
+    ])
+    assert.deepEqual(await select('SELECT id, entityType, entityId FROM feeds ORDER BY id'), [
+      { id: '90000000-0000-4000-8000-000000000001', entityType: 'libraryItem', entityId: 'a0000000-0000-4000-8000-000000000004' },
+      { id: '90000000-0000-4000-8000-000000000002', entityType: 'libraryItem', entityId: 'a0000000-0000-4000-8000-000000000001' },
+      { id: '90000000-0000-4000-8000-000000000003', entityType: 'series', entityId: null },
+      { id: '90000000-0000-4000-8000-000000000004', entityType: 'collection', entityId: 'c1000000-0000-4000-8000-000000000001' }
+    ])
+  }
+}
@@ -0,0 +1,57 @@
+const assert = require('assert/strict')
+
+/**
+ * The seed leaves values behind that the old triggers missed: a changed lastFirst, which 2.20.0 didn't watch,
+ * and a library item added after its book, which 2.19.1 never filled in. The backfill fixes them, and the
+ * generated triggers keep the columns in sync for those changes from then on.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    UPDATE authors SET lastFirst = 'Tolkien, John Ronald Reuel' WHERE id = 'd0000000-0000-4000-8000-000000000010';
+    INSERT INTO books (id, title, titleIgnorePrefix, createdAt, updatedAt) VALUES ('b0000000-0000-4000-8000-000000000005', 'The Two Towers', 'Two Towers, The', '2024-03-02 00:00:00.000 +00:00', '2024-03-02 00:00:00.000 +00:00');
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000030', '2024-03-02 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000005', 'd0000000-0000-4000-8000-000000000010');
+    INSERT INTO libraryItems (id, mediaId, mediaType, createdAt, updatedAt, libraryId, libraryFolderId) VALUES ('a0000000-0000-4000-8000-000000000006', 'b0000000-0000-4000-8000-000000000005', 'book', '2024-03-02 00:00:00.000 +00:00', '2024-03-02 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', '8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0001');
+  `,
+
+  async check({ select, query }) {
+    const tolkienBooks = `('a0000000-0000-4000-8000-000000000001', 'a0000000-0000-4000-8000-000000000002', 'a0000000-0000-4000-8000-000000000006')`
+
+    // The backfill recomputes the values the old triggers left stale
+    assert.deepEqual(await select(`SELECT id, title, titleIgnorePrefix, authorNamesFirstLast, authorNamesLastFirst FROM libraryItems WHERE id IN ${tolkienBooks} ORDER BY id`), [
+      { id: 'a0000000-0000-4000-8000-000000000001', title: 'The Hobbit, or There and Back Again', titleIgnorePrefix: 'Hobbit, or There and Back Again, The', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, John Ronald Reuel' },
+      { id: 'a0000000-0000-4000-8000-000000000002', title: 'The Fellowship of the Ring', titleIgnorePrefix: 'Fellowship of the Ring, The', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, John Ronald Reuel' },
+      { id: 'a0000000-0000-4000-8000-000000000006', title: 'The Two Towers', titleIgnorePrefix: 'Two Towers, The', authorNamesFirstLast: 'J. R. R. Tolkien', authorNamesLastFirst: 'Tolkien, John Ronald Reuel' }
+    ])
+
+    // Changing lastFirst alone updates every book of that author
+    await query(`UPDATE authors SET lastFirst = 'Tolkien, J. R. R.' WHERE id = 'd0000000-0000-4000-8000-000000000010'`)
+    assert.deepEqual(await select(`SELECT DISTINCT authorNamesLastFirst FROM libraryItems WHERE id IN ${tolkienBooks}`), [{ authorNamesLastFirst: 'Tolkien, J. R. R.' }])
+
+    // Re-pointing a bookAuthors row updates the book it left and the book it moved to
+    await query(`UPDATE bookAuthors SET bookId = 'b0000000-0000-4000-8000-000000000002' WHERE id = 'e0000000-0000-4000-8000-000000000030'`)
+    assert.deepEqual(await select(`SELECT id, authorNamesFirstLast FROM libraryItems WHERE id IN ('a0000000-0000-4000-8000-000000000002', 'a0000000-0000-4000-8000-000000000006') ORDER BY id`), [
+      { id: 'a0000000-0000-4000-8000-000000000002', authorNamesFirstLast: 'J. R. R. Tolkien, J. R. R. Tolkien' },
+      { id: 'a0000000-0000-4000-8000-000000000006', authorNamesFirstLast: null }
+    ])
+
+    // Reordering the authors of a book updates it
+    await query(`UPDATE bookAuthors SET createdAt = '2024-01-01 00:00:00.000 +00:00' WHERE id = 'e0000000-0000-4000-8000-000000000005'`)
+    assert.deepEqual(await select(`SELECT authorNamesFirstLast FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000005'`), [{ authorNamesFirstLast: 'Stephen Baxter, Sir Terry Pratchett' }])
+
+    // A library item added after its book gets the book's title and authors, and follows a change of its book
+    await query(`INSERT INTO libraryItems (id, mediaId, mediaType, createdAt, updatedAt, libraryId, libraryFolderId) VALUES ('a0000000-0000-4000-8000-000000000007', 'b0000000-0000-4000-8000-000000000001', 'book', '2024-03-03 00:00:00.000 +00:00', '2024-03-03 00:00:00.000 +00:00', '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001', '8b5f1d0e-4a2c-4f3b-9e7d-2c3d4e5f0001')`)
+    assert.deepEqual(await select(`SELECT title, titleIgnorePrefix, authorNamesFirstLast FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000007'`), [
+      { title: 'The Hobbit, or There and Back Again', titleIgnorePrefix: 'Hobbit, or There and Back Again, The', authorNamesFirstLast: 'J. R. R. Tolkien' }
+    ])
+    await query(`UPDATE libraryItems SET mediaId = 'b0000000-0000-4000-8000-000000000005' WHERE id = 'a0000000-0000-4000-8000-000000000007'`)
+    assert.deepEqual(await select(`SELECT title, titleIgnorePrefix, authorNamesFirstLast FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000007'`), [
+      { title: 'The Two Towers', titleIgnorePrefix: 'Two Towers, The', authorNamesFirstLast: null }
+    ])
+
+    // Podcast titles are kept in sync too, without touching books
+    await query(`UPDATE podcasts SET title = 'The Weekly Byte', titleIgnorePrefix = 'Weekly Byte, The' WHERE id = 'c0000000-0000-4000-8000-000000000001'`)
+    assert.deepEqual(await select(`SELECT title, titleIgnorePrefix FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000004'`), [{ title: 'The Weekly Byte', titleIgnorePrefix: 'Weekly Byte, The' }])
+  }
+}
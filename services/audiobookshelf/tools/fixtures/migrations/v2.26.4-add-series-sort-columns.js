@@ -0,0 +1,51 @@
+const assert = require('assert/strict')
+
+const booksLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001'
+
+/**
+ * The seed adds a Good Omens series with a decimal sequence and puts The Long Earth in it with a sequence that
+ * doesn't start with a number. The Hobbit and The Fellowship of the Ring (sequence "10", see 2.15.0) are in Middle-earth from the fixture.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    INSERT INTO series (id, name, nameIgnorePrefix, createdAt, updatedAt, libraryId) VALUES ('f0000000-0000-4000-8000-000000000010', 'Omens', 'Omens', '2024-03-04 00:00:00.000 +00:00', '2024-03-04 00:00:00.000 +00:00', '${booksLibraryId}');
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000020', ' 1.5 ', '2024-03-04 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000003', 'f0000000-0000-4000-8000-000000000010');
+    INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000021', 'Book Two', '2024-03-04 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000004', 'f0000000-0000-4000-8000-000000000010');
+  `,
+
+  async check({ select, query }) {
+    const selectSeriesColumns = () => select(`SELECT id, mediaType, seriesName, seriesSequence FROM libraryItems WHERE id < 'a0000000-0000-4000-8000-000000000006' ORDER BY id`)
+    assert.deepEqual(await selectSeriesColumns(), [
+      { id: 'a0000000-0000-4000-8000-000000000001', mediaType: 'book', seriesName: 'Middle-earth', seriesSequence: 1 },
+      { id: 'a0000000-0000-4000-8000-000000000002', mediaType: 'book', seriesName: 'Middle-earth', seriesSequence: 10 },
+      { id: 'a0000000-0000-4000-8000-000000000003', mediaType: 'book', seriesName: 'Omens', seriesSequence: 1.5 },
+      { id: 'a0000000-0000-4000-8000-000000000004', mediaType: 'podcast', seriesName: null, seriesSequence: null },
+      { id: 'a0000000-0000-4000-8000-000000000005', mediaType: 'book', seriesName: 'Omens', seriesSequence: null }
+    ])
+
+    // Renaming a series updates its books
+    await query(`UPDATE series SET name = 'Good Omens' WHERE id = 'f0000000-0000-4000-8000-000000000010'`)
+    // Changing a sequence updates its book
+    await query(`UPDATE bookSeries SET sequence = '2' WHERE id = '10000000-0000-4000-8000-000000000021'`)
+    // A book added to a second series keeps the series it was added to first, until it is removed from that one
+    await query(`INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('10000000-0000-4000-8000-000000000022', '7', '2024-03-05 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', 'f0000000-0000-4000-8000-000000000010')`)
+    assert.deepEqual((await selectSeriesColumns())[0], { id: 'a0000000-0000-4000-8000-000000000001', mediaType: 'book', seriesName: 'Middle-earth', seriesSequence: 1 })
+    await query(`DELETE FROM bookSeries WHERE id = '10000000-0000-4000-8000-000000000001'`)
+    // Removing a book from its only series clears the columns
+    await query(`DELETE FROM bookSeries WHERE id = '10000000-0000-4000-8000-000000000020'`)
+
+    assert.deepEqual(await selectSeriesColumns(), [
+      { id: 'a0000000-0000-4000-8000-000000000001', mediaType: 'book', seriesName: 'Good Omens', seriesSequence: 7 },
+      { id: 'a0000000-0000-4000-8000-000000000002', mediaType: 'book', seriesName: 'Middle-earth', seriesSequence: 10 },
+      { id: 'a0000000-0000-4000-8000-000000000003', mediaType: 'book', seriesName: null, seriesSequence: null },
+      { id: 'a0000000-0000-4000-8000-000000000004', mediaType: 'podcast', seriesName: null, seriesSequence: null },
+      { id: 'a0000000-0000-4000-8000-000000000005', mediaType: 'book', seriesName: 'Good Omens', seriesSequence: 2 }
+    ])
+
+    // The library can be sorted by series through the NOCASE index
+    const [plan] = await select(`EXPLAIN QUERY PLAN SELECT id FROM libraryItems WHERE libraryId = '${booksLibraryId}' AND mediaType = 'book' ORDER BY seriesName COLLATE NOCASE, seriesSequence`)
+    assert.match(plan.detail, /library_items_library_id_media_type_series_name_series_sequence/)
+  }
+}
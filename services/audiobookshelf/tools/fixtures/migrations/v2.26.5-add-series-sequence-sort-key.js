@@ -0,0 +1,95 @@
+const assert = require('assert/strict')
+
+const seriesId = 'f0000000-0000-4000-8000-000000000010'
+
+// Sequences as they show up in libraries, and the sort key each is parsed into
+const sequences = [
+  ['10', 10],
+  ['2', 2],
+  [' 1.5 ', 1.5],
+  ['.5', 0.5],
+  ['1-3', 1],
+  ['0.5-novella', 0.5],
+  ['Book 3', 3],
+  ['book4', 4],
+  ['Vol. 6', 6],
+  ['Volume IV', 4],
+  ['#7', 7],
+  ['II', 2],
+  ['ii-iv', 2],
+  ['Part XII: The End', 12],
+  ['XLIX', 49],
+  ['Book Two', 2],
+  ['Eleven', 11],
+  ['Novella', null],
+  ['', null],
+  [null, null]
+]
+
+/**
+ * @param {number} i
+ * @returns {string} - the id of the bookSeries row of the i-th sample sequence.
+ */
+function getBookSeriesId(i) {
+  return `10000000-0000-4000-8000-0000000001${String(i).padStart(2, '0')}`
+}
+
+/**
+ * @param {number} i
+ * @param {string|null} sequence
+ * @returns {string}
+ */
+function insertBookSeries(i, sequence) {
+  return `INSERT INTO bookSeries (id, sequence, createdAt, bookId, seriesId) VALUES ('${getBookSeriesId(i)}', ${sequence === null ? 'NULL' : `'${sequence}'`}, '2024-03-06 00:00:00.000 +00:00', 'b0000000-0000-4000-8000-000000000001', '${seriesId}')`
+}
+
+// The Long Earth in the Good Omens series of 2.26.4
+const longEarthBookSeriesId = '10000000-0000-4000-8000-000000000021'
+const longEarthItemId = 'a0000000-0000-4000-8000-000000000005'
+
+/**
+ * The seed adds a bookSeries row per sample sequence to the Good Omens series of 2.26.4, all for The Hobbit,
+ * and spells out the sequence of The Long Earth, which the 2.26.4 triggers leave without a seriesSequence.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: [...sequences.map(([sequence], i) => `${insertBookSeries(i, sequence)};`), `UPDATE bookSeries SET sequence = 'Book Two' WHERE id = '${longEarthBookSeriesId}';`].join('\n'),
+
+  async check({ select, query, loadMigration }) {
+    const migration = loadMigration('v2.26.5-add-series-sequence-sort-key')
+    const selectSeriesSequence = async () => (await select(`SELECT seriesSequence FROM libraryItems WHERE id = '${longEarthItemId}'`))[0].seriesSequence
+
+    // libraryItems.seriesSequence is recomputed with the parser, and the down step puts back the values and triggers of 2.26.4
+    assert.equal(await selectSeriesSequence(), 2)
+    await migration.down()
+    assert.equal(await selectSeriesSequence(), null)
+    await query(`UPDATE bookSeries SET sequence = 'Book 3' WHERE id = '${longEarthBookSeriesId}'`)
+    assert.equal(await selectSeriesSequence(), null)
+    await query(`UPDATE bookSeries SET sequence = '3' WHERE id = '${longEarthBookSeriesId}'`)
+    assert.equal(await selectSeriesSequence(), 3)
+    await query(`UPDATE bookSeries SET sequence = 'Book Two' WHERE id = '${longEarthBookSeriesId}'`)
+    await migration.up()
+    assert.equal(await selectSeriesSequence(), 2)
+
+    const selectSortKeys = () => select(`SELECT sequence, sequenceSortKey FROM bookSeries WHERE id LIKE '10000000-0000-4000-8000-0000000001%' ORDER BY id`)
+    const expectedSortKeys = sequences.map(([sequence, sequenceSortKey]) => ({ sequence, sequenceSortKey }))
+    assert.deepEqual(await selectSortKeys(), expectedSortKeys)
+
+    // The triggers parse inserted and changed sequences the same way
+    await query(`DELETE FROM bookSeries WHERE id LIKE '10000000-0000-4000-8000-0000000001%'`)
+    for (const [i, [sequence]] of sequences.entries()) {
+      await query(insertBookSeries(i, sequence))
+    }
+    assert.deepEqual(await selectSortKeys(), expectedSortKeys)
+    for (const [i, [sequence]] of sequences.entries()) {
+      await query(`UPDATE bookSeries SET sequence = 'Novella' WHERE id = '${getBookSeriesId(i)}'`)
+      await query(`UPDATE bookSeries SET sequence = :sequence WHERE id = '${getBookSeriesId(i)}'`, { sequence })
+    }
+    assert.deepEqual(await selectSortKeys(), expectedSortKeys)
+
+    // The books of a series sort by their parsed sequence through the index
+    const [plan] = await select(`EXPLAIN QUERY PLAN SELECT id FROM bookSeries WHERE seriesId = '${seriesId}' ORDER BY sequenceSortKey`)
+    assert.match(plan.detail, /book_series_series_id_sequence_sort_key/)
+  }
+}
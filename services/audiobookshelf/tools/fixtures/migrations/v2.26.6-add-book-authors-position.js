@@ -0,0 +1,50 @@
+const assert = require('assert/strict')
+
+const goodOmensBookId = 'b0000000-0000-4000-8000-000000000003'
+
+/**
+ * The seed adds Neil Gaiman and Stephen Baxter to Good Omens (which kept only Terry Pratchett after 2.20.0) in the
+ * same millisecond, Gaiman first. Their ids sort the other way round, so only the insertion order tells them apart.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000041', '2024-03-07 00:00:00.000 +00:00', '${goodOmensBookId}', 'd0000000-0000-4000-8000-000000000003');
+    INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000040', '2024-03-07 00:00:00.000 +00:00', '${goodOmensBookId}', 'd0000000-0000-4000-8000-000000000004');
+  `,
+
+  async check({ select, query }) {
+    const selectGoodOmensAuthors = () => select(`SELECT authorNamesFirstLast, authorNamesLastFirst FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000003'`)
+
+    // Positions follow createdAt, then the insertion order
+    assert.deepEqual(await select(`SELECT id, position FROM bookAuthors WHERE bookId = '${goodOmensBookId}' ORDER BY position`), [
+      { id: 'e0000000-0000-4000-8000-000000000003', position: 1 },
+      { id: 'e0000000-0000-4000-8000-000000000041', position: 2 },
+      { id: 'e0000000-0000-4000-8000-000000000040', position: 3 }
+    ])
+    assert.deepEqual(await selectGoodOmensAuthors(), [
+      { authorNamesFirstLast: 'Sir Terry Pratchett, Neil Gaiman, Stephen Baxter', authorNamesLastFirst: 'Pratchett, Terry, Gaiman, Neil, Baxter, Stephen' }
+    ])
+
+    // Reordering the authors updates the names
+    await query(`UPDATE bookAuthors SET position = 3 WHERE id = 'e0000000-0000-4000-8000-000000000041'`)
+    await query(`UPDATE bookAuthors SET position = 2 WHERE id = 'e0000000-0000-4000-8000-000000000040'`)
+    assert.deepEqual(await selectGoodOmensAuthors(), [
+      { authorNamesFirstLast: 'Sir Terry Pratchett, Stephen Baxter, Neil Gaiman', authorNamesLastFirst: 'Pratchett, Terry, Baxter, Stephen, Gaiman, Neil' }
+    ])
+
+    // An author added without a position, like the server does, comes last
+    await query(`INSERT INTO bookAuthors (id, createdAt, bookId, authorId) VALUES ('e0000000-0000-4000-8000-000000000042', '2024-01-01 00:00:00.000 +00:00', '${goodOmensBookId}', 'd0000000-0000-4000-8000-000000000010')`)
+    assert.deepEqual(await select(`SELECT position FROM bookAuthors WHERE id = 'e0000000-0000-4000-8000-000000000042'`), [{ position: 4 }])
+    assert.deepEqual(await selectGoodOmensAuthors(), [
+      { authorNamesFirstLast: 'Sir Terry Pratchett, Stephen Baxter, Neil Gaiman, J. R. R. Tolkien', authorNamesLastFirst: 'Pratchett, Terry, Baxter, Stephen, Gaiman, Neil, Tolkien, J. R. R.' }
+    ])
+
+    // createdAt no longer changes the order
+    await query(`UPDATE bookAuthors SET createdAt = '2023-01-01 00:00:00.000 +00:00' WHERE id = 'e0000000-0000-4000-8000-000000000040'`)
+    assert.deepEqual(await selectGoodOmensAuthors(), [
+      { authorNamesFirstLast: 'Sir Terry Pratchett, Stephen Baxter, Neil Gaiman, J. R. R. Tolkien', authorNamesLastFirst: 'Pratchett, Terry, Baxter, Stephen, Gaiman, Neil, Tolkien, J. R. R.' }
+    ])
+  }
+}
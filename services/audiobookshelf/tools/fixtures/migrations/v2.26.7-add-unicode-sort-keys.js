@@ -0,0 +1,53 @@
+const assert = require('assert/strict')
+
+const booksLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001'
+
+/**
+ * The seed renames The Fellowship of the Ring to "Ørsted's Élan", which NOCASE sorts after every ASCII title.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    UPDATE books SET title = 'Ørsted''s Élan', titleIgnorePrefix = 'Ørsted''s Élan' WHERE id = 'b0000000-0000-4000-8000-000000000002';
+  `,
+
+  async check({ select, query }) {
+    const selectSortKeys = (id) => select(`SELECT title, titleSortKey, titleIgnorePrefixSortKey, authorNamesFirstLastSortKey, authorNamesLastFirstSortKey FROM libraryItems WHERE id = '${id}'`)
+
+    // The backfill folds case and diacritics
+    assert.deepEqual(await selectSortKeys('a0000000-0000-4000-8000-000000000002'), [
+      {
+        title: 'Ørsted\'s Élan',
+        titleSortKey: 'orsted\'s elan',
+        titleIgnorePrefixSortKey: 'orsted\'s elan',
+        authorNamesFirstLastSortKey: 'j. r. r. tolkien, j. r. r. tolkien',
+        authorNamesLastFirstSortKey: 'tolkien, j. r. r., tolkien, j. r. r.'
+      }
+    ])
+    assert.deepEqual(await select(`SELECT titleSortKey FROM libraryItems WHERE libraryId = '${booksLibraryId}' AND mediaType = 'book' ORDER BY titleSortKey`), [
+      { titleSortKey: 'good omens' },
+      { titleSortKey: 'orsted\'s elan' },
+      { titleSortKey: 'the hobbit, or there and back again' },
+      { titleSortKey: 'the long earth' },
+      { titleSortKey: 'the two towers' },
+      { titleSortKey: 'the two towers' }
+    ])
+
+    // A change of the source of the copied columns updates their keys through the copy
+    await query(`UPDATE authors SET name = 'Émile Zola', lastFirst = 'Zola, Émile' WHERE id = 'd0000000-0000-4000-8000-000000000004'`)
+    assert.deepEqual(await select(`SELECT authorNamesFirstLast, authorNamesFirstLastSortKey, authorNamesLastFirstSortKey FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000005'`), [
+      { authorNamesFirstLast: 'Émile Zola, Sir Terry Pratchett', authorNamesFirstLastSortKey: 'emile zola, sir terry pratchett', authorNamesLastFirstSortKey: 'zola, emile, pratchett, terry' }
+    ])
+
+    // Podcast titles get their keys too
+    await query(`UPDATE podcasts SET title = 'ÜBER Straße', titleIgnorePrefix = 'ÜBER Straße' WHERE id = 'c0000000-0000-4000-8000-000000000001'`)
+    assert.deepEqual(await select(`SELECT titleSortKey, authorNamesFirstLastSortKey FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000004'`), [
+      { titleSortKey: 'uber strasse', authorNamesFirstLastSortKey: null }
+    ])
+
+    // The library can be sorted by the keys through their indexes
+    const [plan] = await select(`EXPLAIN QUERY PLAN SELECT id FROM libraryItems WHERE libraryId = '${booksLibraryId}' AND mediaType = 'book' ORDER BY authorNamesLastFirstSortKey`)
+    assert.match(plan.detail, /library_items_library_id_media_type_author_names_last_first_sort_key/)
+  }
+}
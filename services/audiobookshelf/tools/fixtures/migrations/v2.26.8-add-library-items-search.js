@@ -0,0 +1,63 @@
+const assert = require('assert/strict')
+const path = require('path')
+
+const booksLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0001'
+const podcastsLibraryId = '7a4e0c9d-3f1b-4e2a-8d6c-1b2c3d4e0002'
+
+/**
+ * The seed adds a narrator, a subtitle and descriptions, one of them mentioning a hobbit, to rank against the title match.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    UPDATE books SET narrators = '["Andy Serkis"]', description = 'Bilbo Baggins is swept into a quest.' WHERE id = 'b0000000-0000-4000-8000-000000000001';
+    UPDATE books SET description = 'The hobbit Frodo inherits the Ring.' WHERE id = 'b0000000-0000-4000-8000-000000000002';
+    UPDATE books SET subtitle = 'The Nice and Accurate Prophecies of Agnes Nutter, Witch' WHERE id = 'b0000000-0000-4000-8000-000000000003';
+  `,
+
+  async check({ select, query, sequelize, migrationsPath }) {
+    const { searchLibraryItems } = require(path.join(migrationsPath, 'utils', 'search'))
+    const search = async (text, options = {}) => (await searchLibraryItems(sequelize, { libraryId: booksLibraryId, text, ...options })).map((result) => result.libraryItemId)
+
+    // Every library item has a document, backfilled from its book or podcast
+    assert.deepEqual(await select(`SELECT (SELECT COUNT(*) FROM libraryItems) AS items, (SELECT COUNT(*) FROM libraryItemsSearchDocuments) AS documents, (SELECT COUNT(*) FROM libraryItemsSearch) AS indexed`), [{ items: 7, documents: 7, indexed: 7 }])
+    assert.deepEqual(await select(`SELECT title, narratorNames, description FROM libraryItemsSearchDocuments WHERE libraryItemId = 'a0000000-0000-4000-8000-000000000001'`), [
+      { title: 'The Hobbit, or There and Back Again', narratorNames: 'Andy Serkis', description: 'Bilbo Baggins is swept into a quest.' }
+    ])
+    assert.deepEqual(await select(`SELECT title, authorNames, episodeTitles FROM libraryItemsSearchDocuments WHERE libraryItemId = 'a0000000-0000-4000-8000-000000000004'`), [
+      { title: 'ÜBER Straße', authorNames: 'Byte Media', episodeTitles: 'Episode 1, Episode 2' }
+    ])
+
+    // Words match as prefixes, and a title match ranks above a description match
+    assert.deepEqual(await search('hob'), ['a0000000-0000-4000-8000-000000000001', 'a0000000-0000-4000-8000-000000000002'])
+    assert.deepEqual(await search('hob', { prefix: false }), [])
+    // Phrases match their words in order
+    assert.deepEqual(await search('"there and back"'), ['a0000000-0000-4000-8000-000000000001'])
+    assert.deepEqual(await search('"back and there"'), [])
+    // Every word must match, in any column, ignoring case and diacritics
+    assert.deepEqual(await search('SERKIS tolk'), ['a0000000-0000-4000-8000-000000000001'])
+    assert.deepEqual((await search('emile')).sort(), ['a0000000-0000-4000-8000-000000000003', 'a0000000-0000-4000-8000-000000000005'])
+    assert.deepEqual(await search('Ørsted\'s'), ['a0000000-0000-4000-8000-000000000002'])
+    assert.deepEqual(await search('agnes nutter'), ['a0000000-0000-4000-8000-000000000003'])
+    assert.deepEqual(await search('  "" '), [])
+
+    // Changes of the source rows are searchable right away
+    assert.deepEqual(await search('middle earth'), ['a0000000-0000-4000-8000-000000000002'])
+    await query(`UPDATE series SET name = 'Legendarium' WHERE name = 'Middle-earth'`)
+    assert.deepEqual(await search('legendarium'), ['a0000000-0000-4000-8000-000000000002'])
+    assert.deepEqual(await search('middle earth'), [])
+    await query(`INSERT INTO podcastEpisodes (id, "index", title, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000080', 3, 'Quantum Bits', '2024-01-15 00:00:00.000 +00:00', '2024-01-15 00:00:00.000 +00:00', 'c0000000-0000-4000-8000-000000000001')`)
+    assert.deepEqual(await search('quantum', { libraryId: podcastsLibraryId, mediaType: 'podcast' }), ['a0000000-0000-4000-8000-000000000004'])
+    assert.deepEqual(await search('quantum', { libraryId: podcastsLibraryId, mediaType: 'book' }), [])
+
+    // Library items added and removed later are indexed and dropped with them
+    await query(`INSERT INTO books (id, title, titleIgnorePrefix, narrators, createdAt, updatedAt) VALUES ('b0000000-0000-4000-8000-000000000080', 'Mort', 'Mort', '["Nigel Planer"]', '2024-03-08 00:00:00.000 +00:00', '2024-03-08 00:00:00.000 +00:00')`)
+    await query(`INSERT INTO libraryItems (id, path, relPath, mediaId, mediaType, createdAt, updatedAt, libraryId) VALUES ('a0000000-0000-4000-8000-000000000080', '/audiobooks/Pratchett/Mort', 'Pratchett/Mort', 'b0000000-0000-4000-8000-000000000080', 'book', '2024-03-08 00:00:00.000 +00:00', '2024-03-08 00:00:00.000 +00:00', '${booksLibraryId}')`)
+    assert.deepEqual(await search('planer'), ['a0000000-0000-4000-8000-000000000080'])
+    await query(`DELETE FROM libraryItems WHERE id = 'a0000000-0000-4000-8000-000000000080'`)
+    await query(`DELETE FROM books WHERE id = 'b0000000-0000-4000-8000-000000000080'`)
+    assert.deepEqual(await search('mort'), [])
+    assert.deepEqual(await select(`SELECT (SELECT COUNT(*) FROM libraryItemsSearchDocuments) AS documents, (SELECT COUNT(*) FROM libraryItemsSearch) AS indexed`), [{ documents: 7, indexed: 7 }])
+  }
+}
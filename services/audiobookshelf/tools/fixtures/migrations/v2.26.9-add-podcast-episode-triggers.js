@@ -0,0 +1,58 @@
+const assert = require('assert/strict')
+
+const podcastId = 'c0000000-0000-4000-8000-000000000001'
+const userId = '5c1b2f6e-0b0e-4a53-9c3a-6a3f6f0d0002'
+
+/**
+ * The seed leaves numEpisodes stale, as a server that missed an update would, and adds progress on the second
+ * episode without a podcastId. The podcast has the two seeded episodes and the one 2.26.8's check added, which has
+ * no publishedAt.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  seed: `
+    UPDATE podcasts SET numEpisodes = 7 WHERE id = '${podcastId}';
+    INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000090', '20000000-0000-4000-8000-000000000002', 'podcastEpisode', 1800, 60, 0, '{}', '2024-01-09 00:00:00.000 +00:00', '2024-01-09 00:00:00.000 +00:00', '${userId}');
+  `,
+
+  async check({ select, query }) {
+    const selectPodcasts = () => select(`SELECT id, numEpisodes, lastEpisodePublishedAt FROM podcasts ORDER BY id`)
+    const selectProgress = (id) => select(`SELECT podcastId FROM mediaProgresses WHERE id = '${id}'`)
+
+    // The backfill recomputes the stale columns
+    assert.deepEqual(await selectPodcasts(), [{ id: podcastId, numEpisodes: 3, lastEpisodePublishedAt: '2024-01-08 00:00:00.000 +00:00' }])
+    assert.deepEqual(await selectProgress('50000000-0000-4000-8000-000000000090'), [{ podcastId }])
+    assert.deepEqual(await selectProgress('50000000-0000-4000-8000-000000000001'), [{ podcastId: null }])
+
+    // Adding and removing episodes updates the count and the latest publishedAt
+    await query(`INSERT INTO podcastEpisodes (id, "index", title, publishedAt, createdAt, updatedAt, podcastId) VALUES ('20000000-0000-4000-8000-000000000090', 4, 'Episode 4', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '2024-02-01 00:00:00.000 +00:00', '${podcastId}')`)
+    assert.deepEqual(await selectPodcasts(), [{ id: podcastId, numEpisodes: 4, lastEpisodePublishedAt: '2024-02-01 00:00:00.000 +00:00' }])
+
+    // New progress on an episode gets its podcastId, and follows the episode to another podcast
+    await query(`INSERT INTO mediaProgresses (id, mediaItemId, mediaItemType, duration, currentTime, isFinished, extraData, createdAt, updatedAt, userId) VALUES ('50000000-0000-4000-8000-000000000091', '20000000-0000-4000-8000-000000000090', 'podcastEpisode', 1800, 30, 0, '{}', '2024-02-02 00:00:00.000 +00:00', '2024-02-02 00:00:00.000 +00:00', '${userId}')`)
+    assert.deepEqual(await selectProgress('50000000-0000-4000-8000-000000000091'), [{ podcastId }])
+    await query(`INSERT INTO podcasts (id, title, titleIgnorePrefix, tags, genres, createdAt, updatedAt) VALUES ('c0000000-0000-4000-8000-000000000090', 'Side Channel', 'Side Channel', '[]', '[]', '2024-02-03 00:00:00.000 +00:00', '2024-02-03 00:00:00.000 +00:00')`)
+    await query(`UPDATE podcastEpisodes SET podcastId = 'c0000000-0000-4000-8000-000000000090' WHERE id = '20000000-0000-4000-8000-000000000090'`)
+    assert.deepEqual(await selectPodcasts(), [
+      { id: podcastId, numEpisodes: 3, lastEpisodePublishedAt: '2024-01-08 00:00:00.000 +00:00' },
+      { id: 'c0000000-0000-4000-8000-000000000090', numEpisodes: 1, lastEpisodePublishedAt: '2024-02-01 00:00:00.000 +00:00' }
+    ])
+    assert.deepEqual(await selectProgress('50000000-0000-4000-8000-000000000091'), [{ podcastId: 'c0000000-0000-4000-8000-000000000090' }])
+
+    // Deleting the episode keeps the podcastId of its progress, deleting the podcast clears it
+    await query(`DELETE FROM podcastEpisodes WHERE id = '20000000-0000-4000-8000-000000000090'`)
+    assert.deepEqual(await selectPodcasts(), [
+      { id: podcastId, numEpisodes: 3, lastEpisodePublishedAt: '2024-01-08 00:00:00.000 +00:00' },
+      { id: 'c0000000-0000-4000-8000-000000000090', numEpisodes: 0, lastEpisodePublishedAt: null }
+    ])
+    assert.deepEqual(await selectProgress('50000000-0000-4000-8000-000000000091'), [{ podcastId: 'c0000000-0000-4000-8000-000000000090' }])
+    await query(`DELETE FROM podcasts WHERE id = 'c0000000-0000-4000-8000-000000000090'`)
+    assert.deepEqual(await selectProgress('50000000-0000-4000-8000-000000000091'), [{ podcastId: null }])
+    await query(`DELETE FROM mediaProgresses WHERE id = '50000000-0000-4000-8000-000000000091'`)
+
+    // Podcasts can be sorted by their latest episode through the index
+    const [plan] = await select(`EXPLAIN QUERY PLAN SELECT id FROM podcasts ORDER BY lastEpisodePublishedAt DESC`)
+    assert.match(plan.detail, /podcasts_last_episode_published_at/)
+  }
+}
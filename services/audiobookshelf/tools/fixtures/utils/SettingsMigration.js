@@ -0,0 +1,68 @@
+const assert = require('assert/strict')
+const path = require('path')
+
+/**
+ * Runs settings migrations on the email and notification settings of the fixture, which no migration changes.
+ * The email settings get a host first, since the fixture's is null like the server's default.
+ *
+ * @type {import('../../verify-migration-data').MigrationDataCheck}
+ */
+module.exports = {
+  async check({ select, sequelize, migrationsPath, logger }) {
+    const { MigrationHelper } = require(path.join(migrationsPath, 'utils', 'MigrationHelper'))
+    const { SettingsMigration, SettingsValidationError, addSetting, renameSetting, removeSetting, transformSetting } = require(path.join(migrationsPath, 'utils', 'SettingsMigration'))
+    const helper = new MigrationHelper(sequelize.getQueryInterface(), logger, '[SettingsMigration check]')
+    const selectSettings = async (key) => {
+      const [{ value }] = await select(`SELECT value FROM settings WHERE key = :key`, { key })
+      return JSON.parse(value)
+    }
+    const selectPreviousSettings = async () => {
+      if (!(await select(`SELECT name FROM sqlite_master WHERE name = 'previousSettings'`)).length) return null
+      return select('SELECT settingsKey, name, wasSet, value FROM previousSettings ORDER BY id')
+    }
+
+    const emailSettings = { ...(await selectSettings('email-settings')), host: 'smtp.example.com' }
+    await helper.updateSettings('email-settings', emailSettings)
+
+    // Each operation applies to the email settings, and down restores them, including the removed host
+    const emailMigration = new SettingsMigration(
+      'email-settings',
+      [
+        renameSetting('secure', 'useTLS'),
+        transformSetting('port', (port) => String(port), (port) => Number(port)),
+        removeSetting('host'),
+        addSetting('rejectUnauthorized', true, { when: (settings) => settings.useTLS })
+      ],
+      { schema: { port: 'string', useTLS: 'boolean' } }
+    )
+    await helper.applySettingsMigration(emailMigration)
+    assert.deepEqual(await selectSettings('email-settings'), { id: 'email-settings', port: '465', useTLS: true, rejectUnauthorized: true })
+    assert.deepEqual(await selectPreviousSettings(), [{ settingsKey: 'email-settings', name: 'host', wasSet: 1, value: '"smtp.example.com"' }])
+
+    // Removing a key that is already gone records that, so reverting it leaves the host to the first migration
+    const hostMigration = new SettingsMigration('email-settings', [removeSetting('host')])
+    await helper.applySettingsMigration(hostMigration)
+    await helper.revertSettingsMigration(hostMigration)
+    assert.equal('host' in (await selectSettings('email-settings')), false)
+
+    await helper.revertSettingsMigration(emailMigration)
+    assert.deepEqual(await selectSettings('email-settings'), emailSettings)
+    assert.equal(await selectPreviousSettings(), null)
+
+    // Without a recorded value, down leaves the key out rather than making one up
+    assert.deepEqual(new SettingsMigration('email-settings', [removeSetting('host')]).down({ id: 'email-settings' }, []), {
+      settings: { id: 'email-settings' },
+      changes: ['host not restored, its removed value was not recorded'],
+      removedSettings: []
+    })
+
+    // Settings that don't match the schema are not written
+    const notificationSettings = await selectSettings('notification-settings')
+    const notificationMigration = new SettingsMigration('notification-settings', [transformSetting('appriseType', (type) => [type], ([type]) => type)], { schema: { appriseType: 'string' } })
+    await assert.rejects(helper.applySettingsMigration(notificationMigration), SettingsValidationError)
+    assert.deepEqual(await selectSettings('notification-settings'), notificationSettings)
+    assert.throws(() => new SettingsMigration('notification-settings', [transformSetting('id', () => 'other-settings', (id) => id)]).up(notificationSettings), /notification-settings\.id should be "notification-settings", not "other-settings"/)
+
+    await helper.updateSettings('email-settings', { ...emailSettings, host: null })
+  }
+}
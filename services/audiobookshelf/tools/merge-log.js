@@ -0,0 +1,116 @@
+const path = require('path')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { getSnapshotsPath, createSnapshot } = require('./utils/snapshots')
+
+const usage = `Usage: node merge-log.js [options]
+
+Lists the series, author and podcast episode merges recorded in the mergeLogs table of <config>/absdatabase.sqlite,
+newest first. Merges are recorded by the 2.26.1 and 2.26.10 migrations and by dedupe-series --merge and
+dedupe-episodes --merge, with the full rows they deleted or re-pointed. With --restore, a merge is split back into
+its original rows and links (book links, or the progress, playlist entries, playback sessions and library files of
+episodes); links changed since the merge are left alone and reported. The database is snapshotted first. Podcast
+episode merges list the audio files of the merged episodes, which are left on disk and added back as episodes by
+the next scan until they are removed.
+
+Options:
+  --config <dir>  audiobookshelf config directory (default: /config)
+  --restore <id>  restore the merge with this id
+  --no-snapshot   do not snapshot the database before restoring
+  --help          show this help`
+
+// What printMergeLog calls the merged rows and their links
+const entityNames = {
+  series: { rows: 'series', label: 'name', links: 'book link(s)' },
+  author: { rows: 'author(s)', label: 'name', links: 'book link(s)' },
+  podcastEpisode: { rows: 'episode(s)', label: 'title', links: 'link(s)' }
+}
+
+function parseArgs(argv) {
+  const args = { config: '/config', restore: null, snapshot: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--restore') args.restore = Number(argv[++i])
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  if (args.restore !== null && !Number.isInteger(args.restore)) {
+    throw new Error('--restore must be a merge id')
+  }
+  return args
+}
+
+/**
+ * @param {import('../config/migrations/utils/merge').MergeLog} mergeLog
+ */
+function printMergeLog(mergeLog) {
+  const { label, links } = entityNames[mergeLog.entityType]
+  const mergedNames = mergeLog.mergedRows.map((row) => JSON.stringify(row[label])).join(', ')
+  console.log(`#${mergeLog.id}  ${mergeLog.createdAt}  ${mergeLog.entityType}  ${mergeLog.source || ''}`)
+  console.log(`    kept   ${mergeLog.survivorId}  ${JSON.stringify(mergeLog.survivor[label])}`)
+  console.log(`    merged ${mergedNames}`)
+  console.log(`    ${mergeLog.movedLinks.length} ${links} moved, ${mergeLog.deletedLinks.length} removed${mergeLog.restoredAt ? `, restored ${mergeLog.restoredAt}` : ''}`)
+  for (const audioFilePath of mergeLog.audioFilePaths) {
+    console.log(`    audio file left on disk: ${audioFilePath}`)
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger()
+  const sequelize = await openDatabase(getDatabasePath(args.config))
+  // Loaded from the config directory, where the migrations that record merges use it too
+  const { getMergeLogs, restoreMerge } = require(path.join(getMigrationsPath(args.config), 'utils', 'merge'))
+
+  try {
+    const mergeLogs = await getMergeLogs(sequelize)
+    if (args.restore === null) {
+      if (!mergeLogs.length) console.log('No merges recorded')
+      mergeLogs.forEach(printMergeLog)
+      return 0
+    }
+
+    const mergeLog = mergeLogs.find((log) => log.id === args.restore)
+    if (!mergeLog) throw new Error(`Merge ${args.restore} not found`)
+    printMergeLog(mergeLog)
+
+    if (args.snapshot) {
+      const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'merge-log', restore: mergeLog.id })
+      logger.info(`Saved database snapshot to ${snapshotPath}`)
+    }
+
+    // Raw statements: a sequelize transaction would get its own connection, which the queries of restoreMerge don't use
+    await sequelize.query('BEGIN')
+    let result
+    try {
+      result = await restoreMerge(sequelize, mergeLog.id)
+      await sequelize.query('COMMIT')
+    } catch (error) {
+      await sequelize.query('ROLLBACK')
+      throw error
+    }
+
+    const { rows, links } = entityNames[mergeLog.entityType]
+    console.log(`Restored merge ${mergeLog.id}: ${result.restoredRows} ${rows}, ${result.restoredLinks} ${links}`)
+    for (const skipped of result.skippedLinks) {
+      logger.warn(`Skipped ${skipped}`)
+    }
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
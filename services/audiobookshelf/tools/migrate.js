@@ -0,0 +1,117 @@
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { MigrationRunner } = require('./utils/MigrationRunner')
+const { formatPlan } = require('./utils/DryRunQueryInterface')
+const { defaultKeptSnapshots, getSnapshotsPath, createSnapshot, restoreSnapshot } = require('./utils/snapshots')
+
+const usage = `Usage: node migrate.js [options] [migration ...]
+
+Applies pending migrations from <config>/migrations to <config>/absdatabase.sqlite.
+Named migrations (file names, e.g. v2.19.1-copy-title-to-library-items.js) are run instead of the pending ones.
+Before a real run the database is copied to <config>/migration-snapshots, and restored from that copy if a migration fails.
+
+Options:
+  --config <dir>    audiobookshelf config directory (default: /config)
+  --dry-run         print the SQL plan of each migration without changing the database
+  --down            revert migrations instead of applying them
+  --to <version>    up: only apply pending migrations up to this version
+                    down: revert executed migrations newer than this version
+  --keep-snapshots <n>
+                    number of snapshots to keep in <config>/migration-snapshots (default: ${defaultKeptSnapshots})
+  --no-snapshot     do not snapshot the database before a real run (a failed migration is then not rolled back)
+  --help            show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', dryRun: false, direction: 'up', toVersion: null, snapshot: true, keepSnapshots: defaultKeptSnapshots, names: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--dry-run') args.dryRun = true
+    else if (arg === '--down') args.direction = 'down'
+    else if (arg === '--to') args.toVersion = argv[++i]
+    else if (arg === '--keep-snapshots') args.keepSnapshots = Number(argv[++i])
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`)
+    else args.names.push(arg)
+  }
+  return args
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  if (!Number.isInteger(args.keepSnapshots) || args.keepSnapshots < 1) {
+    throw new Error('--keep-snapshots must be a positive integer')
+  }
+
+  const logger = new Logger()
+  const databasePath = getDatabasePath(args.config)
+  const snapshotsPath = getSnapshotsPath(args.config)
+  const sequelize = await openDatabase(databasePath)
+  const runner = new MigrationRunner(sequelize, getMigrationsPath(args.config), logger)
+  let closed = false
+
+  try {
+    const migrations = await runner.selectMigrations(args.direction, { toVersion: args.toVersion, names: args.names })
+    if (!migrations.length) {
+      logger.info(`No migrations to run ${args.direction}`)
+      return 0
+    }
+
+    if (args.dryRun) {
+      let failed = 0
+      for (const migration of migrations) {
+        const { plan, error } = await runner.plan(migration, args.direction)
+        console.log(`-- ${'='.repeat(76)}`)
+        console.log(`-- ${migration.name} (${args.direction})`)
+        console.log(`-- ${'='.repeat(76)}`)
+        console.log(formatPlan(plan))
+        if (error) {
+          failed++
+          console.log(`-- DRY RUN FAILED: ${error.message.replace(/\n/g, "\n-- ")}`)
+        }
+        console.log('')
+      }
+      return failed ? 1 : 0
+    }
+
+    let snapshotPath = null
+    if (args.snapshot) {
+      snapshotPath = await createSnapshot(sequelize, snapshotsPath, { direction: args.direction, migrations: migrations.map((migration) => migration.name) }, args.keepSnapshots)
+      logger.info(`Saved database snapshot to ${snapshotPath}`)
+    }
+
+    try {
+      for (const migration of migrations) {
+        await runner.run(migration, args.direction)
+      }
+    } catch (error) {
+      logger.error('Migration failed:', error)
+      if (!snapshotPath) {
+        logger.error('No snapshot was taken, the database may be partially migrated')
+        return 1
+      }
+      await sequelize.close()
+      closed = true
+      restoreSnapshot(snapshotPath, databasePath)
+      logger.info(`Restored database from snapshot ${snapshotPath}`)
+      return 1
+    }
+    logger.info(`Ran ${migrations.length} migration(s) ${args.direction}`)
+    return 0
+  } finally {
+    if (!closed) await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
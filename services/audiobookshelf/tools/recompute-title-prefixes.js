@@ -0,0 +1,186 @@
+const fs = require('fs')
+const path = require('path')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+const { getSnapshotsPath, createSnapshot } = require('./utils/snapshots')
+
+const stateFileName = 'title-prefix-recompute.json'
+const defaultBatchSize = 500
+const exampleCount = 5
+
+const usage = `Usage: node recompute-title-prefixes.js [options]
+
+Recomputes titleIgnorePrefix ("The Hobbit" -> "Hobbit, The") of books and podcasts for the sorting prefixes
+currently in the server settings. The server only computes it when a title is saved, so after adding prefixes
+(e.g. "le", "la", "der", "die") existing rows keep their old values. The triggers of 2.26.3 copy the new values
+to libraryItems. Without --apply, the rows that would change are counted and a few are listed.
+
+With --apply, the rows are recomputed in batches, each committed separately. The progress is saved to a state
+file (default: <config>/${stateFileName}) after every batch, so an interrupted run continues where it stopped
+when run again with the same prefixes; the state file is removed once every table is done. The database is
+snapshotted before the first batch.
+
+Options:
+  --config <dir>      audiobookshelf config directory (default: /config)
+  --apply             update the rows that differ
+  --batch-size <n>    rows per batch (default: ${defaultBatchSize})
+  --state <file>      the progress file of --apply (default: <config>/${stateFileName})
+  --restart           ignore the progress of an earlier run
+  --no-snapshot       do not snapshot the database before applying
+  --help              show this help`
+
+/**
+ * @typedef TableProgress
+ * @property {number} lastRowid - the rowid of the last row of the last committed batch.
+ * @property {number} checked
+ * @property {number} updated
+ * @property {boolean} done
+ *
+ * @typedef State
+ * @property {string} startedAt
+ * @property {string} database
+ * @property {string[]} prefixes - the sorting prefixes the run recomputes for.
+ * @property {Object<string, TableProgress>} tables
+ */
+
+function parseArgs(argv) {
+  const args = { config: '/config', apply: false, batchSize: defaultBatchSize, restart: false, snapshot: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--apply') args.apply = true
+    else if (arg === '--batch-size') args.batchSize = Number(argv[++i])
+    else if (arg === '--state') args.state = argv[++i]
+    else if (arg === '--restart') args.restart = true
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  if (!Number.isInteger(args.batchSize) || args.batchSize < 1) {
+    throw new Error('--batch-size must be a positive integer')
+  }
+  args.state ??= path.resolve(args.config, stateFileName)
+  return args
+}
+
+/**
+ * @param {string} statePath
+ * @param {string} databasePath
+ * @param {string[]} prefixes
+ * @param {string[]} tables
+ * @param {Logger} logger
+ * @returns {State|null} - the state of an earlier run over the same database and prefixes, if any.
+ */
+function loadState(statePath, databasePath, prefixes, tables, logger) {
+  if (!fs.existsSync(statePath)) return null
+  /** @type {State} */
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'))
+  if (state.database !== databasePath || JSON.stringify(state.prefixes) !== JSON.stringify(prefixes) || tables.some((table) => !state.tables[table])) {
+    logger.warn(`Ignoring ${statePath}: it was saved for sorting prefixes ${JSON.stringify(state.prefixes)} of ${state.database}`)
+    return null
+  }
+  return state
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger()
+  const databasePath = getDatabasePath(args.config)
+  const sequelize = await openDatabase(databasePath)
+  // Loaded from the config directory, next to the other helpers shared with the migrations
+  const { titleIgnorePrefixTables, getSortingPrefixes, countTitleIgnorePrefixRows, recomputeTitleIgnorePrefixBatch } = require(path.join(getMigrationsPath(args.config), 'utils', 'titleIgnorePrefix'))
+
+  try {
+    const prefixes = await getSortingPrefixes(sequelize, logger)
+    console.log(`Sorting prefixes: ${prefixes.map((prefix) => JSON.stringify(prefix)).join(', ') || '(none)'}`)
+
+    if (!args.apply) {
+      let total = 0
+      for (const table of titleIgnorePrefixTables) {
+        const count = await countTitleIgnorePrefixRows(sequelize, table)
+        const changes = []
+        let afterRowid = 0
+        let checked = 0
+        while (true) {
+          const batch = await recomputeTitleIgnorePrefixBatch(sequelize, table, prefixes, { afterRowid, batchSize: args.batchSize })
+          if (batch.lastRowid === null) break
+          afterRowid = batch.lastRowid
+          checked += batch.checked
+          changes.push(...batch.changes)
+          logger.info(`Checked ${checked}/${count} ${table}`)
+        }
+        console.log(`${table}.titleIgnorePrefix: ${changes.length} of ${checked} row(s) differ`)
+        for (const change of changes.slice(0, exampleCount)) {
+          console.log(`    ${change.id}  ${JSON.stringify(change.actual)} -> ${JSON.stringify(change.expected)}`)
+        }
+        if (changes.length > exampleCount) console.log('    ...')
+        total += changes.length
+      }
+      if (total) {
+        console.log('')
+        console.log('Run again with --apply to recompute them')
+      }
+      return 0
+    }
+
+    let state = args.restart ? null : loadState(args.state, databasePath, prefixes, titleIgnorePrefixTables, logger)
+    if (state) {
+      logger.info(`Resuming the run started at ${state.startedAt} from ${args.state}`)
+    } else {
+      if (args.snapshot) {
+        const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'recompute-title-prefixes', prefixes })
+        logger.info(`Saved database snapshot to ${snapshotPath}`)
+      }
+      state = { startedAt: new Date().toISOString(), database: databasePath, prefixes, tables: {} }
+      for (const table of titleIgnorePrefixTables) {
+        state.tables[table] = { lastRowid: 0, checked: 0, updated: 0, done: false }
+      }
+      fs.writeFileSync(args.state, JSON.stringify(state, null, 2))
+    }
+
+    for (const table of titleIgnorePrefixTables) {
+      const progress = state.tables[table]
+      const count = await countTitleIgnorePrefixRows(sequelize, table)
+      while (!progress.done) {
+        // Raw statements: a sequelize transaction would get its own connection, which the queries of recomputeTitleIgnorePrefixBatch don't use
+        await sequelize.query('BEGIN')
+        let batch
+        try {
+          batch = await recomputeTitleIgnorePrefixBatch(sequelize, table, prefixes, { afterRowid: progress.lastRowid, batchSize: args.batchSize, apply: true })
+          await sequelize.query('COMMIT')
+        } catch (error) {
+          await sequelize.query('ROLLBACK')
+          throw error
+        }
+        if (batch.lastRowid === null) {
+          progress.done = true
+        } else {
+          progress.lastRowid = batch.lastRowid
+          progress.checked += batch.checked
+          progress.updated += batch.changes.length
+          logger.info(`Checked ${progress.checked}/${count} ${table}, updated ${progress.updated}`)
+        }
+        // Rerunning a committed batch changes nothing, so being interrupted before this write only repeats one batch
+        fs.writeFileSync(args.state, JSON.stringify(state, null, 2))
+      }
+      console.log(`Recomputed ${table}.titleIgnorePrefix: updated ${progress.updated} of ${progress.checked} row(s)`)
+    }
+
+    fs.unlinkSync(args.state)
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,319 @@
+const fs = require('fs')
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const Logger = require('./utils/Logger')
+const { getDatabasePath, openDatabase } = require('./utils/database')
+const { getSnapshotsPath, createSnapshot } = require('./utils/snapshots')
+
+const hostsFileName = 'feed-hosts.json'
+const logFileName = 'feed-url-rewrites.json'
+
+// The columns 2.17.5 made relative, and the HTML descriptions, which can link to the server anywhere in their text
+const feedUrlColumns = [
+  { table: 'feeds', column: 'feedURL' },
+  { table: 'feeds', column: 'imageURL' },
+  { table: 'feeds', column: 'siteURL' },
+  { table: 'feeds', column: 'description', html: true },
+  { table: 'feedEpisodes', column: 'siteURL' },
+  { table: 'feedEpisodes', column: 'enclosureURL' },
+  { table: 'feedEpisodes', column: 'description', html: true }
+]
+
+// Matches the scheme and host of an absolute URL
+const absoluteUrlPattern = /\bhttps?:\/\/[^\s"'<>/?#]+/gi
+
+const usage = `Usage: node rewrite-feed-urls.js [options]
+
+Finds absolute URLs left in the feeds and feedEpisodes tables. 2.17.5 made the feed URLs relative by removing the
+feed's serverAddress, so URLs whose host differed from it (e.g. after moving the server from an IP address to a
+domain) stayed absolute, and it didn't look at the HTML descriptions at all. Without --apply, the absolute URLs are
+counted per column and host, and the hosts listed in the hosts file are marked as rewritable.
+
+The hosts file (default: <config>/${hostsFileName}) is a JSON array of the hosts the server was reached under,
+e.g. ["7gram.xyz", "192.168.1.20:13378", "https://7gram.xyz/audiobookshelf"]. A host without a port matches any
+port, one without a scheme both http and https, and a path is removed with the host.
+
+With --apply, URLs of those hosts are made relative ("https://7gram.xyz/feed/x" -> "/feed/x"), every change is
+printed and added to a log (default: <config>/${logFileName}), and the tables are checked again.
+With --revert, the logged changes are undone: rows that were already relative before --apply are not in the log
+and are left alone, and so are rows changed since. The database is snapshotted first in both cases.
+
+Exits non-zero while an absolute URL of a listed host remains, or a URL column holds an absolute URL of another
+host; descriptions may link to other sites.
+
+Options:
+  --config <dir>   audiobookshelf config directory (default: /config)
+  --hosts <file>   the hosts file (default: <config>/${hostsFileName})
+  --apply          make the URLs of the listed hosts relative
+  --revert         undo the changes in the log
+  --log <file>     the log of --apply and --revert (default: <config>/${logFileName})
+  --no-snapshot    do not snapshot the database before changing it
+  --help           show this help`
+
+/**
+ * @typedef FeedUrlColumn
+ * @property {string} table
+ * @property {string} column
+ * @property {boolean} [html] - whether the column is HTML rather than a single URL.
+ *
+ * @typedef ColumnAudit
+ * @property {FeedUrlColumn} feedUrlColumn
+ * @property {Object<string, {urls: number, kept: number}>} hosts - the number of absolute URLs per host, and how many of them the listed hosts leave absolute.
+ * @property {{id: string, before: string, after: string}[]} rewrites - the rows the listed hosts change.
+ *
+ * @typedef Rewrite
+ * @property {string} rewrittenAt
+ * @property {string} table
+ * @property {string} id
+ * @property {string} column
+ * @property {string} before
+ * @property {string} after
+ *
+ * @typedef RewriteLog
+ * @property {string} database
+ * @property {Rewrite[]} rewrites
+ */
+
+function parseArgs(argv) {
+  const args = { config: '/config', apply: false, revert: false, snapshot: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--hosts') args.hosts = argv[++i]
+    else if (arg === '--apply') args.apply = true
+    else if (arg === '--revert') args.revert = true
+    else if (arg === '--log') args.log = argv[++i]
+    else if (arg === '--no-snapshot') args.snapshot = false
+    else if (arg === '--help') args.help = true
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  if (args.apply && args.revert) {
+    throw new Error('--apply and --revert cannot be combined')
+  }
+  args.hosts ??= path.resolve(args.config, hostsFileName)
+  args.log ??= path.resolve(args.config, logFileName)
+  return args
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Builds the pattern matching the start of the URLs of a host from the hosts file, up to where the relative URL begins.
+ * It doesn't match a longer host or path, so "7gram.xyz" leaves "7gram.xyz.example.com" alone.
+ *
+ * @param {string} host - e.g. "7gram.xyz", "192.168.1.20:13378" or "https://7gram.xyz/audiobookshelf".
+ * @returns {RegExp}
+ */
+function getHostPattern(host) {
+  const match = host.match(/^(?:(https?):\/\/)?([^/:\s]+)(:\d+)?(\/[^\s]*?)?\/?$/i)
+  if (!match) throw new Error(`Invalid host ${JSON.stringify(host)}`)
+  const [, scheme, hostname, port, basePath = ''] = match
+  return new RegExp(`${scheme ? escapeRegExp(scheme) : 'https?'}://${escapeRegExp(hostname)}${port ? escapeRegExp(port) : '(?::\\d+)?'}${escapeRegExp(basePath)}(?![\\w.~%:-])`, 'gi')
+}
+
+/**
+ * @param {string} hostsPath
+ * @returns {RegExp[]}
+ */
+function loadHostPatterns(hostsPath) {
+  if (!fs.existsSync(hostsPath)) return []
+  const hosts = JSON.parse(fs.readFileSync(hostsPath, 'utf8'))
+  if (!Array.isArray(hosts) || hosts.some((host) => typeof host !== 'string')) {
+    throw new Error(`${hostsPath} must be a JSON array of hosts`)
+  }
+  return hosts.map(getHostPattern)
+}
+
+/**
+ * Removes the listed hosts from the URLs in a value, keeping the leading slash of the path.
+ *
+ * @param {string} value
+ * @param {RegExp[]} hostPatterns
+ * @returns {string}
+ */
+function rewriteValue(value, hostPatterns) {
+  let rewritten = value
+  for (const pattern of hostPatterns) {
+    rewritten = rewritten.replace(pattern, (match, offset, string) => (string[offset + match.length] === '/' ? '' : '/'))
+  }
+  return rewritten
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {RegExp[]} hostPatterns
+ * @returns {Promise<ColumnAudit[]>}
+ */
+async function auditFeedUrls(sequelize, hostPatterns) {
+  const audits = []
+  for (const feedUrlColumn of feedUrlColumns) {
+    const { table, column } = feedUrlColumn
+    const rows = await sequelize.query(`SELECT id, ${column} AS value FROM ${table} WHERE ${column} LIKE '%http://%' OR ${column} LIKE '%https://%' ORDER BY rowid`, { type: QueryTypes.SELECT })
+    const audit = { feedUrlColumn, hosts: {}, rewrites: [] }
+    for (const { id, value } of rows) {
+      const rewritten = rewriteValue(value, hostPatterns)
+      for (const [text, key] of [[value, 'urls'], [rewritten, 'kept']]) {
+        for (const [url] of text.matchAll(absoluteUrlPattern)) {
+          const host = url.replace(/^https?:\/\//i, '').toLowerCase()
+          audit.hosts[host] ??= { urls: 0, kept: 0 }
+          audit.hosts[host][key]++
+        }
+      }
+      if (rewritten !== value) audit.rewrites.push({ id, before: value, after: rewritten })
+    }
+    audits.push(audit)
+  }
+  return audits
+}
+
+/**
+ * @param {ColumnAudit[]} audits
+ * @returns {number} - the absolute URLs that should not remain: those of listed hosts, and any in a URL column.
+ */
+function printAudit(audits) {
+  let remaining = 0
+  for (const { feedUrlColumn, hosts } of audits) {
+    const total = Object.values(hosts).reduce((sum, host) => sum + host.urls, 0)
+    console.log(`${feedUrlColumn.table}.${feedUrlColumn.column}: ${total} absolute URL(s)`)
+    for (const [host, { urls, kept }] of Object.entries(hosts).sort(([a], [b]) => a.localeCompare(b))) {
+      console.log(`    ${String(urls).padStart(6)}  ${host}${urls > kept ? `  (${urls - kept} of a listed host)` : ''}`)
+      remaining += feedUrlColumn.html ? urls - kept : urls
+    }
+  }
+  return remaining
+}
+
+/**
+ * @param {Rewrite} rewrite
+ * @returns {string}
+ */
+function describeRewrite({ table, id, column, before, after }) {
+  const html = feedUrlColumns.find((feedUrlColumn) => feedUrlColumn.table === table && feedUrlColumn.column === column).html
+  // Descriptions are too long to print, so only their URLs are
+  const summary = html ? `${[...before.matchAll(absoluteUrlPattern)].length - [...after.matchAll(absoluteUrlPattern)].length} URL(s)` : `${JSON.stringify(before)} -> ${JSON.stringify(after)}`
+  return `${table} ${id} ${column}: ${summary}`
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {Rewrite[]} rewrites - applied in order.
+ * @param {'after'|'before'} value - the value to write: after to apply the rewrites, before to revert them.
+ * @returns {Promise<{applied: Rewrite[], skipped: string[]}>}
+ */
+async function writeRewrites(sequelize, rewrites, value) {
+  const expected = value === 'after' ? 'before' : 'after'
+  const result = { applied: [], skipped: [] }
+  // Raw statements, like the other tools writing to the database
+  await sequelize.query('BEGIN')
+  try {
+    for (const rewrite of rewrites) {
+      const { table, id, column } = rewrite
+      const [current] = await sequelize.query(`SELECT ${column} AS value FROM ${table} WHERE id = :id`, { replacements: { id }, type: QueryTypes.SELECT })
+      if (!current) {
+        result.skipped.push(`${table} ${id} ${column}: deleted since`)
+      } else if (current.value !== rewrite[expected]) {
+        result.skipped.push(`${table} ${id} ${column}: changed since`)
+      } else {
+        await sequelize.query(`UPDATE ${table} SET ${column} = :value WHERE id = :id`, { replacements: { value: rewrite[value], id } })
+        result.applied.push(rewrite)
+      }
+    }
+    await sequelize.query('COMMIT')
+  } catch (error) {
+    await sequelize.query('ROLLBACK')
+    throw error
+  }
+  return result
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger()
+  const databasePath = getDatabasePath(args.config)
+  const sequelize = await openDatabase(databasePath)
+
+  try {
+    const hostPatterns = loadHostPatterns(args.hosts)
+    if (!hostPatterns.length && !args.revert) {
+      logger.warn(`No hosts listed in ${args.hosts}, no URL will be rewritten`)
+    }
+
+    /** @type {RewriteLog} */
+    const log = fs.existsSync(args.log) ? JSON.parse(fs.readFileSync(args.log, 'utf8')) : { database: databasePath, rewrites: [] }
+    if ((args.apply || args.revert) && log.database !== databasePath) {
+      throw new Error(`${args.log} was written for ${log.database}`)
+    }
+
+    if (args.revert) {
+      if (!log.rewrites.length) {
+        console.log(`No rewrites logged in ${args.log}`)
+        return 0
+      }
+      if (args.snapshot) {
+        const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'rewrite-feed-urls', revert: log.rewrites.length })
+        logger.info(`Saved database snapshot to ${snapshotPath}`)
+      }
+      // Newest first, so a value rewritten by several runs ends up as it was before the first
+      const { applied, skipped } = await writeRewrites(sequelize, [...log.rewrites].reverse(), 'before')
+      fs.unlinkSync(args.log)
+      console.log(`Reverted ${applied.length} of ${log.rewrites.length} logged rewrite(s)`)
+      for (const reason of skipped) {
+        logger.warn(`Skipped ${reason}`)
+      }
+    } else if (args.apply) {
+      const audits = await auditFeedUrls(sequelize, hostPatterns)
+      const rewrittenAt = new Date().toISOString()
+      const rewrites = audits.flatMap(({ feedUrlColumn: { table, column }, rewrites }) => rewrites.map((rewrite) => ({ rewrittenAt, table, id: rewrite.id, column, before: rewrite.before, after: rewrite.after })))
+      if (rewrites.length) {
+        if (args.snapshot) {
+          const snapshotPath = await createSnapshot(sequelize, getSnapshotsPath(args.config), { tool: 'rewrite-feed-urls', rewrites: rewrites.length })
+          logger.info(`Saved database snapshot to ${snapshotPath}`)
+        }
+        const { applied } = await writeRewrites(sequelize, rewrites, 'after')
+        log.rewrites.push(...applied)
+        fs.writeFileSync(args.log, JSON.stringify(log, null, 2))
+        for (const rewrite of applied) {
+          console.log(describeRewrite(rewrite))
+        }
+        console.log(`Rewrote ${applied.length} value(s), logged to ${args.log}`)
+      } else {
+        console.log('Nothing to rewrite')
+      }
+    }
+
+    console.log('')
+    const audits = await auditFeedUrls(sequelize, hostPatterns)
+    const remaining = printAudit(audits)
+    const rewritable = audits.reduce((sum, audit) => sum + audit.rewrites.length, 0)
+    if (rewritable && !args.apply) {
+      console.log('')
+      console.log(`${rewritable} value(s) can be rewritten, run again with --apply`)
+    }
+    // Reverting brings the absolute URLs back on purpose
+    if (remaining && !args.revert) {
+      logger.error(`${remaining} absolute URL(s) remain in URL columns or of listed hosts`)
+      return 1
+    }
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
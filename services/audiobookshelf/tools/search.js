@@ -0,0 +1,94 @@
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const { getDatabasePath, getMigrationsPath, openDatabase } = require('./utils/database')
+
+const defaultLimit = 20
+
+const usage = `Usage: node search.js [options] <text>
+
+Searches the full-text index of the library items that 2.26.8 adds (titles, subtitles, author, narrator and series
+names, descriptions and podcast episode titles), best matches first. Words match as prefixes, so "hob" finds
+"The Hobbit", and "quoted phrases" match their words in order. Every word and phrase must match.
+
+Options:
+  --config <dir>        audiobookshelf config directory (default: /config)
+  --library <name|id>   the library to search (default: the only library, if there is one)
+  --media-type <type>   only return book or podcast items
+  --exact               match whole words only
+  --limit <n>           maximum number of results (default: ${defaultLimit})
+  --help                show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', prefix: true, limit: defaultLimit, words: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--library') args.library = argv[++i]
+    else if (arg === '--media-type') args.mediaType = argv[++i]
+    else if (arg === '--exact') args.prefix = false
+    else if (arg === '--limit') args.limit = Number(argv[++i])
+    else if (arg === '--help') args.help = true
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`)
+    else args.words.push(arg)
+  }
+  if (!Number.isInteger(args.limit) || args.limit < 1) {
+    throw new Error('--limit must be a positive integer')
+  }
+  if (args.mediaType && !['book', 'podcast'].includes(args.mediaType)) {
+    throw new Error('--media-type must be book or podcast')
+  }
+  return args
+}
+
+/**
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} [nameOrId]
+ * @returns {Promise<{id: string, name: string}>}
+ */
+async function findLibrary(sequelize, nameOrId) {
+  const libraries = await sequelize.query('SELECT id, name FROM libraries ORDER BY displayOrder', { type: QueryTypes.SELECT })
+  if (!nameOrId) {
+    if (libraries.length !== 1) throw new Error(`Choose a library with --library: ${libraries.map((library) => JSON.stringify(library.name)).join(', ')}`)
+    return libraries[0]
+  }
+  const library = libraries.find((library) => library.id === nameOrId || library.name.toLowerCase() === nameOrId.toLowerCase())
+  if (!library) throw new Error(`Library ${JSON.stringify(nameOrId)} not found`)
+  return library
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help || !args.words.length) {
+    console.log(usage)
+    return args.help ? 0 : 1
+  }
+
+  const sequelize = await openDatabase(getDatabasePath(args.config))
+  // Shared with the 2.26.8 migration; loaded from the config directory since the tools are mounted separately
+  const { searchTableName, searchLibraryItems } = require(path.join(getMigrationsPath(args.config), 'utils', 'search'))
+
+  try {
+    const [searchTable] = await sequelize.query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = :name`, { replacements: { name: searchTableName }, type: QueryTypes.SELECT })
+    if (!searchTable) throw new Error(`${searchTableName} not found, run the 2.26.8 migration first`)
+
+    const library = await findLibrary(sequelize, args.library)
+    const results = await searchLibraryItems(sequelize, { libraryId: library.id, text: args.words.join(' '), mediaType: args.mediaType, prefix: args.prefix, limit: args.limit })
+    if (!results.length) {
+      console.log(`No matches in ${JSON.stringify(library.name)}`)
+      return 0
+    }
+    for (const result of results) {
+      console.log(`${result.score.toPrecision(3).padStart(10)}  ${result.libraryItemId}  ${result.mediaType.padEnd(7)}  ${result.title}`)
+    }
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
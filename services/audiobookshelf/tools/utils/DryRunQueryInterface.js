@@ -0,0 +1,170 @@
+const { QueryTypes } = require('sequelize')
+
+// PRAGMAs that change the database even without an argument
+const actionPragmas = ['incremental_vacuum', 'optimize', 'shrink_memory', 'wal_checkpoint']
+
+// PRAGMAs whose argument names what to look up rather than a new value, e.g. table_info(libraryItems)
+const lookupPragmas = ['foreign_key_check', 'foreign_key_list', 'index_info', 'index_list', 'index_xinfo', 'integrity_check', 'quick_check', 'table_info', 'table_list', 'table_xinfo']
+
+/**
+ * @typedef PlanEntry
+ * @property {'sql'|'log'} type
+ * @property {string} [sql] - the statement that would have been executed.
+ * @property {string} [level] - the log level, for log entries.
+ * @property {string} [message] - the logged message, for log entries.
+ */
+
+// The statements that can follow the common table expressions of a WITH clause
+const withStatementVerbs = ['SELECT', 'VALUES', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE']
+
+/**
+ * Returns the verb of a statement in upper case. For a WITH statement this is the verb of the statement after
+ * its common table expressions, e.g. "WITH dupes AS (SELECT id FROM series) DELETE FROM series ..." -> "DELETE".
+ *
+ * @param {string} sql
+ * @returns {string} - empty if there is none.
+ */
+function getStatementVerb(sql) {
+  const [verb = ''] = sql.match(/^\s*(\w+)/)?.slice(1) || []
+  if (verb.toUpperCase() !== 'WITH') return verb.toUpperCase()
+
+  // Skips quoted names and strings, and everything inside the parentheses of the expressions
+  let depth = 0
+  for (const [token] of sql.matchAll(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|[()]|\w+/g)) {
+    if (token === '(') depth++
+    else if (token === ')') depth--
+    else if (depth === 0 && withStatementVerbs.includes(token.toUpperCase())) return token.toUpperCase()
+  }
+  return ''
+}
+
+/**
+ * @param {string} sql - a PRAGMA statement.
+ * @returns {boolean} - true for a lookup (e.g. foreign_key_list(feeds)) or the read of a setting (e.g. foreign_keys),
+ * false for an assignment (e.g. foreign_keys = OFF or journal_mode(WAL)) or an action (e.g. optimize).
+ */
+function isReadOnlyPragma(sql) {
+  const match = sql.match(/^\s*PRAGMA\s+(?:\w+\.)?(\w+)\s*(\([^)]*\))?\s*;?\s*$/i)
+  if (!match) return false
+  const [, name, argument] = match
+  if (argument) return lookupPragmas.includes(name.toLowerCase())
+  return !actionPragmas.includes(name.toLowerCase())
+}
+
+/**
+ * Returns true if the statement only reads from the database, deciding by its verb alone: SELECT, VALUES, EXPLAIN
+ * and read-only PRAGMAs are reads, anything else is recorded whatever query type it is run with
+ * (e.g. DELETE ... RETURNING with QueryTypes.SELECT). A WITH statement is a read only if the statement after its
+ * common table expressions is a SELECT or VALUES.
+ *
+ * @param {string} sql
+ * @returns {boolean}
+ */
+function isReadQuery(sql) {
+  const verb = getStatementVerb(sql)
+  if (['SELECT', 'VALUES', 'EXPLAIN'].includes(verb)) return true
+  return verb === 'PRAGMA' && isReadOnlyPragma(sql)
+}
+
+/**
+ * Records what a migration would do to the database instead of doing it.
+ *
+ * The recorder hands out a QueryInterface built on a proxied sequelize instance: every statement that would
+ * change the database (query, addIndex, changeColumn, createTable, ...) is appended to the plan,
+ * while reads (SELECT and PRAGMA lookups, which showIndex, describeTable, tableExists, ... run) still go to the real database.
+ * Migrations therefore take the same branches they would take in a real run against the current schema.
+ * Changes made by earlier migrations in the same dry run are not visible to later reads.
+ */
+class DryRunQueryInterface {
+  /**
+   * @param {import('sequelize').QueryInterface} queryInterface - the QueryInterface of the real database.
+   */
+  constructor(queryInterface) {
+    /** @type {PlanEntry[]} */
+    this.plan = []
+    this.realSequelize = queryInterface.sequelize
+
+    const recorder = this
+    this.sequelize = new Proxy(this.realSequelize, {
+      get(target, prop) {
+        if (prop === 'query') return recorder.query.bind(recorder)
+        return Reflect.get(target, prop, target)
+      }
+    })
+    this.queryInterface = new queryInterface.constructor(this.sequelize, queryInterface.queryGenerator)
+  }
+
+  /**
+   * Runs read queries against the real database and records everything else.
+   *
+   * @param {string} sql
+   * @param {Object} [options] - sequelize query options
+   */
+  async query(sql, options = {}) {
+    if (isReadQuery(sql)) {
+      return this.realSequelize.query(sql, options)
+    }
+    this.plan.push({ type: 'sql', sql: this.renderStatement(sql, options) })
+    return options.type === QueryTypes.SELECT ? [] : [[], {}]
+  }
+
+  /**
+   * Inlines named replacements and normalizes the statement for printing.
+   *
+   * @param {string} sql
+   * @param {Object} options - sequelize query options
+   * @returns {string}
+   */
+  renderStatement(sql, options) {
+    let statement = sql
+    if (options.replacements && !Array.isArray(options.replacements)) {
+      statement = statement.replace(/(?<!:):(\w+)/g, (match, key) => {
+        if (!(key in options.replacements)) return match
+        const value = options.replacements[key]
+        return Array.isArray(value) ? value.map((v) => this.realSequelize.escape(v)).join(', ') : this.realSequelize.escape(value)
+      })
+    }
+    statement = statement
+      .split('\n')
+      .map((line) => line.trimEnd())
+      .filter((line) => line.trim())
+      .join('\n')
+    const indent = Math.min(...statement.split('\n').map((line) => line.match(/^\s*/)[0].length))
+    statement = statement
+      .split('\n')
+      .map((line) => line.slice(indent))
+      .join('\n')
+    return statement.endsWith(';') ? statement : `${statement};`
+  }
+
+  /**
+   * Returns a logger that adds every message to the plan, so the plan shows which branches the migration took.
+   *
+   * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+   */
+  createLogger() {
+    const record =
+      (level) =>
+      (...args) =>
+        this.plan.push({ type: 'log', level, message: args.map((arg) => (arg instanceof Error ? arg.message : String(arg))).join(' ') })
+    return { debug: () => {}, info: record('info'), warn: record('warn'), error: record('error') }
+  }
+}
+
+/**
+ * Formats a plan as an SQL script with log messages as comments.
+ *
+ * @param {PlanEntry[]} plan
+ * @returns {string}
+ */
+function formatPlan(plan) {
+  return plan
+    .map((entry) => {
+      if (entry.type === 'sql') return entry.sql
+      const level = entry.level === 'info' ? '' : `${entry.level.toUpperCase()}: `
+      return `-- ${level}${entry.message}`
+    })
+    .join('\n')
+}
+
+module.exports = { DryRunQueryInterface, formatPlan, isReadQuery }
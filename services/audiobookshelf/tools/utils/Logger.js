@@ -0,0 +1,38 @@
+/**
+ * Console logger with the same info/warn/error/debug interface as the server Logger,
+ * so migrations can run outside the server.
+ * Everything goes to stderr so that stdout only carries the tool's report.
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verbose] - also print debug messages.
+   * @param {boolean} [options.quiet] - only print warnings and errors.
+   */
+  constructor({ verbose = false, quiet = false } = {}) {
+    this.verbose = verbose
+    this.quiet = quiet
+  }
+
+  debug(...args) {
+    if (this.verbose) this.log('DEBUG', args)
+  }
+
+  info(...args) {
+    if (!this.quiet) this.log('INFO', args)
+  }
+
+  warn(...args) {
+    this.log('WARN', args)
+  }
+
+  error(...args) {
+    this.log('ERROR', args)
+  }
+
+  log(level, args) {
+    console.error(`[${new Date().toISOString()}] ${level}:`, ...args)
+  }
+}
+
+module.exports = Logger
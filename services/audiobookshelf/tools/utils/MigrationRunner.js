@@ -0,0 +1,148 @@
+const fs = require('fs')
+const path = require('path')
+const { DryRunQueryInterface } = require('./DryRunQueryInterface')
+
+const migrationFilePattern = /^v(\d+\.\d+\.\d+)-.+\.js$/
+
+/**
+ * @typedef Migration
+ * @property {string} name - the file name, which is also the name recorded in SequelizeMeta, e.g. "v2.15.0-series-column-unique.js".
+ * @property {string} version - e.g. "2.15.0".
+ * @property {string} path - the absolute path of the migration file.
+ * @property {boolean} executed - whether the migration is recorded in SequelizeMeta.
+ */
+
+/**
+ * Compares two x.y.z versions.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - negative if a < b, positive if a > b, 0 if equal.
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number)
+  const partsB = b.split('.').map(Number)
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i]
+  }
+  return 0
+}
+
+/**
+ * Runs the migrations in config/migrations against a database, outside the server.
+ *
+ * Executed migrations are tracked in the SequelizeMeta table by file name, exactly as the server's umzug storage does,
+ * so migrations applied here are skipped when the server starts and vice versa.
+ */
+class MigrationRunner {
+  /**
+   * @param {import('sequelize').Sequelize} sequelize
+   * @param {string} migrationsPath - the directory containing the migration files.
+   * @param {import('./Logger')} logger
+   */
+  constructor(sequelize, migrationsPath, logger) {
+    this.sequelize = sequelize
+    this.migrationsPath = migrationsPath
+    this.logger = logger
+  }
+
+  async ensureMetaTable() {
+    await this.sequelize.query('CREATE TABLE IF NOT EXISTS SequelizeMeta (name VARCHAR(255) NOT NULL UNIQUE PRIMARY KEY)')
+  }
+
+  /**
+   * @returns {Promise<Set<string>>}
+   */
+  async getExecutedNames() {
+    const [tables] = await this.sequelize.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'SequelizeMeta'")
+    if (!tables.length) return new Set()
+    const [rows] = await this.sequelize.query('SELECT name FROM SequelizeMeta')
+    return new Set(rows.map((row) => row.name))
+  }
+
+  /**
+   * @returns {Promise<Migration[]>} - all migrations, oldest first.
+   */
+  async getMigrations() {
+    const executedNames = await this.getExecutedNames()
+    return fs
+      .readdirSync(this.migrationsPath)
+      .filter((file) => migrationFilePattern.test(file))
+      .map((file) => ({
+        name: file,
+        version: file.match(migrationFilePattern)[1],
+        path: path.join(this.migrationsPath, file),
+        executed: executedNames.has(file)
+      }))
+      .sort((a, b) => compareVersions(a.version, b.version) || a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Selects the migrations a run would apply.
+   * For "up", that is every pending migration up to and including toVersion, oldest first.
+   * For "down", that is every executed migration newer than toVersion, newest first.
+   *
+   * @param {'up'|'down'} direction
+   * @param {Object} [options]
+   * @param {string} [options.toVersion] - defaults to the newest migration for "up". Required for "down" unless names are given.
+   * @param {string[]} [options.names] - explicit migration file names; overrides toVersion.
+   * @returns {Promise<Migration[]>}
+   */
+  async selectMigrations(direction, { toVersion, names } = {}) {
+    const migrations = await this.getMigrations()
+
+    if (names?.length) {
+      const unknown = names.filter((name) => !migrations.some((migration) => migration.name === name))
+      if (unknown.length) throw new Error(`Unknown migration(s): ${unknown.join(', ')}`)
+      const selected = migrations.filter((migration) => names.includes(migration.name))
+      return direction === 'up' ? selected : selected.reverse()
+    }
+
+    if (direction === 'up') {
+      return migrations.filter((migration) => !migration.executed && (!toVersion || compareVersions(migration.version, toVersion) <= 0))
+    }
+    if (!toVersion) throw new Error('A target version is required to run migrations down')
+    return migrations.filter((migration) => migration.executed && compareVersions(migration.version, toVersion) > 0).reverse()
+  }
+
+  /**
+   * Runs one migration and records the result in SequelizeMeta.
+   *
+   * @param {Migration} migration
+   * @param {'up'|'down'} direction
+   */
+  async run(migration, direction) {
+    this.logger.info(`Running ${migration.name} (${direction})`)
+    const queryInterface = this.sequelize.getQueryInterface()
+    await require(migration.path)[direction]({ context: { queryInterface, logger: this.logger } })
+
+    await this.ensureMetaTable()
+    if (direction === 'up') {
+      await this.sequelize.query('INSERT OR IGNORE INTO SequelizeMeta (name) VALUES (:name)', { replacements: { name: migration.name } })
+    } else {
+      await this.sequelize.query('DELETE FROM SequelizeMeta WHERE name = :name', { replacements: { name: migration.name } })
+    }
+    this.logger.info(`Finished ${migration.name} (${direction})`)
+  }
+
+  /**
+   * Runs one migration against a recording QueryInterface and returns what it would have done.
+   * Nothing is written to the database, including SequelizeMeta.
+   *
+   * @param {Migration} migration
+   * @param {'up'|'down'} direction
+   * @returns {Promise<{plan: import('./DryRunQueryInterface').PlanEntry[], error: Error|null}>}
+   */
+  async plan(migration, direction) {
+    const dryRun = new DryRunQueryInterface(this.sequelize.getQueryInterface())
+    let error = null
+    try {
+      await require(migration.path)[direction]({ context: { queryInterface: dryRun.queryInterface, logger: dryRun.createLogger() } })
+    } catch (err) {
+      error = err
+    }
+    return { plan: dryRun.plan, error }
+  }
+}
+
+module.exports = { MigrationRunner, compareVersions }
@@ -0,0 +1,89 @@
+const fs = require('fs')
+const path = require('path')
+const { Sequelize } = require('sequelize')
+
+const databaseFileName = 'absdatabase.sqlite'
+
+/**
+ * @param {string} configPath - the audiobookshelf config directory, /config in the container.
+ * @returns {string}
+ */
+function getDatabasePath(configPath) {
+  return path.resolve(configPath, databaseFileName)
+}
+
+/**
+ * @param {string} configPath
+ * @returns {string}
+ */
+function getMigrationsPath(configPath) {
+  return path.resolve(configPath, 'migrations')
+}
+
+/**
+ * Opens an existing SQLite database, or an in-memory one for ":memory:".
+ * Never creates a missing database file, so a wrong path can't silently produce an empty library.
+ *
+ * @param {string} storage - the database file path or ":memory:".
+ * @returns {Promise<import('sequelize').Sequelize>}
+ */
+async function openDatabase(storage) {
+  if (storage !== ':memory:' && !fs.existsSync(storage)) {
+    throw new Error(`Database not found at ${storage}`)
+  }
+  const sequelize = new Sequelize({ dialect: 'sqlite', storage, logging: false })
+  await sequelize.authenticate()
+  return sequelize
+}
+
+/**
+ * Runs a multi-statement SQL script, which sequelize.query can't do since it runs one statement at a time.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} script
+ */
+async function execScript(sequelize, script) {
+  const connection = await sequelize.connectionManager.getConnection()
+  await new Promise((resolve, reject) => connection.exec(script, (error) => (error ? reject(error) : resolve())))
+}
+
+/**
+ * Opens an in-memory database seeded from one or more fixtures, applied in order, so the fixtures themselves are never changed.
+ * A .sql fixture is run as a script; a .sqlite fixture (e.g. a copy of a real database) is loaded with the SQLite backup API,
+ * which replaces the whole database and so must come first.
+ *
+ * @param {...string} fixturePaths
+ * @returns {Promise<import('sequelize').Sequelize>}
+ */
+async function openFixture(...fixturePaths) {
+  for (const fixturePath of fixturePaths) {
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Fixture not found at ${fixturePath}`)
+    }
+  }
+  if (fixturePaths.slice(1).some((fixturePath) => !fixturePath.endsWith('.sql'))) {
+    throw new Error('Only the first fixture can be a database file')
+  }
+  const sequelize = await openDatabase(':memory:')
+
+  for (const fixturePath of fixturePaths) {
+    if (fixturePath.endsWith('.sql')) {
+      await execScript(sequelize, fs.readFileSync(fixturePath, 'utf8'))
+      continue
+    }
+    // The sqlite dialect keeps a single connection per in-memory database, so this is the one later queries use
+    const connection = await sequelize.connectionManager.getConnection()
+    await new Promise((resolve, reject) => {
+      const backup = connection.backup(path.resolve(fixturePath), 'main', 'main', false, (error) => {
+        if (error) return reject(error)
+        backup.step(-1, (error) => {
+          if (error) return reject(error)
+          backup.finish(resolve)
+        })
+      })
+    })
+  }
+  return sequelize
+}
+
+module.exports = { databaseFileName, getDatabasePath, getMigrationsPath, openDatabase, openFixture, execScript }
@@ -0,0 +1,226 @@
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const { openFixture } = require('./database')
+const { MigrationRunner } = require('./MigrationRunner')
+
+// The empty 2.14 database the first migration runs on
+const baselinePath = path.join(__dirname, '..', 'fixtures', 'abs-2.14.0-schema.sql')
+
+// Tables the server creates and manages itself, which no migration changes: collections, collectionBooks and
+// customMetadataProviders (from its models on start) and migrationsMeta (the versions its migration manager ran).
+// The baseline doesn't declare them, so check-schema would report them as unexpected on every real database.
+// verify-migrations and verify-migration-data load them from fixtures/abs-2.14.0-server-tables.sql.
+const serverManagedTableNames = ['collections', 'collectionBooks', 'customMetadataProviders', 'migrationsMeta']
+
+// Tables that belong to the migration tooling rather than to the audiobookshelf schema.
+// mergeLogs is created by the first merge (config/migrations/utils/merge.js), so whether it exists depends on the data.
+// previousForeignKeyConstraints (created by 2.26.11 only when it changed constraints), reappliedIndexes (2.26.13, only
+// when it added an index), previousDerivedColumnTriggers (2.26.3) and previousSettings (created by
+// MigrationHelper.applySettingsMigration when it removed keys) hold what the migrations changed, for their down steps.
+// verify-migration-data compares its migrated fixture with the expected schema, so a data-dependent table missing here fails it.
+const ignoredTableNames = [...serverManagedTableNames, 'SequelizeMeta', 'mergeLogs', 'previousForeignKeyConstraints', 'reappliedIndexes', 'previousDerivedColumnTriggers', 'previousSettings']
+
+const changeLabels = { missing: 'Missing', extra: 'Unexpected', changed: 'Different' }
+
+/**
+ * @typedef ColumnSchema
+ * @property {string} type
+ * @property {boolean} notNull
+ * @property {string|null} defaultValue
+ * @property {number} primaryKey - the position in the primary key, 0 if not part of it.
+ *
+ * @typedef ForeignKeySchema
+ * @property {string} table - the referenced table.
+ * @property {string} to - the referenced column.
+ * @property {string} onUpdate
+ * @property {string} onDelete
+ *
+ * @typedef IndexSchema
+ * @property {string} table
+ * @property {boolean} unique
+ * @property {boolean} partial
+ * @property {string[]} columns - e.g. ["libraryId", "title COLLATE NOCASE"].
+ *
+ * @typedef TriggerSchema
+ * @property {string} table
+ * @property {string} sql - the trigger SQL with whitespace collapsed.
+ *
+ * @typedef Schema
+ * @property {Record<string, {columns: Record<string, ColumnSchema>, foreignKeys: Record<string, ForeignKeySchema>}>} tables
+ * @property {Record<string, IndexSchema>} indexes
+ * @property {Record<string, TriggerSchema>} triggers
+ */
+
+/**
+ * Reads the schema of a database into a plain object that can be compared with diffSchemas.
+ * Columns, foreign keys, indexes and triggers are keyed by name, so their order does not matter.
+ * Indexes SQLite creates for PRIMARY KEY and UNIQUE constraints are keyed by table and columns,
+ * since their sqlite_autoindex_* names change when a table is rebuilt.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @returns {Promise<Schema>}
+ */
+async function getSchema(sequelize) {
+  const select = (sql, replacements) => sequelize.query(sql, { type: QueryTypes.SELECT, replacements })
+  const schema = { tables: {}, indexes: {}, triggers: {} }
+
+  const tables = await select("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+  for (const { name: table } of tables) {
+    if (ignoredTableNames.includes(table)) continue
+
+    const columns = {}
+    for (const column of await select('SELECT * FROM pragma_table_info(:table)', { table })) {
+      columns[column.name] = { type: column.type, notNull: !!column.notnull, defaultValue: column.dflt_value, primaryKey: column.pk }
+    }
+
+    const foreignKeys = {}
+    for (const fk of await select('SELECT * FROM pragma_foreign_key_list(:table)', { table })) {
+      foreignKeys[fk.from] = { table: fk.table, to: fk.to, onUpdate: fk.on_update, onDelete: fk.on_delete }
+    }
+    schema.tables[table] = { columns, foreignKeys }
+
+    for (const index of await select('SELECT * FROM pragma_index_list(:table)', { table })) {
+      const indexColumns = await select('SELECT name, coll, "desc" FROM pragma_index_xinfo(:index) WHERE key = 1 ORDER BY seqno', { index: index.name })
+      const columnNames = indexColumns.map((column) => `${column.name ?? '<expression>'}${column.coll !== 'BINARY' ? ` COLLATE ${column.coll}` : ''}${column.desc ? ' DESC' : ''}`)
+      const key = index.origin === 'c' ? index.name : `${table}(${columnNames.join(', ')}) [${index.origin === 'pk' ? 'primary key' : 'unique'}]`
+      schema.indexes[key] = { table, unique: !!index.unique, partial: !!index.partial, columns: columnNames }
+    }
+  }
+
+  const triggers = await select("SELECT name, tbl_name, sql FROM sqlite_master WHERE type = 'trigger' ORDER BY name")
+  for (const trigger of triggers) {
+    schema.triggers[trigger.name] = { table: trigger.tbl_name, sql: trigger.sql.replace(/\s+/g, ' ').trim() }
+  }
+
+  return schema
+}
+
+/**
+ * Flattens a schema into "path: value" pairs, e.g. "tables.books.columns.title.type" -> "VARCHAR(255)".
+ *
+ * @param {Object} value
+ * @param {string} [prefix]
+ * @param {Record<string, string>} [result]
+ * @returns {Record<string, string>}
+ */
+function flatten(value, prefix = '', result = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const entries = Object.entries(value)
+    // Keep empty objects (a table without foreign keys) so that a missing table still shows up
+    if (!entries.length) result[prefix] = '{}'
+    for (const [key, child] of entries) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, result)
+    }
+  } else {
+    result[prefix] = JSON.stringify(value)
+  }
+  return result
+}
+
+/**
+ * Compares two schemas.
+ *
+ * @param {Schema} expected
+ * @param {Schema} actual
+ * @returns {string[]} - one line per difference, empty if the schemas match.
+ */
+function diffSchemas(expected, actual) {
+  return diffValues(expected, actual)
+}
+
+/**
+ * @param {Object} expected
+ * @param {Object} actual
+ * @returns {string[]}
+ */
+function diffValues(expected, actual) {
+  const expectedValues = flatten(expected)
+  const actualValues = flatten(actual)
+  const paths = [...new Set([...Object.keys(expectedValues), ...Object.keys(actualValues)])].sort()
+
+  const differences = []
+  for (const path of paths) {
+    if (expectedValues[path] === actualValues[path]) continue
+    if (!(path in actualValues)) differences.push(`- ${path}: ${expectedValues[path]}`)
+    else if (!(path in expectedValues)) differences.push(`+ ${path}: ${actualValues[path]}`)
+    else differences.push(`~ ${path}: ${expectedValues[path]} -> ${actualValues[path]}`)
+  }
+  return differences
+}
+
+/**
+ * @typedef SchemaChange
+ * @property {'missing'|'extra'|'changed'} change - missing: expected but not in the actual schema; extra: the other way around.
+ * @property {'table'|'column'|'foreign key'|'index'|'trigger'} kind
+ * @property {string} name - e.g. "books", "books.title", "bookSeries.seriesId" or an index or trigger name.
+ * @property {string[]} [differences] - for a changed object, its differing properties as returned by diffSchemas.
+ */
+
+/**
+ * Compares two schemas object by object, so that a missing table is one change rather than one per column.
+ *
+ * @param {Schema} expected
+ * @param {Schema} actual
+ * @returns {SchemaChange[]} - empty if the schemas match.
+ */
+function compareSchemas(expected, actual) {
+  const changes = []
+  const compare = (kind, expectedObjects, actualObjects, namePrefix = '') => {
+    const names = [...new Set([...Object.keys(expectedObjects), ...Object.keys(actualObjects)])].sort()
+    for (const name of names) {
+      const fullName = `${namePrefix}${name}`
+      if (!(name in actualObjects)) {
+        changes.push({ change: 'missing', kind, name: fullName })
+      } else if (!(name in expectedObjects)) {
+        changes.push({ change: 'extra', kind, name: fullName })
+      } else if (kind === 'table') {
+        compare('column', expectedObjects[name].columns, actualObjects[name].columns, `${name}.`)
+        compare('foreign key', expectedObjects[name].foreignKeys, actualObjects[name].foreignKeys, `${name}.`)
+      } else {
+        const differences = diffValues(expectedObjects[name], actualObjects[name])
+        if (differences.length) changes.push({ change: 'changed', kind, name: fullName, differences })
+      }
+    }
+  }
+
+  compare('table', expected.tables, actual.tables)
+  compare('index', expected.indexes, actual.indexes)
+  compare('trigger', expected.triggers, actual.triggers)
+  return changes
+}
+
+/**
+ * Formats the changes returned by compareSchemas, e.g. "Missing index unique_series_name_per_library",
+ * followed by the differing properties of changed objects.
+ *
+ * @param {SchemaChange[]} changes
+ * @returns {string[]} - one line per change or property, indented by two spaces per level.
+ */
+function formatSchemaChanges(changes) {
+  return changes.flatMap((change) => [`  ${changeLabels[change.change]} ${change.kind} ${change.name}`, ...(change.differences || []).map((difference) => `    ${difference}`)])
+}
+
+/**
+ * Builds the schema the migrations produce by applying them to the empty baseline database in memory.
+ *
+ * @param {string} migrationsPath
+ * @param {import('./Logger')} logger
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - only apply these migrations, e.g. the ones executed on a live database. Defaults to all.
+ * @returns {Promise<Schema>}
+ */
+async function getExpectedSchema(migrationsPath, logger, { names } = {}) {
+  const sequelize = await openFixture(baselinePath)
+  try {
+    const runner = new MigrationRunner(sequelize, migrationsPath, logger)
+    const migrations = await runner.selectMigrations('up')
+    for (const migration of migrations.filter((migration) => !names || names.includes(migration.name))) {
+      await runner.run(migration, 'up')
+    }
+    return await getSchema(sequelize)
+  } finally {
+    await sequelize.close()
+  }
+}
+
+module.exports = { getSchema, diffSchemas, compareSchemas, formatSchemaChanges, getExpectedSchema }
@@ -0,0 +1,110 @@
+const fs = require('fs')
+const path = require('path')
+
+// scripts/backup.sh and scripts/restore.sh look for snapshots in this directory by this file name pattern
+// (snapshots taken before the milliseconds were added have none)
+const snapshotsDirName = 'migration-snapshots'
+const snapshotFilePattern = /^absdatabase_\d{8}_\d{6}(_\d{3})?\.sqlite$/
+
+// The number of snapshots createSnapshot keeps, unless told otherwise
+const defaultKeptSnapshots = 5
+
+/**
+ * @typedef Snapshot
+ * @property {string} name - e.g. "absdatabase_20250101_120000_250.sqlite".
+ * @property {string} path - the absolute path of the snapshot file.
+ * @property {Object|null} manifest - the contents of the sidecar .json file, if any.
+ */
+
+/**
+ * @param {string} configPath
+ * @returns {string}
+ */
+function getSnapshotsPath(configPath) {
+  return path.resolve(configPath, snapshotsDirName)
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} - e.g. "20250101_120000_250": the format scripts/backup.sh uses, plus milliseconds so that
+ *   tools run within the same second get their own snapshot.
+ */
+function formatTimestamp(date) {
+  const pad = (n, length = 2) => String(n).padStart(length, '0')
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}_${pad(date.getMilliseconds(), 3)}`
+}
+
+/**
+ * Writes a consistent copy of the open database with VACUUM INTO, plus a sidecar .json manifest describing why it was taken,
+ * then deletes all but the newest snapshots (see pruneSnapshots), so every tool that snapshots keeps the directory bounded.
+ * VACUUM INTO fails rather than overwrite an existing snapshot.
+ *
+ * @param {import('sequelize').Sequelize} sequelize
+ * @param {string} snapshotsPath
+ * @param {Object} manifest - extra details to record, e.g. the migrations about to run.
+ * @param {number} [keep] - the number of snapshots to keep, including this one.
+ * @returns {Promise<string>} - the path of the snapshot.
+ */
+async function createSnapshot(sequelize, snapshotsPath, manifest, keep = defaultKeptSnapshots) {
+  fs.mkdirSync(snapshotsPath, { recursive: true })
+  const createdAt = new Date()
+  const snapshotPath = path.join(snapshotsPath, `absdatabase_${formatTimestamp(createdAt)}.sqlite`)
+
+  await sequelize.query(`VACUUM INTO ${sequelize.escape(snapshotPath)}`)
+  fs.writeFileSync(snapshotPath.replace(/\.sqlite$/, '.json'), JSON.stringify({ createdAt: createdAt.toISOString(), ...manifest }, null, 2))
+  pruneSnapshots(snapshotsPath, keep)
+  return snapshotPath
+}
+
+/**
+ * Replaces the database file with a snapshot.
+ * The database must be closed first. Leftover -wal and -shm files are removed so they can't be replayed onto the snapshot.
+ *
+ * @param {string} snapshotPath
+ * @param {string} databasePath
+ */
+function restoreSnapshot(snapshotPath, databasePath) {
+  for (const suffix of ['-wal', '-shm']) {
+    fs.rmSync(`${databasePath}${suffix}`, { force: true })
+  }
+  fs.copyFileSync(snapshotPath, databasePath)
+}
+
+/**
+ * @param {string} snapshotsPath
+ * @returns {Snapshot[]} - newest first.
+ */
+function listSnapshots(snapshotsPath) {
+  if (!fs.existsSync(snapshotsPath)) return []
+  return fs
+    .readdirSync(snapshotsPath)
+    .filter((file) => snapshotFilePattern.test(file))
+    .sort()
+    .reverse()
+    .map((file) => {
+      const manifestPath = path.join(snapshotsPath, file.replace(/\.sqlite$/, '.json'))
+      return {
+        name: file,
+        path: path.join(snapshotsPath, file),
+        manifest: fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null
+      }
+    })
+}
+
+/**
+ * Deletes all but the newest snapshots, together with their manifests.
+ *
+ * @param {string} snapshotsPath
+ * @param {number} keep - the number of snapshots to keep.
+ * @returns {string[]} - the names of the deleted snapshots.
+ */
+function pruneSnapshots(snapshotsPath, keep) {
+  const expired = listSnapshots(snapshotsPath).slice(keep)
+  for (const snapshot of expired) {
+    fs.rmSync(snapshot.path, { force: true })
+    fs.rmSync(snapshot.path.replace(/\.sqlite$/, '.json'), { force: true })
+  }
+  return expired.map((snapshot) => snapshot.name)
+}
+
+module.exports = { defaultKeptSnapshots, getSnapshotsPath, createSnapshot, restoreSnapshot, listSnapshots, pruneSnapshots }
@@ -0,0 +1,174 @@
+const fs = require('fs')
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const Logger = require('./utils/Logger')
+const { getMigrationsPath, openFixture, execScript } = require('./utils/database')
+const { MigrationRunner } = require('./utils/MigrationRunner')
+const { getSchema, compareSchemas, formatSchemaChanges, getExpectedSchema } = require('./utils/schema')
+
+// The checks assert the exact rows of these fixtures, so unlike verify-migrations there is no --fixture option
+const fixturePaths = [path.join(__dirname, 'fixtures', 'abs-2.14.0-schema.sql'), path.join(__dirname, 'fixtures', 'abs-2.14.0-server-tables.sql'), path.join(__dirname, 'fixtures', 'abs-2.14.0-seed.sql')]
+const checksPath = path.join(__dirname, 'fixtures', 'migrations')
+// Checks of the helpers in <config>/migrations/utils that no migration exercises, named like the helper file
+const utilChecksPath = path.join(__dirname, 'fixtures', 'utils')
+
+/**
+ * @typedef MigrationDataCheckContext
+ * @property {(sql: string, replacements?: Object) => Promise<Object[]>} select - runs a SELECT and returns its rows.
+ * @property {(sql: string, replacements?: Object) => Promise<any>} query - runs any other statement, e.g. to exercise a trigger.
+ * @property {import('sequelize').Sequelize} sequelize - for checks calling the helpers in <config>/migrations/utils.
+ * @property {string} migrationsPath - the <config>/migrations directory the migrations are loaded from.
+ * @property {import('./utils/Logger')} logger - the migrations' logger, for checks constructing a MigrationHelper.
+ * @property {(name: string) => {up: () => Promise<void>, down: () => Promise<void>}} loadMigration - loads a migration of
+ *   <config>/migrations by file name, to run a step again with the context the migrations get, e.g. loadMigration('v2.17.5-remove-host-from-feed-urls').down().
+ *
+ * @typedef MigrationDataCheck
+ * @property {string} [seed] - SQL run right before the migration, to add the rows the check needs on top of the fixture.
+ * @property {(context: MigrationDataCheckContext) => Promise<void>} check - asserts the data after the migration; throws on a mismatch.
+ */
+
+const usage = `Usage: node verify-migration-data.js [options] [migration ...]
+
+Checks the data every migration in <config>/migrations leaves behind.
+The fixture (fixtures/abs-2.14.0-schema.sql with the tables of fixtures/abs-2.14.0-server-tables.sql, seeded
+with fixtures/abs-2.14.0-seed.sql) is loaded into an in-memory database and its pending migrations are applied in order.
+For a migration with a check in fixtures/migrations/<migration file name>, the check's seed rows are inserted first
+and its assertions are run after the migration. Checks build on each other: each sees the data left by the
+earlier migrations and checks, including the changes a check makes to exercise triggers.
+With migration names, only those are checked; the other pending migrations are just applied.
+Without names, the checks in fixtures/utils/<helper file name> then run on the migrated fixture, like the
+migration checks, for the helpers in <config>/migrations/utils that no migration uses yet. The schema of the
+migrated and checked fixture is then compared with the schema check-schema expects, which it builds from the empty
+2.14 schema: a table the migrations only create for some data, such as a bookkeeping table for their down step,
+must be ignored by check-schema (ignoredTableNames in utils/schema.js).
+Exits non-zero if any check fails.
+
+Options:
+  --config <dir>  audiobookshelf config directory (default: /config)
+  --verbose       also print the log output of the migrations
+  --help          show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', verbose: false, names: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--verbose') args.verbose = true
+    else if (arg === '--help') args.help = true
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`)
+    else args.names.push(arg)
+  }
+  return args
+}
+
+/**
+ * @param {string} migrationName
+ * @returns {MigrationDataCheck|null}
+ */
+function loadCheck(migrationName) {
+  const checkPath = path.join(checksPath, migrationName)
+  return fs.existsSync(checkPath) ? require(checkPath) : null
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger({ quiet: !args.verbose })
+  const sequelize = await openFixture(...fixturePaths)
+  const migrationsPath = getMigrationsPath(args.config)
+  const runner = new MigrationRunner(sequelize, migrationsPath, logger)
+
+  const migrationContext = { queryInterface: sequelize.getQueryInterface(), logger }
+  /** @type {MigrationDataCheckContext} */
+  const context = {
+    select: (sql, replacements) => sequelize.query(sql, { type: QueryTypes.SELECT, replacements }),
+    query: (sql, replacements) => sequelize.query(sql, { replacements }),
+    sequelize,
+    migrationsPath,
+    logger,
+    loadMigration: (name) => {
+      const migration = require(path.join(migrationsPath, name))
+      return { up: () => migration.up({ context: migrationContext }), down: () => migration.down({ context: migrationContext }) }
+    }
+  }
+
+  try {
+    const migrations = await runner.selectMigrations('up')
+    const unknown = args.names.filter((name) => !migrations.some((migration) => migration.name === name))
+    if (unknown.length) throw new Error(`Not pending in the fixture: ${unknown.join(', ')}`)
+    if (!migrations.length) {
+      console.log('No pending migrations in the fixture')
+      return 0
+    }
+
+    let failed = false
+    for (const migration of migrations) {
+      const check = !args.names.length || args.names.includes(migration.name) ? loadCheck(migration.name) : null
+      if (!check) {
+        await runner.run(migration, 'up')
+        console.log(`-    ${migration.name} (${args.names.length ? 'applied, not checked' : 'no data checks'})`)
+        continue
+      }
+
+      if (check.seed) await execScript(sequelize, check.seed)
+      try {
+        await runner.run(migration, 'up')
+      } catch (error) {
+        console.log(`FAIL ${migration.name}`)
+        console.log(`  failed with ${error.name}: ${error.message}`)
+        // The database is no longer in a known state, so later migrations can't be checked
+        return 1
+      }
+
+      try {
+        await check.check(context)
+        console.log(`ok   ${migration.name}`)
+      } catch (error) {
+        failed = true
+        console.log(`FAIL ${migration.name}`)
+        console.log(error.message.replace(/^/gm, '  '))
+      }
+    }
+
+    if (!args.names.length) {
+      for (const name of fs.readdirSync(utilChecksPath).sort()) {
+        /** @type {MigrationDataCheck} */
+        const check = require(path.join(utilChecksPath, name))
+        try {
+          if (check.seed) await execScript(sequelize, check.seed)
+          await check.check(context)
+          console.log(`ok   utils/${name}`)
+        } catch (error) {
+          failed = true
+          console.log(`FAIL utils/${name}`)
+          console.log(error.message.replace(/^/gm, '  '))
+        }
+      }
+
+      const changes = compareSchemas(await getExpectedSchema(migrationsPath, logger), await getSchema(sequelize))
+      if (changes.length) {
+        failed = true
+        console.log('FAIL schema drift reported by check-schema')
+        for (const line of formatSchemaChanges(changes)) {
+          console.log(line)
+        }
+      } else {
+        console.log('ok   no schema drift reported by check-schema')
+      }
+    }
+    return failed ? 1 : 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
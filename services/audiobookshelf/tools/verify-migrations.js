@@ -0,0 +1,225 @@
+const path = require('path')
+const Logger = require('./utils/Logger')
+const { getMigrationsPath, openFixture } = require('./utils/database')
+const { MigrationRunner } = require('./utils/MigrationRunner')
+const { getSchema, diffSchemas } = require('./utils/schema')
+
+const defaultFixturePaths = [path.join(__dirname, 'fixtures', 'abs-2.14.0-schema.sql'), path.join(__dirname, 'fixtures', 'abs-2.14.0-server-tables.sql'), path.join(__dirname, 'fixtures', 'abs-2.14.0-seed.sql')]
+
+// A lost ON DELETE / ON UPDATE action, e.g. '~ tables.feeds.foreignKeys.userId.onDelete: "CASCADE" -> "NO ACTION"'
+const lostForeignKeyAction = /^~ tables\.\w+\.foreignKeys\.\w+\.on(Delete|Update): "[A-Z ]+" -> "NO ACTION"$/
+// The libraryItems index of 2.17.7, lost when the table is rebuilt
+const lostSizeIndex = /^- indexes\.library_items_library_id_media_type_size\./
+
+/**
+ * The round-trip differences the server's own migrations have by design: the down step of 2.17.3 leaves the
+ * foreign key actions it sets in place. These are reported as known, any other difference still fails.
+ *
+ * @type {Record<string, {reason: string, down?: RegExp[], up?: RegExp[]}>}
+ */
+const knownDifferences = {
+  'v2.17.3-fk-constraints.js': {
+    reason: 'the down step is a no-op',
+    down: [/^~ tables\.\w+\.foreignKeys\.\w+\.on(Delete|Update): "NO ACTION" -> "[A-Z ]+"$/]
+  }
+}
+
+/**
+ * The round-trip differences caused by bugs in the server's own migrations, and the later migration repairing each.
+ * The server copies its migrations over <config>/migrations on every start, so they can't be fixed in place.
+ * Such a migration only passes if downgrading below it and upgrading again, through the repairing migration,
+ * gives back the schema of the first upgrade.
+ *
+ * @type {Record<string, {repairedBy: string, down?: RegExp[], up?: RegExp[]}[]>}
+ */
+const repairedDifferences = {
+  // queryInterface.changeColumn rebuilds the tables without their foreign key actions
+  'v2.17.0-uuid-replacement.js': [{ repairedBy: 'v2.26.11-reapply-fk-constraints.js', down: [lostForeignKeyAction] }],
+  // queryInterface.removeColumn rebuilds mediaItemShares without its foreign key actions
+  'v2.17.6-share-add-isdownloadable.js': [{ repairedBy: 'v2.26.11-reapply-fk-constraints.js', down: [lostForeignKeyAction], up: [lostForeignKeyAction] }],
+  // queryInterface.removeColumn rebuilds libraryItems without its foreign key actions and the 2.17.7 index
+  'v2.19.1-copy-title-to-library-items.js': [
+    { repairedBy: 'v2.26.11-reapply-fk-constraints.js', down: [lostForeignKeyAction], up: [lostForeignKeyAction] },
+    { repairedBy: 'v2.26.13-reapply-indices.js', down: [lostSizeIndex], up: [lostSizeIndex] }
+  ]
+}
+
+const usage = `Usage: node verify-migrations.js [options] [migration ...]
+
+Checks that every migration in <config>/migrations can be reverted and re-applied.
+The fixture is loaded into an in-memory database and its pending migrations are applied in order.
+Each migration is run up, down and up again; the schema (tables, columns, indexes, triggers and foreign keys)
+after down must match the schema before up, and the schema after the second up must match the first.
+With migration names, only those are round-tripped; the other pending migrations are just applied.
+The server's own migrations can't be fixed in place. Their differences by design are reported but don't fail.
+A difference caused by a bug only passes when a later migration repairs it: once every migration is applied,
+the database is downgraded below the buggy migration and upgraded again, and the schema must match.
+Exits non-zero on the first migration that fails.
+
+Options:
+  --config <dir>    audiobookshelf config directory (default: /config)
+  --fixture <file>  .sql script or .sqlite database to start from (default: fixtures/abs-2.14.0-schema.sql
+                    with abs-2.14.0-server-tables.sql, seeded with fixtures/abs-2.14.0-seed.sql)
+  --verbose         also print the log output of the migrations
+  --help            show this help`
+
+function parseArgs(argv) {
+  const args = { config: '/config', fixtures: defaultFixturePaths, verbose: false, names: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--config') args.config = argv[++i]
+    else if (arg === '--fixture') args.fixtures = [argv[++i]]
+    else if (arg === '--verbose') args.verbose = true
+    else if (arg === '--help') args.help = true
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`)
+    else args.names.push(arg)
+  }
+  return args
+}
+
+/**
+ * Runs a migration up, down and up again and compares the schema after each step.
+ *
+ * @param {MigrationRunner} runner
+ * @param {import('./utils/MigrationRunner').Migration} migration
+ * @returns {Promise<{step: 'down'|'up', description: string, differences: string[]}[]>} - the failed checks, empty if the round trip is clean.
+ */
+async function verifyRoundTrip(runner, migration) {
+  const failures = []
+
+  const beforeUp = await getSchema(runner.sequelize)
+  await runner.run(migration, 'up')
+  const afterUp = await getSchema(runner.sequelize)
+
+  await runner.run(migration, 'down')
+  const downDifferences = diffSchemas(beforeUp, await getSchema(runner.sequelize))
+  if (downDifferences.length) {
+    failures.push({ step: 'down', description: 'down does not restore the schema from before up', differences: downDifferences })
+  }
+
+  await runner.run(migration, 'up')
+  const upDifferences = diffSchemas(afterUp, await getSchema(runner.sequelize))
+  if (upDifferences.length) {
+    failures.push({ step: 'up', description: 'up after down does not produce the schema of the first up', differences: upDifferences })
+  }
+
+  return failures
+}
+
+/**
+ * Downgrades below the first of the migrations and upgrades again, as a server downgrade and upgrade would,
+ * and compares the schema with the one before.
+ *
+ * @param {MigrationRunner} runner
+ * @param {import('./utils/MigrationRunner').Migration[]} migrations - the migration with repaired differences and every migration after it, oldest first.
+ * @returns {Promise<{description: string, differences: string[]}[]>} - the failed check, empty if the repairs restore the schema.
+ */
+async function verifyRepair(runner, migrations) {
+  const before = await getSchema(runner.sequelize)
+  try {
+    for (const migration of [...migrations].reverse()) {
+      await runner.run(migration, 'down')
+    }
+    for (const migration of migrations) {
+      await runner.run(migration, 'up')
+    }
+  } catch (error) {
+    return [{ description: `downgrading below it and upgrading again failed with ${error.name}: ${error.message}`, differences: [] }]
+  }
+  const differences = diffSchemas(before, await getSchema(runner.sequelize))
+  return differences.length ? [{ description: 'downgrading below it and upgrading again does not restore the schema', differences }] : []
+}
+
+/**
+ * @param {import('./utils/MigrationRunner').Migration} migration
+ * @param {{description: string, differences: string[]}[]} failures
+ */
+function printFailures(migration, failures) {
+  console.log(`FAIL ${migration.name}`)
+  for (const failure of failures) {
+    console.log(`  ${failure.description}`)
+    for (const difference of failure.differences) {
+      console.log(`    ${difference}`)
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    console.log(usage)
+    return 0
+  }
+
+  const logger = new Logger({ quiet: !args.verbose })
+  const sequelize = await openFixture(...args.fixtures)
+  const runner = new MigrationRunner(sequelize, getMigrationsPath(args.config), logger)
+
+  try {
+    const migrations = await runner.selectMigrations('up')
+    const unknown = args.names.filter((name) => !migrations.some((migration) => migration.name === name))
+    if (unknown.length) throw new Error(`Not pending in the fixture: ${unknown.join(', ')}`)
+    if (!migrations.length) {
+      console.log('No pending migrations in the fixture')
+      return 0
+    }
+
+    /** @type {{migration: import('./utils/MigrationRunner').Migration, repairedBy: string[]}[]} */
+    const repairedMigrations = []
+    for (const migration of migrations) {
+      if (args.names.length && !args.names.includes(migration.name)) {
+        await runner.run(migration, 'up')
+        console.log(`-    ${migration.name} (applied, not checked)`)
+        continue
+      }
+
+      let failures
+      try {
+        failures = await verifyRoundTrip(runner, migration)
+      } catch (error) {
+        failures = [{ step: 'run', description: `failed with ${error.name}: ${error.message}`, differences: [] }]
+      }
+
+      const known = knownDifferences[migration.name]
+      const repairs = repairedDifferences[migration.name] || []
+      const isKnown = (failure, difference) => (known?.[failure.step] || []).some((pattern) => pattern.test(difference))
+      const getRepair = (failure, difference) => repairs.find((repair) => (repair[failure.step] || []).some((pattern) => pattern.test(difference)))
+      const isExpected = (failure) => failure.differences.length && failure.differences.every((difference) => isKnown(failure, difference) || getRepair(failure, difference))
+      if (failures.every(isExpected)) {
+        const repairedBy = [...new Set(failures.flatMap((failure) => failure.differences.map((difference) => getRepair(failure, difference)?.repairedBy).filter(Boolean)))]
+        if (repairedBy.length) {
+          // Checked once the repairing migrations are applied too
+          repairedMigrations.push({ migration, repairedBy })
+          continue
+        }
+        console.log(failures.length ? `ok   ${migration.name} (known differences: ${known.reason})` : `ok   ${migration.name}`)
+        continue
+      }
+      printFailures(migration, failures)
+      // The database is no longer in a known state, so later migrations can't be checked
+      return 1
+    }
+
+    for (const { migration, repairedBy } of repairedMigrations) {
+      const missing = repairedBy.filter((name) => !migrations.some((m) => m.name === name))
+      const failures = missing.length
+        ? [{ description: `its repairing migration(s) are not pending in the fixture: ${missing.join(', ')}`, differences: [] }]
+        : await verifyRepair(runner, migrations.slice(migrations.indexOf(migration)))
+      if (failures.length) {
+        printFailures(migration, failures)
+        return 1
+      }
+      console.log(`ok   ${migration.name} (repaired by ${repairedBy.join(', ')})`)
+    }
+    return 0
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })